@@ -3,11 +3,24 @@ const path = require('path');
 const ConfigManager = require('./src/configManager');
 const ClusterManager = require('./src/clusterManager');
 const UIManager = require('./src/uiManager');
+const AuthPrompter = require('./src/authPrompter');
+const JobWatcher = require('./src/jobWatcher');
+const JobsTreeProvider = require('./src/jobsTreeProvider');
+const LogTailTerminal = require('./src/logTailTerminal');
+const SubmissionForm = require('./src/submissionForm');
+const JobDefinitions = require('./src/jobDefinitions');
+const { isTerminal } = require('./src/jobStates');
+const SchedulerFactory = require('./src/schedulers/schedulerFactory');
 const { getInstance: getLogger } = require('./src/logger');
 
+let extensionContext;
 let configManager;
 let clusterManager;
 let uiManager;
+let authPrompter;
+let jobWatcher;
+let jobsTreeProvider;
+let profileStatusBar;
 let logger;
 
 function activate(context) {
@@ -19,9 +32,14 @@ function activate(context) {
     logger = getLogger(workspaceRoot);
     logger.info('HPC Connector extension activating...');
 
+    extensionContext = context;
+
     configManager = new ConfigManager();
-    clusterManager = new ClusterManager(configManager);
+    authPrompter = new AuthPrompter(context.secrets);
+    clusterManager = new ClusterManager(configManager, { authPrompter });
     uiManager = new UIManager();
+    jobWatcher = new JobWatcher(clusterManager, configManager);
+    jobsTreeProvider = new JobsTreeProvider(clusterManager);
 
     logger.info('Managers initialized');
 
@@ -37,7 +55,69 @@ function activate(context) {
         await configureConnection();
     });
 
-    context.subscriptions.push(submitCommand, viewJobsCommand, configureCommand);
+    const switchProfileCommand = vscode.commands.registerCommand('hpc-connector.switchProfile', async () => {
+        await switchProfile();
+    });
+
+    const followLogsCommand = vscode.commands.registerCommand('hpc-connector.followLogs', async (node) => {
+        await followLogs(node && node.job);
+    });
+
+    const runDefinitionCommand = vscode.commands.registerCommand('hpc-connector.runJobDefinition', async () => {
+        await runJobDefinition();
+    });
+
+    const syncProjectCommand = vscode.commands.registerCommand('hpc-connector.syncProject', async (uri) => {
+        await syncProject(uri);
+    });
+
+    // Jobs sidebar
+    const jobsView = vscode.window.createTreeView('hpcJobs', {
+        treeDataProvider: jobsTreeProvider,
+        showCollapseAll: true,
+    });
+
+    const jobViewCommands = [
+        vscode.commands.registerCommand('hpc-connector.refreshJobs', refreshJobs),
+        registerJobCommand('hpc-connector.jobDetails', job => showJobDetails(job.id)),
+        registerJobCommand('hpc-connector.jobLogs', job => showJobLogs(job.id)),
+        registerJobCommand('hpc-connector.jobScript', job => showJobScript(job)),
+        registerJobCommand('hpc-connector.downloadJob', job => downloadResults(job.id)),
+        registerJobCommand('hpc-connector.cancelJob', job => controlJob(job, 'cancel')),
+        registerJobCommand('hpc-connector.resubmitJob', job => resubmitJob(job.id)),
+        registerJobCommand('hpc-connector.cleanJob', job => cleanJobFiles(job)),
+        vscode.commands.registerCommand('hpc-connector.openRemoteFile', openRemoteFile),
+    ];
+
+    // Active profile indicator
+    profileStatusBar = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 50);
+    profileStatusBar.command = 'hpc-connector.switchProfile';
+    updateProfileStatusBar();
+    profileStatusBar.show();
+
+    const configListener = vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration('hpc-connector')) {
+            updateProfileStatusBar();
+        }
+        if (event.affectsConfiguration('hpc-connector.pollInterval')) {
+            jobWatcher.poke();
+        }
+    });
+
+    // Background status polling with completion notifications
+    const jobChangeListener = jobWatcher.onDidChangeJobs((changes) => {
+        jobsTreeProvider.refresh();
+        for (const { job } of changes) {
+            if (isTerminal(job.status)) {
+                notifyJobFinished(job);
+            }
+        }
+    });
+    const pausedListener = jobWatcher.onDidChangePaused(updateProfileStatusBar);
+    jobWatcher.start();
+
+    context.subscriptions.push(submitCommand, viewJobsCommand, configureCommand, switchProfileCommand, followLogsCommand, runDefinitionCommand, syncProjectCommand, profileStatusBar, configListener, jobChangeListener, pausedListener, jobWatcher);
+    context.subscriptions.push(jobsView, jobsTreeProvider, uiManager, ...jobViewCommands);
 
     logger.info('HPC Connector extension activated');
     vscode.window.showInformationMessage('HPC Connector ready!');
@@ -87,57 +167,146 @@ async function submitJob(uri) {
             return;
         }
 
-        const inputFiles = await uiManager.showInputFilesDialog();
-
-        let executionConfig = null;
-        
-        // C/C++ files
-        if (fileExt === '.c' || fileExt === '.cpp') {
-            executionConfig = await uiManager.showCompileExecuteDialog(fileName);
-            if (executionConfig === null) return;
+        const formOptions = { filePath, configManager, clusterManager };
+        let submission = null;
+        if (configManager.get('skipFormWithDirectives', false)) {
+            submission = SubmissionForm.fromDirectives(extensionContext, formOptions);
         }
-        
-        // CUDA files
-        if (fileExt === '.cu') {
-            executionConfig = await uiManager.showCudaCompileExecuteDialog(fileName);
-            if (executionConfig === null) return;
+        if (!submission) {
+            submission = await SubmissionForm.show(extensionContext, formOptions);
         }
-        
-        // CMake projects
-        if (fileName === 'CMakeLists.txt') {
-            executionConfig = await uiManager.showCMakeCommandsDialog();
-            if (executionConfig === null) return;
+        if (!submission) return;
+
+        await sendSubmission(filePath, submission.inputFiles, submission.jobConfig, submission.reviewScript);
+
+    } catch (error) {
+        logger.error('Submit job failed: ' + error.message);
+        uiManager.showError('Failed to submit job: ' + error.message);
+    }
+}
+
+/**
+ * Submit a prepared job, with the optional script review
+ */
+async function sendSubmission(filePath, inputFiles, jobConfig, reviewScript) {
+    // Optional review of the generated script before anything is uploaded
+    let script;
+    if (reviewScript) {
+        const generated = clusterManager.prepareJob(filePath, inputFiles, jobConfig);
+        script = await uiManager.reviewScript(generated, jobConfig.name);
+        if (script === null) {
+            logger.info('Submission cancelled during script review');
+            return;
         }
+    }
 
-        const jobConfig = await uiManager.showSchedulingDialog(configManager, fileExt);
-        if (!jobConfig) return;
+    logger.info('Job configuration prepared');
 
-        if (executionConfig) {
-            Object.assign(jobConfig, executionConfig);
+    await uiManager.withProgress('Submitting job to cluster...', async (progress) => {
+        progress.report({ message: 'Connecting to cluster...' });
+        
+        const result = await clusterManager.submitJob(filePath, inputFiles, jobConfig, {
+            script,
+            onProgress: message => progress.report({ message }),
+        });
+        
+        logger.info('Job submitted: ' + result.jobId);
+        jobWatcher.poke();
+        jobsTreeProvider.refresh();
+        
+        const viewJob = await vscode.window.showInformationMessage(
+            'Job submitted successfully! Job ID: ' + result.jobId,
+            'View Jobs', 'OK'
+        );
+        
+        if (viewJob === 'View Jobs') {
+            await viewJobs();
         }
+    });
+}
 
-        logger.info('Job configuration prepared');
+/**
+ * Submit one of the jobs defined in the workspace's .hpc.json / hpc.yaml
+ */
+async function runJobDefinition() {
+    try {
+        const definitions = new JobDefinitions(configManager);
+        const files = definitions.findFiles();
+        if (files.length === 0) {
+            uiManager.showError('No job definitions found. Create one of ' + JobDefinitions.DEFINITION_FILES.join(', ') + ' at the workspace root.');
+            return;
+        }
 
-        await uiManager.withProgress('Submitting job to cluster...', async (progress) => {
-            progress.report({ message: 'Connecting to cluster...' });
-            
-            const result = await clusterManager.submitJob(filePath, inputFiles, jobConfig);
-            
-            logger.info('Job submitted: ' + result.jobId);
-            
-            const viewJob = await vscode.window.showInformationMessage(
-                'Job submitted successfully! Job ID: ' + result.jobId,
-                'View Jobs', 'OK'
-            );
-            
-            if (viewJob === 'View Jobs') {
-                await viewJobs();
+        const loaded = files.map(file => definitions.load(file));
+        const items = [];
+        for (const file of loaded) {
+            for (const job of file.jobs) {
+                const resources = job.resources || {};
+                const details = [resources.partition, resources.gpus !== undefined && resources.gpus + ' GPU', resources.time].filter(Boolean);
+                items.push({
+                    label: job.name,
+                    description: job.entry + (files.length > 1 ? ' — ' + path.basename(path.dirname(file.filePath)) : ''),
+                    detail: job.description || details.join(' · ') || undefined,
+                    file,
+                    job,
+                });
             }
+        }
+
+        const picked = await vscode.window.showQuickPick(items, {
+            placeHolder: 'Select a job definition to submit',
+            matchOnDescription: true,
+            matchOnDetail: true,
         });
+        if (!picked) return;
+
+        configManager.validate(picked.job.profile || picked.file.profile);
+
+        logger.info('Submitting job definition: ' + picked.job.name);
+        const { filePath, inputFiles, jobConfig } = await definitions.resolve(picked.file, picked.job);
+        await sendSubmission(filePath, inputFiles, jobConfig, configManager.get('reviewScript', false));
 
     } catch (error) {
-        logger.error('Submit job failed: ' + error.message);
-        uiManager.showError('Failed to submit job: ' + error.message);
+        logger.error('Run job definition failed: ' + error.message);
+        uiManager.showError('Failed to submit job definition: ' + error.message);
+    }
+}
+
+/**
+ * Sync a project folder to its remote mirror ahead of submissions
+ */
+async function syncProject(uri) {
+    try {
+        let folder = null;
+        if (uri) {
+            folder = uri.fsPath;
+        } else {
+            const editor = vscode.window.activeTextEditor;
+            const workspaceFolder = editor
+                ? vscode.workspace.getWorkspaceFolder(editor.document.uri)
+                : (vscode.workspace.workspaceFolders || [])[0];
+            folder = workspaceFolder ? workspaceFolder.uri.fsPath : null;
+        }
+        if (!folder) {
+            uiManager.showError('Open a folder to sync');
+            return;
+        }
+
+        configManager.validate();
+        const profile = configManager.getActiveProfileName();
+        const compare = configManager.get('projectSync', 'mtime');
+
+        await uiManager.withProgress('Syncing ' + path.basename(folder) + '...', async (progress) => {
+            const result = await clusterManager.projectSync.sync(folder, null, {
+                profile,
+                compare: compare === 'off' ? 'mtime' : compare,
+                onProgress: message => progress.report({ message }),
+            });
+            uiManager.showSuccess(`Project synced to ${result.mirrorDir}: ${result.uploaded} uploaded, ${result.deleted} deleted, ${result.files - result.uploaded} unchanged`);
+        });
+    } catch (error) {
+        logger.error('Project sync failed: ' + error.message);
+        uiManager.showError('Failed to sync project: ' + error.message);
     }
 }
 
@@ -154,6 +323,7 @@ async function viewJobs() {
             { label: '$(list-unordered) View Active Jobs', value: 'active' },
             { label: '$(check) View Completed Jobs', value: 'completed' },
             { label: '$(cloud-download) Download Results', value: 'download' },
+            { label: '$(settings-gear) Manage Job (cancel, hold, requeue...)', value: 'manage' },
             { label: '$(trash) Clean Remote Files', value: 'clean' }
         ], {
             placeHolder: 'What would you like to do?'
@@ -171,6 +341,9 @@ async function viewJobs() {
             case 'download':
                 await downloadJobResults();
                 break;
+            case 'manage':
+                await manageJob();
+                break;
             case 'clean':
                 await cleanJobFiles();
                 break;
@@ -219,6 +392,7 @@ async function showJobDetails(jobId) {
         const details = await clusterManager.getJobDetails(jobId);
         uiManager.showJobDetails(details);
     });
+    jobsTreeProvider.refresh();
 }
 
 async function downloadJobResults() {
@@ -232,10 +406,16 @@ async function downloadJobResults() {
     const selectedJob = await uiManager.showJobPicker(completedJobs, 'Select job to download');
     if (!selectedJob) return;
 
+    await downloadResults(selectedJob.id);
+}
+
+async function downloadResults(jobId) {
     await uiManager.withProgress('Downloading results...', async (progress) => {
         progress.report({ message: 'Fetching files from cluster...' });
         
-        const resultsDir = await clusterManager.fetchResults(selectedJob.id);
+        const resultsDir = await clusterManager.fetchResults(jobId, {
+            onProgress: message => progress.report({ message }),
+        });
         
         uiManager.showSuccess('Results downloaded to: ' + resultsDir);
         
@@ -250,17 +430,128 @@ async function downloadJobResults() {
     });
 }
 
-async function cleanJobFiles() {
-    const jobs = clusterManager.loadJobs();
+async function resubmitJob(jobId) {
+    try {
+        const result = await uiManager.withProgress('Resubmitting job...', () =>
+            clusterManager.resubmitJob(jobId)
+        );
+        jobWatcher.poke();
+        jobsTreeProvider.refresh();
+        uiManager.showSuccess('Job resubmitted! Job ID: ' + result.jobId);
+    } catch (error) {
+        logger.error('Resubmit failed: ' + error.message);
+        uiManager.showError('Failed to resubmit job: ' + error.message);
+    }
+}
+
+/**
+ * Notification for a job that reached a final state
+ */
+async function notifyJobFinished(job) {
+    const message = `Job ${job.name} (${job.slurmId}) finished: ${job.status}`;
+    const actions = ['Download Results', 'View Logs', 'Resubmit'];
+    const selection = job.status === 'COMPLETED'
+        ? await vscode.window.showInformationMessage(message, ...actions)
+        : await vscode.window.showWarningMessage(message, ...actions);
+
+    try {
+        switch (selection) {
+            case 'Download Results':
+                await downloadResults(job.id);
+                break;
+            case 'View Logs':
+                await showJobDetails(job.id);
+                break;
+            case 'Resubmit':
+                await resubmitJob(job.id);
+                break;
+        }
+    } catch (error) {
+        logger.error(selection + ' failed: ' + error.message);
+        uiManager.showError(selection + ' failed: ' + error.message);
+    }
+}
+
+async function manageJob() {
+    await clusterManager.ensureStorage();
+    const jobs = clusterManager.loadJobs().filter(j => j.slurmId);
 
     if (jobs.length === 0) {
-        uiManager.showWarning('No jobs to clean');
+        uiManager.showWarning('No jobs to manage');
         return;
     }
 
-    const selectedJob = await uiManager.showJobPicker(jobs, 'Select job to clean');
+    const selectedJob = await uiManager.showJobPicker(jobs.slice().reverse(), 'Select job to manage');
     if (!selectedJob) return;
 
+    const action = await uiManager.showJobControlPicker(selectedJob);
+    if (!action) return;
+
+    await controlJob(selectedJob, action);
+}
+
+async function controlJob(selectedJob, action) {
+    const label = '"' + selectedJob.name + '" (' + SchedulerFactory.getLabel(selectedJob.scheduler) + ' ' + selectedJob.slurmId + ')';
+    let confirmation;
+    let run;
+
+    switch (action) {
+        case 'cancel':
+            confirmation = 'Cancel job ' + label + '? Running work will be lost.';
+            run = () => clusterManager.cancelJob(selectedJob.id);
+            break;
+        case 'hold':
+            confirmation = 'Hold job ' + label + '?';
+            run = () => clusterManager.holdJob(selectedJob.id);
+            break;
+        case 'release':
+            confirmation = 'Release job ' + label + '?';
+            run = () => clusterManager.releaseJob(selectedJob.id);
+            break;
+        case 'requeue':
+            confirmation = 'Requeue job ' + label + '? It will run again from the start.';
+            run = () => clusterManager.requeueJob(selectedJob.id);
+            break;
+        case 'time': {
+            const time = await uiManager.showTimeLimitDialog(selectedJob.config && selectedJob.config.time);
+            if (!time) return;
+            confirmation = 'Change the time limit of ' + label + ' to ' + time + '?';
+            run = () => clusterManager.updateTimeLimit(selectedJob.id, time);
+            break;
+        }
+    }
+
+    const confirmed = await uiManager.confirm(confirmation);
+    if (!confirmed) return;
+
+    try {
+        await uiManager.withProgress('Updating job...', async () => {
+            const job = await run();
+            logger.info('Job ' + selectedJob.id + ' ' + action + ' done, status: ' + job.status);
+            uiManager.showSuccess('Job ' + label + ': ' + job.status + (job.held ? ' (held)' : ''));
+        });
+        jobsTreeProvider.refresh();
+    } catch (error) {
+        logger.error('Job control failed: ' + error.message);
+        uiManager.showError('Job control failed: ' + error.message);
+    }
+}
+
+async function cleanJobFiles(job = null) {
+    let selectedJob = job;
+
+    if (!selectedJob) {
+        const jobs = clusterManager.loadJobs();
+
+        if (jobs.length === 0) {
+            uiManager.showWarning('No jobs to clean');
+            return;
+        }
+
+        selectedJob = await uiManager.showJobPicker(jobs, 'Select job to clean');
+        if (!selectedJob) return;
+    }
+
     const confirmed = await uiManager.confirm(
         'Are you sure you want to delete remote files for job "' + selectedJob.name + '"?'
     );
@@ -271,16 +562,152 @@ async function cleanJobFiles() {
         await clusterManager.cleanRemoteJob(selectedJob.id);
         uiManager.showSuccess('Remote files cleaned successfully');
     });
+    jobsTreeProvider.refresh();
+}
+
+// ===== Jobs view =====
+
+/**
+ * Register a command invoked on a job node of the jobs view
+ */
+function registerJobCommand(command, handler) {
+    return vscode.commands.registerCommand(command, async (node) => {
+        if (!node || !node.job) return;
+        try {
+            await handler(node.job);
+        } catch (error) {
+            logger.error(command + ' failed: ' + error.message);
+            uiManager.showError(error.message);
+        }
+    });
+}
+
+async function refreshJobs() {
+    try {
+        await vscode.window.withProgress(
+            { location: { viewId: 'hpcJobs' }, title: 'Checking job status...' },
+            () => clusterManager.getJobStatus({ force: true })
+        );
+    } catch (error) {
+        logger.error('Refresh jobs failed: ' + error.message);
+        uiManager.showError('Failed to refresh jobs: ' + error.message);
+    }
+    jobsTreeProvider.refresh();
+    jobWatcher.poke();
+}
+
+async function showJobLogs(jobId) {
+    await uiManager.withProgress('Loading job logs...', async () => {
+        const details = await clusterManager.getJobDetails(jobId);
+        uiManager.showJobLogs(details);
+    });
+}
+
+/**
+ * Stream a job's logs into a terminal (picks an active job if none is given)
+ */
+async function followLogs(job = null) {
+    try {
+        let selectedJob = job;
+
+        if (!selectedJob) {
+            await clusterManager.ensureStorage();
+            const jobs = clusterManager.loadJobs().filter(j => j.slurmId).reverse();
+            const activeJobs = jobs.filter(j => !isTerminal(j.status));
+
+            if (jobs.length === 0) {
+                uiManager.showWarning('No jobs to follow');
+                return;
+            }
+
+            selectedJob = await uiManager.showJobPicker(activeJobs.length > 0 ? activeJobs : jobs, 'Select job to follow');
+            if (!selectedJob) return;
+        }
+
+        LogTailTerminal.open(clusterManager, selectedJob, {
+            onJobChanged: () => jobsTreeProvider.refresh(),
+        });
+    } catch (error) {
+        logger.error('Follow logs failed: ' + error.message);
+        uiManager.showError('Failed to follow logs: ' + error.message);
+    }
+}
+
+async function showJobScript(job) {
+    if (!job.script) {
+        uiManager.showWarning('No script was recorded for job ' + job.name);
+        return;
+    }
+    const document = await vscode.workspace.openTextDocument({ language: 'shellscript', content: job.script });
+    await vscode.window.showTextDocument(document, { preview: true });
+}
+
+async function openRemoteFile(node) {
+    if (!node || !node.job || !node.file) return;
+    try {
+        const localPath = await uiManager.withProgress('Downloading ' + node.file.name + '...', progress =>
+            clusterManager.fetchResultFile(node.job.id, node.file.path, {
+                onProgress: message => progress.report({ message }),
+            })
+        );
+        await vscode.window.showTextDocument(vscode.Uri.file(localPath), { preview: true });
+    } catch (error) {
+        logger.error('Open remote file failed: ' + error.message);
+        uiManager.showError('Failed to open ' + node.file.name + ': ' + error.message);
+    }
+}
+
+async function switchProfile() {
+    try {
+        const profile = await uiManager.showProfilePicker(configManager);
+        if (!profile) return;
+
+        await configManager.setActiveProfile(profile);
+        updateProfileStatusBar();
+
+        logger.info('Active profile: ' + profile);
+        uiManager.showSuccess('Active cluster profile: ' + profile);
+    } catch (error) {
+        logger.error('Switch profile failed: ' + error.message);
+        uiManager.showError('Failed to switch profile: ' + error.message);
+    }
+}
+
+/**
+ * Show the active profile, and the profiles whose job watching is paused
+ */
+function updateProfileStatusBar() {
+    if (!profileStatusBar) return;
+    try {
+        profileStatusBar.text = '$(server) HPC: ' + configManager.getActiveProfileName();
+    } catch (error) {
+        profileStatusBar.text = '$(server) HPC';
+    }
+
+    const paused = jobWatcher ? jobWatcher.paused : [];
+    const tooltip = ['HPC: Switch Cluster Profile'];
+    if (paused.length > 0) {
+        profileStatusBar.text += ' $(debug-pause)';
+        tooltip.push('', 'Job watching paused (connecting needs a prompt):');
+        for (const { profile, reason } of paused) {
+            tooltip.push(`- ${profile}: ${reason}`);
+        }
+        tooltip.push('', 'Refresh the HPC Jobs view to connect and resume.');
+    }
+    profileStatusBar.tooltip = tooltip.join('\n');
 }
 
 async function configureConnection() {
     try {
-        const currentHost = configManager.get('clusterHost') || '';
-        const currentUser = configManager.get('username') || '';
-        const currentPort = configManager.get('sshPort') || 22;
+        const profile = configManager.getActiveProfileName();
+        const clusterInfo = configManager.getClusterInfo(profile);
+        const currentHost = clusterInfo.host || '';
+        // Only the setting: a User from ~/.ssh/config stays in that file
+        const currentUser = configManager.getProfile(profile).username || '';
+        const currentPort = clusterInfo.port || 22;
 
         const clusterHost = await vscode.window.showInputBox({
-            prompt: 'Cluster Hostname',
+            prompt: `Cluster Hostname (profile: ${profile})`,
             value: currentHost,
             placeHolder: 'hpc.example.com'
         });
@@ -300,11 +727,16 @@ async function configureConnection() {
         });
         if (sshPort === undefined) return;
 
-        await configManager.set('clusterHost', clusterHost.trim());
-        await configManager.set('username', username.trim());
-        await configManager.set('sshPort', parseInt(sshPort));
+        await configManager.updateProfile(profile, {
+            clusterHost: clusterHost.trim(),
+            username: username.trim(),
+            sshPort: parseInt(sshPort),
+        });
 
-        logger.info('Configuration saved');
+        // Reconnect with the new settings on next use
+        clusterManager.getConnectionManager(profile).disconnect();
+
+        logger.info('Configuration saved for profile ' + profile);
         
         uiManager.showSuccess('Configuration saved successfully!');
 
@@ -342,11 +774,20 @@ async function testConnection() {
 function deactivate() {
     logger.info('HPC Connector extension deactivating...');
     
+    if (jobWatcher) {
+        jobWatcher.stop();
+    }
+
     if (clusterManager) {
         clusterManager.disconnect();
     }
-    
+
     logger.info('Extension deactivated');
+
+    // Session-cached passwords do not outlive the session
+    if (authPrompter) {
+        return authPrompter.clearSession();
+    }
 }
 
 module.exports = {
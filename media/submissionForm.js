@@ -0,0 +1,199 @@
+// Webview side of the job submission form (see src/submissionForm.js)
+(function () {
+    const vscode = acquireVsCodeApi();
+    const form = document.getElementById('form');
+    const profileSelect = document.getElementById('profile');
+    const partitionSelect = document.getElementById('partition');
+    const partitionInfo = document.getElementById('partition-info');
+    const fileList = document.getElementById('input-files');
+    const preview = document.getElementById('preview');
+    const uploadSelect = document.getElementById('upload');
+
+    let partitions = [];
+    let changeTimer = null;
+
+    function collectValues() {
+        const values = {};
+        for (const element of form.elements) {
+            if (element.name) values[element.name] = element.type === 'checkbox' ? element.checked : element.value;
+        }
+        return values;
+    }
+
+    function setValues(values) {
+        for (const element of form.elements) {
+            if (!element.name || values[element.name] === undefined || element.tagName === 'SELECT') continue;
+            if (element.type === 'checkbox') {
+                element.checked = Boolean(values[element.name]);
+            } else {
+                element.value = values[element.name];
+            }
+        }
+    }
+
+    function setOptions(select, options, selected) {
+        select.textContent = '';
+        for (const option of options) {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        }
+        if (selected !== undefined && !options.some(o => o.value === selected)) {
+            // Keep a remembered value that is not in the list
+            const element = document.createElement('option');
+            element.value = selected;
+            element.textContent = selected;
+            select.insertBefore(element, select.firstChild);
+        }
+        select.value = selected;
+    }
+
+    function showPartitionInfo() {
+        const partition = partitions.find(p => p.name === partitionSelect.value);
+        partitionInfo.textContent = partition ? partition.description : '';
+    }
+
+    function renderFiles(files) {
+        fileList.textContent = '';
+        if (files.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'hint';
+            empty.textContent = 'No additional files';
+            fileList.appendChild(empty);
+            return;
+        }
+        files.forEach((file, index) => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = file;
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'secondary small';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => vscode.postMessage({ type: 'removeFile', index }));
+            item.append(name, remove);
+            fileList.appendChild(item);
+        });
+    }
+
+    function showDirectives(directives) {
+        const element = document.getElementById('directives');
+        if (!directives || directives.count === 0) return;
+
+        const parts = [];
+        if (directives.fields.length > 0) parts.push('Set from file directives: ' + directives.fields.join(', ') + '.');
+        if (directives.extraDirectives.length > 0) parts.push('Passed through: ' + directives.extraDirectives.join(' ') + '.');
+        if (directives.ignored.length > 0) parts.push('Ignored (the extension manages logs): ' + directives.ignored.join(' ') + '.');
+        element.textContent = parts.join(' ');
+        element.hidden = false;
+    }
+
+    function formatSize(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return (bytes / 1024 / 1024 / 1024).toFixed(1) + ' GB';
+        if (bytes >= 1024 * 1024) return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+        return Math.ceil(bytes / 1024) + ' KB';
+    }
+
+    function showProject(project) {
+        const info = document.getElementById('upload-info');
+        document.getElementById('folder-row').hidden = uploadSelect.value !== 'folder';
+        document.getElementById('project-dir').textContent = project ? project.projectDir : '';
+
+        if (!project || project.error) {
+            info.textContent = '';
+            return;
+        }
+        info.textContent = `${project.files} files, ${formatSize(project.size)}` +
+            (project.ignoreFile ? `, filtered by ${project.ignoreFile}` : ', no .hpcignore or .gitignore found');
+    }
+
+    function showErrors(errors) {
+        for (const element of document.querySelectorAll('.error')) {
+            const field = element.dataset.for;
+            element.textContent = errors[field] || '';
+            const input = form.elements[field];
+            if (input) input.classList.toggle('invalid', Boolean(errors[field]));
+        }
+        document.getElementById('submit').disabled = Object.keys(errors).length > 0;
+    }
+
+    function notifyChange() {
+        clearTimeout(changeTimer);
+        changeTimer = setTimeout(() => vscode.postMessage({ type: 'change', values: collectValues() }), 200);
+    }
+
+    window.addEventListener('message', (event) => {
+        const message = event.data;
+        switch (message.type) {
+            case 'init': {
+                document.getElementById('file-name').textContent = message.fileName;
+                setOptions(profileSelect, message.profiles.map(p => ({ value: p, label: p })), message.values.profile);
+                setOptions(partitionSelect, [], message.values.partition);
+                document.getElementById('upload-workspace').hidden = !message.workspaceFolder;
+                uploadSelect.value = message.values.upload;
+                setValues(message.values);
+                renderFiles(message.values.inputFiles);
+                showDirectives(message.directives);
+
+                const ui = message.uiConfig;
+                const visible = {
+                    gpus: ui.showGPUs !== false,
+                    pythonEnv: Boolean(ui.showPythonEnv),
+                    compileCommand: Boolean(ui.showCompileCommand),
+                    cmakeConfigureCommand: Boolean(ui.showCMakeCommands),
+                    cmakeBuildCommand: Boolean(ui.showCMakeCommands),
+                    executeCommand: Boolean(ui.showExecuteCommand),
+                };
+                for (const [field, show] of Object.entries(visible)) {
+                    const label = document.querySelector(`[data-field="${field}"]`);
+                    label.hidden = !show;
+                    label.querySelector('input').disabled = !show;
+                }
+                document.querySelector('[data-section="execution"]').hidden =
+                    !Object.entries(visible).some(([field, show]) => field !== 'gpus' && show);
+                break;
+            }
+            case 'partitions': {
+                partitions = message.partitions;
+                const current = partitionSelect.value;
+                const options = partitions.map(p => ({ value: p.name, label: p.name }));
+                setOptions(partitionSelect, options, current);
+                partitionInfo.textContent = message.loading ? 'Loading partitions from the cluster…' : '';
+                if (!message.loading) {
+                    showPartitionInfo();
+                    if (!message.live) partitionInfo.textContent += ' (configured partitions, cluster not reachable)';
+                }
+                break;
+            }
+            case 'upload':
+                uploadSelect.value = message.upload;
+                break;
+            case 'files':
+                renderFiles(message.inputFiles);
+                break;
+            case 'state':
+                showErrors(message.errors);
+                preview.textContent = message.preview;
+                showProject(message.project);
+                break;
+        }
+    });
+
+    form.addEventListener('input', notifyChange);
+    form.addEventListener('change', () => {
+        showPartitionInfo();
+        notifyChange();
+    });
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        clearTimeout(changeTimer);
+        vscode.postMessage({ type: 'submit', values: collectValues() });
+    });
+    document.getElementById('cancel').addEventListener('click', () => vscode.postMessage({ type: 'cancel' }));
+    document.getElementById('choose-folder').addEventListener('click', () => vscode.postMessage({ type: 'chooseFolder' }));
+    document.getElementById('add-files').addEventListener('click', () => vscode.postMessage({ type: 'addFiles' }));
+    document.getElementById('refresh-partitions').addEventListener('click', () => vscode.postMessage({ type: 'refreshPartitions' }));
+
+    vscode.postMessage({ type: 'ready' });
+})();
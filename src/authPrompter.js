@@ -0,0 +1,164 @@
+const vscode = require('vscode');
+const { getInstance: getLogger } = require('./logger');
+
+const SECRET_PREFIX = 'hpc-connector.password.';
+
+/**
+ * Answers SSH authentication prompts through VS Code UI
+ *
+ * Handles:
+ * - Password, TOTP and Duo-style prompts (password fields are masked)
+ * - Trust-on-first-use confirmation of unknown host keys
+ * - Optional session cache of passwords in VS Code SecretStorage
+ *   (only for profiles with rememberPassword enabled)
+ *
+ * One-time codes are never cached.
+ */
+class AuthPrompter {
+    constructor(secretStorage) {
+        this.secrets = secretStorage;
+        this.logger = getLogger();
+        this.pending = new Map();      // target -> password typed during the current attempt
+        this.triedCached = new Set();  // targets whose cached password was already offered
+        this.sessionKeys = new Set();  // secrets stored during this session
+    }
+
+    /**
+     * Answer a keyboard-interactive request
+     *
+     * @param {string} target - user@host the prompts belong to
+     * @param {string} name - Request name sent by the server
+     * @param {string} instructions - Instructions sent by the server
+     * @param {Array} prompts - [{ prompt, echo }]
+     * @returns {Promise<string[]|null>} Answers, or null if the user cancelled
+     */
+    async promptKeyboardInteractive(target, name, instructions, prompts) {
+        const answers = [];
+
+        for (const { prompt, echo } of prompts) {
+            const label = prompt.trim().replace(/:$/, '');
+
+            if (this.isPasswordPrompt(prompt) && !this.triedCached.has(target)) {
+                const cached = await this.getCachedPassword(target);
+                if (cached) {
+                    this.logger.info('Using cached password for ' + target);
+                    this.triedCached.add(target);
+                    this.pending.set(target, cached);
+                    answers.push(cached);
+                    continue;
+                }
+            }
+
+            const answer = await vscode.window.showInputBox({
+                title: `${name || 'SSH Authentication'} (${target})`,
+                prompt: instructions ? `${instructions.trim()} — ${label}` : label,
+                password: !echo,
+                ignoreFocusOut: true,
+            });
+
+            if (answer === undefined) {
+                this.logger.warn('Keyboard-interactive authentication cancelled by user');
+                return null;
+            }
+
+            if (this.isPasswordPrompt(prompt)) {
+                this.pending.set(target, answer);
+            }
+            answers.push(answer);
+        }
+
+        return answers;
+    }
+
+    /**
+     * Ask whether to trust an unknown host key (trust on first use)
+     *
+     * @returns {Promise<boolean>} true if the user trusts the key
+     */
+    async confirmHostKey(hostName, keyType, fingerprint, knownTypes = []) {
+        const lines = [
+            `The authenticity of host '${hostName}' can't be established.`,
+            `${keyType} key fingerprint is ${fingerprint}.`,
+        ];
+        if (knownTypes.length > 0) {
+            lines.push(`Keys of other types are already known for this host: ${knownTypes.join(', ')}.`);
+        }
+        lines.push('Compare the fingerprint with the one published by your cluster administrators before trusting it.');
+
+        const selection = await vscode.window.showWarningMessage(
+            `Trust host ${hostName}?`,
+            { modal: true, detail: lines.join('\n') },
+            'Trust Host'
+        );
+        return selection === 'Trust Host';
+    }
+
+    /**
+     * Called once the connection is ready: cache the password if the user opted in
+     *
+     * @param {string} target - user@host
+     * @param {boolean} remember - rememberPassword of the profile being connected
+     */
+    async onAuthSuccess(target, remember = false) {
+        const password = this.pending.get(target);
+        this.pending.delete(target);
+        this.triedCached.delete(target);
+
+        if (!password || !remember) return;
+
+        try {
+            await this.secrets.store(SECRET_PREFIX + target, password);
+            this.sessionKeys.add(SECRET_PREFIX + target);
+            this.logger.info('Password cached in SecretStorage for ' + target);
+        } catch (error) {
+            this.logger.warn('Could not cache password: ' + error.message);
+        }
+    }
+
+    /**
+     * Called when authentication fails: drop a cached password that no longer works
+     */
+    async onAuthFailure(target) {
+        const usedCache = this.triedCached.has(target);
+        this.pending.delete(target);
+        this.triedCached.delete(target);
+
+        if (usedCache) {
+            this.logger.warn('Cached password rejected for ' + target + ', removing it');
+            await this.clearPassword(target);
+        }
+    }
+
+    /**
+     * Heuristic for prompts that ask for a reusable password (not an OTP)
+     */
+    isPasswordPrompt(prompt) {
+        return /password|passphrase/i.test(prompt) && !/otp|one[- ]time|token|code|verification/i.test(prompt);
+    }
+
+    async getCachedPassword(target) {
+        try {
+            return await this.secrets.get(SECRET_PREFIX + target);
+        } catch (error) {
+            this.logger.debug('Could not read SecretStorage: ' + error.message);
+            return undefined;
+        }
+    }
+
+    async clearPassword(target) {
+        this.sessionKeys.delete(SECRET_PREFIX + target);
+        await this.secrets.delete(SECRET_PREFIX + target);
+    }
+
+    /**
+     * Remove every password cached during this session
+     */
+    async clearSession() {
+        for (const key of this.sessionKeys) {
+            await this.secrets.delete(key);
+        }
+        this.sessionKeys.clear();
+    }
+}
+
+module.exports = AuthPrompter;
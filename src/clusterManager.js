@@ -1,35 +1,115 @@
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
 const ConnectionManager = require('./connectionManager');
+const LocalConnectionManager = require('./localConnectionManager');
 const StorageManager = require('./storageManager');
 const ScriptBuilder = require('./scriptBuilder');
+const PartitionCatalog = require('./partitionCatalog');
+const IgnoreRules = require('./ignoreRules');
+const ProjectSync = require('./projectSync');
+const SafetyManager = require('./safetyManager');
+const SchedulerFactory = require('./schedulers/schedulerFactory');
+const { createTarStream, createExtractStream } = require('./tarStream');
+const { quote, quoteAll } = require('./shellQuote');
+const { isTerminal } = require('./jobStates');
+const { TIME_PATTERN } = require('./jobValidation');
 const { getInstance: getLogger } = require('./logger');
 
+const STATUS_MARKER = '---HPC-STATUS---';
+const STATUS_BATCH_SIZE = 100; // Job IDs per queue / accounting call
+const MKDIR_BATCH_SIZE = 200; // Directories per mkdir call during project uploads
+const TAR_EXIT_TIMEOUT = 30 * 1000; // Wait for the remote tar to exit after the stream ends
+
 /**
  * Manages cluster operations and job lifecycle
  * 
  * Responsibilities:
- * - Submit jobs to SLURM
+ * - Submit jobs to the profile's batch scheduler (SLURM or PBS, see schedulers/)
  * - Monitor job status
+ * - Control jobs (cancel, hold, release, requeue, time limit)
  * - Download results
  * - Clean remote files
  * - Persist job metadata locally (via StorageManager)
+ * - Check every remote path it creates, writes, reads or deletes (via SafetyManager)
+ * - Keep one SSH connection per cluster profile
  */
 class ClusterManager {
-    constructor(configManager) {
+    /**
+     * @param {ConfigManager} configManager
+     * @param {object} options - Optional { authPrompter } forwarded to ConnectionManager
+     */
+    constructor(configManager, options = {}) {
         this.config = configManager;
-        this.connectionManager = new ConnectionManager(configManager);
+        this.connectionOptions = options;
+        this.connectionManagers = new Map(); // profile name -> ConnectionManager
         this.storageManager = new StorageManager();
-        this.scriptBuilder = new ScriptBuilder();
+        this.safetyManager = new SafetyManager(configManager);
+        this.scriptBuilder = new ScriptBuilder(this.safetyManager);
+        this.partitionCatalog = new PartitionCatalog(this);
+        this.projectSync = new ProjectSync(this);
+        this.tarAvailable = new Map(); // profile -> whether the cluster has tar
+        this.statusTtl = 30 * 1000; // Re-query job statuses older than 30 seconds
+        this.profilesMigrated = false;
+        this.orphanWarnings = new Set(); // Jobs already reported as orphaned this session
         this.logger = getLogger();
         this.logger.info('ClusterManager initialized');
     }
 
     /**
      * Ensure storage is initialized
+     *
+     * @param {object} options - { interactive: false } never asks for a storage folder
+     * @returns {Promise<boolean>} false if storage is not set up and may not be asked for
      */
-    async ensureStorage() {
-        await this.storageManager.initialize();
+    async ensureStorage(options = {}) {
+        if (!await this.storageManager.initialize(options)) {
+            return false;
+        }
+        if (!this.profilesMigrated) {
+            this.profilesMigrated = true;
+            this._migrateJobProfiles();
+        }
+        return true;
+    }
+
+    /**
+     * Record the profile of jobs submitted before profiles existed
+     *
+     * A job is assigned the profile whose jobs directory contains its remote
+     * directory, or the only profile if there is just one. Jobs that match
+     * several profiles or none stay without a profile and are treated as
+     * orphaned (see getJobProfile()).
+     */
+    _migrateJobProfiles() {
+        const jobs = this.loadJobs();
+        const legacy = jobs.filter(job => !job.profile);
+        if (legacy.length === 0) return;
+
+        const names = this.config.getProfileNames();
+        const jobsDirs = names.map(name => ({ name, jobsDir: this.config.getClusterInfo(name).jobsDir.replace(/\/$/, '') }));
+
+        let migrated = 0;
+        for (const job of legacy) {
+            const matches = jobsDirs.filter(({ jobsDir }) => String(job.remoteDir || '').startsWith(jobsDir + '/'));
+            if (matches.length === 1) {
+                job.profile = matches[0].name;
+            } else if (matches.length === 0 && names.length === 1) {
+                job.profile = names[0];
+            } else {
+                continue;
+            }
+            migrated++;
+            this.logger.info(`Job ${job.id} assigned to profile ${job.profile}`);
+        }
+
+        if (migrated > 0) {
+            this.saveJobs(jobs);
+        }
+        if (migrated < legacy.length) {
+            this.logger.warn(`${legacy.length - migrated} jobs predate profiles and match no single profile; they are not polled`);
+        }
     }
 
     /**
@@ -47,71 +127,187 @@ class ClusterManager {
     }
 
     // ===== Connection Methods =====
+
+    /**
+     * Get the connection manager of a profile (defaults to the active profile)
+     *
+     * Profiles with `backend: local` get the fake cluster on this machine;
+     * a changed backend setting replaces the manager on next use.
+     */
+    getConnectionManager(profile = null) {
+        const name = profile || this.config.getActiveProfileName();
+        const Manager = this.config.getClusterInfo(name).backend === 'local' ? LocalConnectionManager : ConnectionManager;
+        const current = this.connectionManagers.get(name);
+        if (current instanceof Manager) {
+            return current;
+        }
+
+        if (current) {
+            current.disconnect();
+        }
+        const options = Object.assign({}, this.connectionOptions, { profile: name });
+        const manager = new Manager(this.config, options);
+        this.connectionManagers.set(name, manager);
+        return manager;
+    }
+
+    /**
+     * Check whether a profile has an open connection
+     */
+    isConnected(profile = null) {
+        const manager = this.connectionManagers.get(profile || this.config.getActiveProfileName());
+        return Boolean(manager && manager.connection);
+    }
+
+    /**
+     * Profile a job was submitted to
+     *
+     * @throws Error if the job is orphaned (see getOrphanReason())
+     */
+    getJobProfile(job) {
+        const reason = this.getOrphanReason(job);
+        if (reason) {
+            throw new Error(`Job ${job.name || job.id} cannot be reached: ${reason}`);
+        }
+        return job.profile;
+    }
+
+    /**
+     * Why a job belongs to no existing profile, or null if it does
+     *
+     * Orphaned jobs are never sent to another cluster: they are skipped by
+     * status polling and every remote action on them fails.
+     */
+    getOrphanReason(job) {
+        if (!job.profile) {
+            return 'it predates cluster profiles and matches none of them';
+        }
+        if (!this.config.getProfileNames().includes(job.profile)) {
+            return `its profile "${job.profile}" no longer exists`;
+        }
+        return null;
+    }
+
+    /**
+     * Batch scheduler of a profile (`scheduler` setting)
+     */
+    getScheduler(profile = null) {
+        return SchedulerFactory.createScheduler(this.config.getClusterInfo(profile).scheduler);
+    }
+
+    /**
+     * Scheduler a job was submitted to (older records predate the setting)
+     */
+    getJobScheduler(job) {
+        return job.scheduler
+            ? SchedulerFactory.createScheduler(job.scheduler)
+            : this.getScheduler(this.getJobProfile(job));
+    }
     
-    async connect() {
-        return this.connectionManager.getConnection();
+    async connect(profile = null) {
+        return this.getConnectionManager(profile).getConnection();
     }
 
     async executeCommand(command, options = {}) {
-        return this.connectionManager.executeCommand(command, options);
+        return this.getConnectionManager(options.profile).executeCommand(command, options);
     }
 
     async uploadFile(localPath, remotePath, options = {}) {
-        return this.connectionManager.uploadFile(localPath, remotePath, options);
+        this.safetyManager.validatePath(remotePath, options.profile, 'upload');
+        return this.getConnectionManager(options.profile).uploadFile(localPath, remotePath, options);
     }
 
     async downloadFile(remotePath, localPath, options = {}) {
-        return this.connectionManager.downloadFile(remotePath, localPath, options);
+        this.safetyManager.validatePath(remotePath, options.profile, 'download');
+        return this.getConnectionManager(options.profile).downloadFile(remotePath, localPath, options);
     }
 
-    async downloadDirectory(remotePath, localPath) {
-        const conn = await this.connect();
-        return new Promise((resolve, reject) => {
-            conn.sftp(async (err, sftp) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-                try {
-                    await this._downloadDirRecursive(sftp, remotePath, localPath);
-                    resolve();
-                } catch (error) {
-                    reject(error);
-                }
-            });
-        });
+    async openExecStream(command, options = {}) {
+        return this.getConnectionManager(options.profile).openExecStream(command, options);
     }
 
-    async _downloadDirRecursive(sftp, remotePath, localPath) {
-        if (!fs.existsSync(localPath)) {
-            fs.mkdirSync(localPath, { recursive: true });
-        }
+    async openExecChannel(command, options = {}) {
+        return this.getConnectionManager(options.profile).openExecChannel(command);
+    }
 
-        return new Promise((resolve, reject) => {
-            sftp.readdir(remotePath, async (err, list) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+    /**
+     * Download a remote directory, as a tar stream when it holds many files
+     *
+     * @param {object} options - { onProgress(message) }
+     */
+    async downloadDirectory(remotePath, localPath, profile = null, options = {}) {
+        const onProgress = options.onProgress;
+        this.safetyManager.validatePath(remotePath, profile, 'download');
+        const { stdout, stderr, code } = await this.executeCommand(`cd ${quote(remotePath)} && find . -type f -printf '%s|%P\\0'`, { profile });
+        if (code) {
+            throw new Error(`Cannot list ${remotePath}: ${(stderr || '').trim()}`);
+        }
+        // NUL-separated: file names may contain newlines
+        const files = stdout.split('\0')
+            .map(line => line.match(/^(\d+)\|([\s\S]+)$/))
+            .filter(Boolean)
+            .map(match => ({ size: parseInt(match[1]), relativePath: match[2] }));
 
-                for (const item of list) {
-                    const remoteFile = path.posix.join(remotePath, item.filename);
-                    const localFile = path.join(localPath, item.filename);
-
-                    if (item.attrs.isDirectory()) {
-                        await this._downloadDirRecursive(sftp, remoteFile, localFile);
-                    } else {
-                        await new Promise((res, rej) => {
-                            sftp.fastGet(remoteFile, localFile, (err) => {
-                                if (err) rej(err);
-                                else res();
-                            });
-                        });
-                    }
-                }
-                resolve();
+        fs.mkdirSync(localPath, { recursive: true });
+        if (await this._useTar(files.length, profile)) {
+            this.logger.info(`Downloading ${remotePath} as a tar stream`);
+            let count = 0;
+            const extract = createExtractStream(localPath, {
+                onEntry: () => onProgress && onProgress(`Downloading archive (${++count}/${files.length} files)...`),
             });
-        });
+            const channel = await this.openExecChannel(`cd ${quote(remotePath)} && tar czf - .`, { profile });
+            await this._runTarChannel(channel, () => pipeline(channel, zlib.createGunzip(), extract));
+            return;
+        }
+
+        for (const dir of new Set(files.map(f => path.posix.dirname(f.relativePath)))) {
+            fs.mkdirSync(path.join(localPath, ...dir.split('/')), { recursive: true });
+        }
+        await this.getConnectionManager(profile).downloadFiles(files.map(file => ({
+            remotePath: `${remotePath}/${file.relativePath}`,
+            localPath: path.join(localPath, ...file.relativePath.split('/')),
+            size: file.size,
+        })), { onProgress: this._transferProgress('Downloading', onProgress) });
+    }
+
+    /**
+     * Turn TransferEngine progress into a message for a progress notification
+     *
+     * e.g. "Uploading 3/12 files, 4.2 MB of 18.0 MB (data.csv 40%)"
+     *
+     * @returns {Function|undefined} Progress callback, undefined without onProgress
+     */
+    _transferProgress(verb, onProgress) {
+        if (!onProgress) return undefined;
+        return (progress) => {
+            let message = `${verb} ${progress.files}/${progress.totalFiles} files, ${ClusterManager.formatSize(progress.bytes)} of ${ClusterManager.formatSize(progress.totalBytes)}`;
+            if (progress.fileBytes < progress.fileSize) {
+                const percent = Math.floor(progress.fileBytes / progress.fileSize * 100);
+                message += ` (${path.basename(progress.file)} ${percent}%)`;
+            }
+            onProgress(message);
+        };
+    }
+
+    // ===== Partitions =====
+
+    /**
+     * Get live partitions of a profile (cached, see PartitionCatalog)
+     *
+     * @returns {Promise<Array>} Partitions, or an empty array if discovery fails
+     */
+    async getPartitions(profile = null, options = {}) {
+        const name = profile || this.config.getActiveProfileName();
+        // The local cluster has no sinfo; its queue ignores the partition
+        if (!this.getScheduler(name).discoversPartitions || this.config.getClusterInfo(name).backend === 'local') {
+            return [];
+        }
+        try {
+            return await this.partitionCatalog.getPartitions(name, options);
+        } catch (error) {
+            this.logger.warn('Partition discovery failed on ' + name + ': ' + error.message);
+            return [];
+        }
     }
 
     // ===== Job Submission =====
@@ -126,67 +322,126 @@ class ClusterManager {
         return `${timestamp}-${ms}`;
     }
 
-    async submitJob(filePath, inputFiles, jobConfig) {
-        await this.ensureStorage();
-        
-        this.logger.info('Submitting job: ' + jobConfig.name);
-        
-        const clusterInfo = this.config.getClusterInfo();
-        const fileName = path.basename(filePath);
-        
-        const jobId = this.generateJobId();
-        jobConfig.id = jobId;
-        jobConfig.fileName = fileName;
+    /**
+     * Assign an ID to a job and generate its batch script
+     *
+     * Does not touch the cluster, so the script can be reviewed before
+     * anything is uploaded.
+     *
+     * @returns {string} Generated script
+     */
+    prepareJob(filePath, inputFiles, jobConfig) {
+        const profile = jobConfig.profile || this.config.getActiveProfileName();
+        jobConfig.profile = profile;
+
+        jobConfig.id = this.generateJobId();
+        jobConfig.fileName = path.basename(filePath);
         jobConfig.submitted = new Date().toISOString();
         jobConfig.inputFiles = inputFiles || [];
 
+        if (jobConfig.projectDir) {
+            // The file runs from its own folder inside the uploaded project
+            const workDir = this._projectPath(jobConfig.projectDir, path.dirname(filePath));
+            jobConfig.workDir = workDir || undefined;
+            const entries = this.collectProjectFiles(jobConfig.projectDir, filePath).map(f => f.relativePath.split('/')[0]);
+            jobConfig.projectEntries = Array.from(new Set(entries));
+        }
+
+        this.logger.info('Generating batch script for job ' + jobConfig.id);
+        return this.scriptBuilder.buildScript(jobConfig, this.config.getClusterInfo(profile));
+    }
+
+    /**
+     * Submit a job
+     *
+     * @param {string} filePath - Local file to run
+     * @param {string[]} inputFiles - Additional local files to upload
+     * @param {object} jobConfig - Job configuration (prepared by prepareJob() if it has an ID)
+     * @param {object} options - Optional { script } to submit instead of the generated one,
+     *                           and { onProgress(message) } for file uploads
+     * @returns {Promise<object>} { jobId, slurmId } (slurmId is the scheduler's job ID, also for PBS)
+     */
+    async submitJob(filePath, inputFiles, jobConfig, options = {}) {
+        await this.ensureStorage();
+
+        let batchScript = options.script;
+        if (!jobConfig.id) {
+            const generated = this.prepareJob(filePath, inputFiles, jobConfig);
+            batchScript = batchScript || generated;
+        } else if (!batchScript) {
+            batchScript = this.scriptBuilder.buildScript(jobConfig, this.config.getClusterInfo(jobConfig.profile));
+        }
+
+        const profile = jobConfig.profile;
+        const jobId = jobConfig.id;
+        const fileName = jobConfig.fileName;
+        const scheduler = this.getScheduler(profile);
+
+        this.logger.info('Submitting job: ' + jobConfig.name + ' (profile: ' + profile + ')');
         this.logger.info('Job ID: ' + jobId);
 
-        const remoteJobDir = `${clusterInfo.jobsDir}/${jobId}`;
+        const remoteJobDir = this.safetyManager.getSafeJobPath(jobId, profile);
 
         // Create remote directory
         this.logger.info('Creating remote directory: ' + remoteJobDir);
-        await this.executeCommand(`mkdir -p ${remoteJobDir}`);
+        await this.executeCommand(`mkdir -p ${quote(remoteJobDir)}`, { profile });
 
-        // Upload main script
-        this.logger.info('Uploading script: ' + fileName);
-        const remoteFilePath = `${remoteJobDir}/${fileName}`;
-        await this.uploadFile(filePath, remoteFilePath);
+        const uploads = []; // Single files, sent together by the transfer engine
+        let projectMirror = null;
+        const syncMode = this.config.get('projectSync', 'mtime');
+        if (jobConfig.projectDir && syncMode !== 'off') {
+            // Incremental sync to the persistent mirror, then a hardlink snapshot
+            const sync = await this.projectSync.sync(jobConfig.projectDir, filePath, {
+                profile,
+                compare: syncMode,
+                onProgress: options.onProgress,
+            });
+            projectMirror = sync.mirrorDir;
+            await this.projectSync.snapshot(projectMirror, remoteJobDir, profile);
+        } else if (jobConfig.projectDir) {
+            await this._uploadProject(jobConfig.projectDir, filePath, remoteJobDir, profile, options.onProgress);
+        } else {
+            // Upload main script
+            this.logger.info('Uploading script: ' + fileName);
+            uploads.push({ localPath: filePath, remotePath: `${remoteJobDir}/${fileName}` });
+        }
 
         // Upload input files
         if (inputFiles && inputFiles.length > 0) {
             this.logger.info('Uploading ' + inputFiles.length + ' input files');
             for (const inputFile of inputFiles) {
-                const inputFileName = path.basename(inputFile);
-                const remoteInputPath = `${remoteJobDir}/${inputFileName}`;
-                await this.uploadFile(inputFile, remoteInputPath);
+                uploads.push({ localPath: inputFile, remotePath: `${remoteJobDir}/${path.basename(inputFile)}` });
             }
         }
+        if (uploads.length > 0) {
+            for (const upload of uploads) {
+                this.safetyManager.validatePath(upload.remotePath, profile, 'upload');
+            }
+            await this.getConnectionManager(profile).uploadFiles(uploads, {
+                onProgress: this._transferProgress('Uploading', options.onProgress),
+            });
+        }
 
-        // Generate and upload SLURM script
-        this.logger.info('Generating SLURM script');
-        const slurmScript = this.scriptBuilder.buildScript(jobConfig, clusterInfo);
-        const localScriptPath = path.join(require('os').tmpdir(), `job_${jobId}.sbatch`);
-        fs.writeFileSync(localScriptPath, slurmScript);
+        // Upload batch script
+        const localScriptPath = path.join(require('os').tmpdir(), `job_${jobId}_${scheduler.scriptFile}`);
+        fs.writeFileSync(localScriptPath, batchScript);
         
-        const remoteScriptPath = `${remoteJobDir}/job.sbatch`;
-        this.logger.info('Uploading SLURM script');
-        await this.uploadFile(localScriptPath, remoteScriptPath);
+        const remoteScriptPath = `${remoteJobDir}/${scheduler.scriptFile}`;
+        this.logger.info('Uploading batch script');
+        await this.uploadFile(localScriptPath, remoteScriptPath, { profile });
         fs.unlinkSync(localScriptPath);
 
-        // Submit to SLURM
-        this.logger.info('Submitting to SLURM');
-        const { stdout } = await this.executeCommand(`cd ${remoteJobDir} && sbatch job.sbatch`);
-        this.logger.info('SLURM output: ' + stdout);
-
-        // Extract SLURM job ID
-        let slurmId = null;
-        const match = stdout.match(/Submitted batch job (\d+)/);
-        if (match) {
-            slurmId = match[1];
-            this.logger.info('SLURM Job ID: ' + slurmId);
+        // Submit to the scheduler
+        this.logger.info('Submitting to ' + scheduler.label);
+        const { stdout } = await this.executeCommand(`cd ${quote(remoteJobDir)} && ${scheduler.submitCommand(scheduler.scriptFile)}`, { profile });
+        this.logger.info(scheduler.label + ' output: ' + stdout);
+
+        // Extract the scheduler's job ID
+        const slurmId = scheduler.parseSubmitOutput(stdout);
+        if (slurmId) {
+            this.logger.info(scheduler.label + ' Job ID: ' + slurmId);
         } else {
-            this.logger.warn('Could not extract SLURM job ID from output');
+            this.logger.warn('Could not extract ' + scheduler.label + ' job ID from output');
         }
 
         // Save job metadata
@@ -194,6 +449,8 @@ class ClusterManager {
         jobs.push({
             id: jobId,
             slurmId: slurmId,
+            scheduler: scheduler.name,
+            profile: profile,
             name: jobConfig.name,
             fileName: fileName,
             filePath: filePath,
@@ -202,6 +459,8 @@ class ClusterManager {
             submitted: jobConfig.submitted,
             status: 'PENDING',
             config: jobConfig,
+            script: batchScript,
+            projectMirror,
         });
         this.saveJobs(jobs);
 
@@ -209,60 +468,400 @@ class ClusterManager {
         return { jobId, slurmId };
     }
 
+    /**
+     * List the files of a project folder, filtered by its .hpcignore or .gitignore
+     *
+     * @param {string} projectDir - Local project folder
+     * @param {string} filePath - File to run; always included even if ignored (optional)
+     * @returns {Array} [{ relativePath, size, mtime }]
+     */
+    collectProjectFiles(projectDir, filePath = null) {
+        if (!filePath) {
+            return new IgnoreRules(projectDir).collectFiles();
+        }
+
+        const entry = this._projectPath(projectDir, filePath);
+        if (entry === null) {
+            throw new Error(`${path.basename(filePath)} is not inside the project folder ${projectDir}`);
+        }
+
+        const files = new IgnoreRules(projectDir).collectFiles();
+        if (!files.some(f => f.relativePath === entry)) {
+            const stats = fs.statSync(filePath);
+            files.push({ relativePath: entry, size: stats.size, mtime: stats.mtimeMs });
+        }
+        return files;
+    }
+
+    /**
+     * Upload a project folder to the job directory, keeping its structure
+     */
+    async _uploadProject(projectDir, filePath, remoteJobDir, profile, onProgress) {
+        const files = this.collectProjectFiles(projectDir, filePath);
+        this.logger.info(`Uploading project ${projectDir} (${files.length} files)`);
+        await this.uploadFiles(projectDir, files.map(f => f.relativePath), remoteJobDir, { profile, onProgress });
+    }
+
+    /**
+     * Upload files below a local folder to a remote folder, keeping their relative paths
+     *
+     * Above the `tarThreshold` file count the files are sent as one gzip
+     * tar stream, extracted by `tar` on the cluster; otherwise (or without
+     * remote tar) the files are uploaded over SFTP, several at a time.
+     *
+     * @param {string} localRoot - Local folder
+     * @param {string[]} relativePaths - Files to upload, with / separators
+     * @param {string} remoteDir - Remote destination folder
+     * @param {object} options - { profile, onProgress(message) }
+     */
+    async uploadFiles(localRoot, relativePaths, remoteDir, options = {}) {
+        const { profile, onProgress } = options;
+        this.safetyManager.validatePath(remoteDir, profile, 'upload');
+        for (const relativePath of relativePaths) {
+            this.safetyManager.validatePath(`${remoteDir}/${relativePath}`, profile, 'upload');
+        }
+
+        if (await this._useTar(relativePaths.length, profile)) {
+            this.logger.info(`Uploading ${relativePaths.length} files to ${remoteDir} as a tar stream`);
+            let count = 0;
+            const tar = createTarStream(localRoot, relativePaths, {
+                onEntry: () => onProgress && onProgress(`Uploading archive (${++count}/${relativePaths.length} files)...`),
+            });
+            const channel = await this.openExecChannel(`mkdir -p ${quote(remoteDir)} && tar xzf - -C ${quote(remoteDir)}`, { profile });
+            await this._runTarChannel(channel, () => pipeline(tar, zlib.createGzip(), channel));
+            return;
+        }
+
+        const dirs = new Set();
+        for (const relativePath of relativePaths) {
+            const dir = path.posix.dirname(relativePath);
+            if (dir !== '.') dirs.add(`${remoteDir}/${dir}`);
+        }
+        for (const chunk of this._chunk(Array.from(dirs), MKDIR_BATCH_SIZE)) {
+            await this.executeCommand(`mkdir -p ${quoteAll(chunk)}`, { profile });
+        }
+
+        await this.getConnectionManager(profile).uploadFiles(relativePaths.map(relativePath => ({
+            localPath: path.join(localRoot, ...relativePath.split('/')),
+            remotePath: `${remoteDir}/${relativePath}`,
+        })), { onProgress: this._transferProgress('Uploading', onProgress) });
+    }
+
+    /**
+     * Whether a transfer of this many files should use a tar stream
+     */
+    async _useTar(fileCount, profile) {
+        const threshold = this.config.get('tarThreshold', 50);
+        if (!threshold || fileCount < threshold) return false;
+
+        const key = profile || this.config.getActiveProfileName();
+        if (!this.tarAvailable.has(key)) {
+            const { stdout } = await this.executeCommand('command -v tar >/dev/null 2>&1 && echo yes || echo no', { profile });
+            this.tarAvailable.set(key, stdout.trim() === 'yes');
+            if (stdout.trim() !== 'yes') {
+                this.logger.warn('tar not found on ' + key + ', using per-file SFTP transfers');
+            }
+        }
+        return this.tarAvailable.get(key);
+    }
+
+    /**
+     * Pump a tar stream through an exec channel and check the remote exit code
+     */
+    async _runTarChannel(channel, transfer) {
+        let stderr = '';
+        channel.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        const exited = new Promise((resolve) => {
+            channel.on('exit', code => resolve(code));
+            channel.on('close', () => resolve(null));
+        });
+
+        try {
+            await transfer();
+        } catch (error) {
+            channel.close();
+            throw new Error('Tar transfer failed: ' + (stderr.trim() || error.message));
+        }
+
+        const code = await Promise.race([exited, new Promise(resolve => setTimeout(() => resolve('timeout'), TAR_EXIT_TIMEOUT))]);
+        if (code !== 0) {
+            throw new Error('Remote tar failed' + (code === 'timeout' ? ' to exit' : ` (exit ${code})`) + (stderr.trim() ? ': ' + stderr.trim() : ''));
+        }
+    }
+
+    /**
+     * Path of a local file relative to a project folder, with / separators
+     *
+     * @returns {string|null} '' for the folder itself, null if outside it
+     */
+    _projectPath(projectDir, localPath) {
+        const relative = path.relative(projectDir, localPath);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+        return relative.split(path.sep).join('/');
+    }
+
     // ===== Job Monitoring =====
 
-    async getJobStatus() {
+    /**
+     * Submit a job again with the same file, input files and configuration
+     *
+     * @returns {Promise<object>} { jobId, slurmId } of the new job
+     */
+    async resubmitJob(jobId) {
         await this.ensureStorage();
-        
+
+        const job = this.storageManager.getJob(jobId);
+        if (!job) {
+            throw new Error('Job ' + jobId + ' not found');
+        }
+        if (!job.filePath || !fs.existsSync(job.filePath)) {
+            throw new Error('Source file no longer exists: ' + (job.filePath || job.fileName));
+        }
+
+        const inputFiles = (job.inputFiles || []).filter(f => fs.existsSync(f));
+        if (inputFiles.length < (job.inputFiles || []).length) {
+            this.logger.warn('Some input files of job ' + jobId + ' no longer exist and are skipped');
+        }
+
+        this.logger.info('Resubmitting job ' + jobId);
+        const jobConfig = Object.assign({}, job.config, { profile: this.getJobProfile(job) });
+        delete jobConfig.id;
+        delete jobConfig.submitted;
+        return this.submitJob(job.filePath, inputFiles, jobConfig);
+    }
+
+    /**
+     * Refresh statuses and return the active jobs
+     *
+     * @param {object} options - { force: true } re-queries records that are still fresh
+     */
+    async getJobStatus(options = {}) {
+        const { jobs } = await this.refreshJobStatuses(options);
+        const activeJobs = jobs.filter(j => !isTerminal(j.status));
+        this.logger.info('Active jobs: ' + activeJobs.length);
+        return activeJobs;
+    }
+
+    /**
+     * Refresh the status of all stale, non-final jobs
+     *
+     * Jobs are grouped per profile and scheduler and queried in bulk: one
+     * queue call (squeue, qstat) for every job, one accounting call (sacct,
+     * qstat -x) for those that left the queue, and one status.json read for
+     * those without accounting. Records checked less than statusTtl ago are
+     * not queried again.
+     *
+     * @param {object} options - { force: true } ignores statusTtl,
+     *                           { silent: true } never prompts: profiles without an open
+     *                           connection are connected with key or agent authentication,
+     *                           or skipped and reported in `paused`,
+     *                           { jobIds: [...] } only checks these jobs
+     * @returns {Promise<object>} { jobs, changes: [{ job, previous }], paused: [{ profile, reason }] }
+     */
+    async refreshJobStatuses(options = {}) {
+        await this.ensureStorage();
+
         this.logger.info('Checking job statuses');
         const jobs = this.loadJobs();
-        
+        const now = Date.now();
+        const changes = [];
+
+        const groups = new Map(); // profile + scheduler -> { profile, scheduler, jobs }
         for (const job of jobs) {
-            if (job.slurmId && job.status !== 'COMPLETED' && job.status !== 'FAILED') {
+            if (!job.slurmId || isTerminal(job.status)) continue;
+            if (options.jobIds && !options.jobIds.includes(job.id)) continue;
+            if (!options.force && job.lastChecked && now - new Date(job.lastChecked).getTime() < this.statusTtl) continue;
+
+            const orphaned = this.getOrphanReason(job);
+            if (orphaned) {
+                if (!this.orphanWarnings.has(job.id)) {
+                    this.orphanWarnings.add(job.id);
+                    this.logger.warn(`Not polling job ${job.id}: ${orphaned}`);
+                }
+                continue;
+            }
+
+            const profile = job.profile;
+            const scheduler = this.getJobScheduler(job);
+            const key = profile + '|' + scheduler.name;
+            if (!groups.has(key)) groups.set(key, { profile, scheduler, jobs: [] });
+            groups.get(key).jobs.push(job);
+        }
+
+        const paused = new Map(); // profile -> reason
+        for (const { profile, scheduler, jobs: staleJobs } of groups.values()) {
+            const previous = new Map(staleJobs.map(j => [j.id, j.status]));
+
+            if (options.silent && !this.isConnected(profile)) {
+                if (paused.has(profile)) continue;
                 try {
-                    this.logger.debug('Checking status for job ' + job.id);
-                    
-                    // Check SLURM queue
-                    const { stdout } = await this.executeCommand(`squeue -j ${job.slurmId} -o '%T' -h`);
-                    
-                    if (stdout.trim()) {
-                        job.status = stdout.trim();
-                        this.logger.debug('Job ' + job.id + ' is in queue with status: ' + job.status);
-                    } else {
-                        // Job not in queue, check status.json
-                        this.logger.debug('Job ' + job.id + ' not in queue, checking status.json');
-                        try {
-                            const statusResult = await this.executeCommand(`cat ${job.remoteDir}/status.json 2>/dev/null`);
-                            if (statusResult.stdout && statusResult.stdout.trim()) {
-                                const statusData = JSON.parse(statusResult.stdout);
-                                if (statusData.status && !statusData.status.includes('$') && !statusData.status.includes('[')) {
-                                    job.status = statusData.status;
-                                    job.statusData = statusData;
-                                    this.logger.debug('Job ' + job.id + ' status from file: ' + job.status);
-                                } else {
-                                    this.logger.warn('Job ' + job.id + ' has invalid status.json, assuming COMPLETED');
-                                    job.status = 'COMPLETED';
-                                }
-                            } else {
-                                this.logger.debug('Job ' + job.id + ' status.json not found, status: UNKNOWN');
-                                job.status = 'UNKNOWN';
-                            }
-                        } catch (error) {
-                            this.logger.error('Error reading status.json for job ' + job.id + ': ' + error.message);
-                            job.status = 'UNKNOWN';
-                        }
-                    }
+                    await this.getConnectionManager(profile).connectSilently();
                 } catch (error) {
-                    this.logger.error('Error checking status for job ' + job.id + ': ' + error.message);
+                    this.logger.info(`Not polling ${profile} in the background: ${error.message}`);
+                    paused.set(profile, error.message);
+                    continue;
+                }
+            }
+
+            try {
+                await this._pollProfileJobs(profile, staleJobs, scheduler);
+            } catch (error) {
+                this.logger.error('Error checking job statuses on ' + profile + ': ' + error.message);
+                continue;
+            }
+
+            for (const job of staleJobs) {
+                if (job.status !== previous.get(job.id)) {
+                    changes.push({ job, previous: previous.get(job.id) });
+                }
+            }
+        }
+
+        if (groups.size > 0) {
+            this.saveJobs(jobs);
+        }
+
+        this.logger.info('Job status changes: ' + changes.length);
+        return {
+            jobs,
+            changes,
+            paused: Array.from(paused, ([profile, reason]) => ({ profile, reason })),
+        };
+    }
+
+    /**
+     * Query the state of several jobs of one profile and scheduler in bulk
+     */
+    async _pollProfileJobs(profile, jobs, scheduler) {
+        this.logger.debug('Polling ' + jobs.length + ' jobs on ' + profile);
+        const checked = new Date().toISOString();
+
+        // 1. Queue
+        const queued = new Map();
+        for (const ids of this._chunk(jobs.map(j => String(j.slurmId)), STATUS_BATCH_SIZE)) {
+            const { stdout } = await this.executeCommand(scheduler.queueCommand(ids), { profile });
+            for (const [jobId, state] of scheduler.parseQueue(stdout)) {
+                queued.set(jobId, state);
+            }
+        }
+
+        const finished = [];
+        for (const job of jobs) {
+            job.lastChecked = checked;
+            if (queued.has(String(job.slurmId))) {
+                job.status = queued.get(String(job.slurmId));
+                // First seen running: the start time is known to within one poll
+                if (job.status === 'RUNNING' && !job.started) {
+                    job.started = checked;
+                }
+            } else {
+                finished.push(job);
+            }
+        }
+        if (finished.length === 0) return;
+
+        // 2. Accounting: authoritative final state
+        const accounting = await this.fetchAccounting(profile, finished.map(j => j.slurmId), scheduler);
+        const unaccounted = [];
+        for (const job of finished) {
+            const record = accounting.get(String(job.slurmId));
+            if (record) {
+                job.status = record.state;
+                job.accounting = record;
+                this.logger.debug('Job ' + job.id + ' status from ' + scheduler.label + ' accounting: ' + job.status);
+            } else {
+                unaccounted.push(job);
+            }
+        }
+        if (unaccounted.length === 0) return;
+
+        // 3. No accounting (disabled or purged): fall back to status.json
+        this.logger.debug(unaccounted.length + ' jobs without accounting data, reading status.json');
+        const statusFiles = await this._readStatusFiles(profile, unaccounted);
+        for (const job of unaccounted) {
+            const content = statusFiles.get(job.id);
+            if (!content) {
+                this.logger.debug('Job ' + job.id + ' status.json not found, status: UNKNOWN');
+                job.status = 'UNKNOWN';
+                continue;
+            }
+
+            try {
+                const statusData = JSON.parse(content);
+                if (statusData.status && !statusData.status.includes('$') && !statusData.status.includes('[')) {
+                    job.status = statusData.status;
+                    job.statusData = statusData;
+                    job.started = statusData.started || job.started;
+                    this.logger.debug('Job ' + job.id + ' status from file: ' + job.status);
+                } else {
+                    this.logger.warn('Job ' + job.id + ' has invalid status.json, status: UNKNOWN');
                     job.status = 'UNKNOWN';
                 }
+            } catch (error) {
+                this.logger.error('Error reading status.json for job ' + job.id + ': ' + error.message);
+                job.status = 'UNKNOWN';
             }
         }
+    }
 
-        this.saveJobs(jobs);
-        const activeJobs = jobs.filter(j => j.status !== 'COMPLETED' && j.status !== 'FAILED');
-        this.logger.info('Active jobs: ' + activeJobs.length);
-        return activeJobs;
+    /**
+     * Read the status.json of several jobs in one command
+     *
+     * @returns {Promise<Map>} job ID -> file content (missing files are omitted)
+     */
+    async _readStatusFiles(profile, jobs) {
+        const command = jobs
+            .map(job => `echo ${quote(STATUS_MARKER + job.id)}; cat ${quote(job.remoteDir + '/status.json')} 2>/dev/null`)
+            .join('; ');
+        const { stdout } = await this.executeCommand(command, { profile });
+
+        const files = new Map();
+        for (const section of stdout.split(STATUS_MARKER).slice(1)) {
+            const newline = section.indexOf('\n');
+            const jobId = (newline === -1 ? section : section.slice(0, newline)).trim();
+            const content = newline === -1 ? '' : section.slice(newline + 1).trim();
+            if (content) files.set(jobId, content);
+        }
+        return files;
+    }
+
+    /**
+     * Query the scheduler's accounting for the final state and resource usage of jobs
+     *
+     * @param {string} profile - Profile name
+     * @param {Array} slurmIds - Scheduler job IDs
+     * @param {BaseScheduler} scheduler - Scheduler of the jobs (defaults to the profile's)
+     * @returns {Promise<Map>} Scheduler job ID -> accounting record (empty if accounting is unavailable)
+     */
+    async fetchAccounting(profile, slurmIds, scheduler = null) {
+        scheduler = scheduler || this.getScheduler(profile);
+        const records = new Map();
+
+        for (const ids of this._chunk(slurmIds.map(String), STATUS_BATCH_SIZE)) {
+            const { stdout, code } = await this.executeCommand(scheduler.accountingCommand(ids), { profile });
+
+            // qstat fails when some IDs are unknown but still reports the others
+            if (code !== 0 && !stdout.trim()) {
+                this.logger.debug(scheduler.label + ' accounting unavailable on ' + profile);
+                return records;
+            }
+
+            for (const [jobId, record] of scheduler.parseAccounting(stdout)) {
+                records.set(jobId, record);
+            }
+        }
+
+        return records;
+    }
+
+    _chunk(items, size) {
+        const chunks = [];
+        for (let i = 0; i < items.length; i += size) {
+            chunks.push(items.slice(i, i + size));
+        }
+        return chunks;
     }
 
     async getCompletedJobs() {
@@ -287,9 +886,11 @@ class ClusterManager {
             throw new Error('Job ' + jobId + ' not found');
         }
 
+        const profile = this.getJobProfile(job);
+
         // Load status.json if available
         try {
-            const { stdout } = await this.executeCommand(`cat ${job.remoteDir}/status.json 2>/dev/null`);
+            const { stdout } = await this.executeCommand(`cat ${quote(job.remoteDir + '/status.json')} 2>/dev/null`, { profile });
             if (stdout && stdout.trim()) {
                 job.statusData = JSON.parse(stdout);
                 this.logger.info('Loaded status data for job ' + jobId);
@@ -298,16 +899,33 @@ class ClusterManager {
             this.logger.warn('Could not load status.json for job ' + jobId + ': ' + error.message);
         }
 
-        // Load SLURM logs
+        // Load accounting (final state and resource usage)
+        if (job.slurmId) {
+            try {
+                const accounting = (await this.fetchAccounting(profile, [job.slurmId], this.getJobScheduler(job))).get(String(job.slurmId));
+                if (accounting) {
+                    job.accounting = accounting;
+                    if (isTerminal(accounting.state)) {
+                        job.status = accounting.state;
+                    }
+                    this.storageManager.updateJob(jobId, { status: job.status, accounting });
+                    this.logger.info('Loaded accounting for job ' + jobId);
+                }
+            } catch (error) {
+                this.logger.warn('Could not load accounting for job ' + jobId + ': ' + error.message);
+            }
+        }
+
+        // Load program output and scheduler logs
         try {
-            const { stdout } = await this.executeCommand(`tail -n 50 ${job.remoteDir}/slurm-*.out 2>/dev/null || echo ""`);
+            const { stdout } = await this.executeCommand(`cd ${quote(job.remoteDir)} && tail -n 50 ${this.getLogFileArgs(job)} 2>/dev/null || echo ""`, { profile });
             
             if (stdout.trim()) {
                 job.logs = stdout;
-                this.logger.info('Loaded SLURM logs for job ' + jobId);
+                this.logger.info('Loaded logs for job ' + jobId);
             } else {
-                job.logs = 'No SLURM logs available.';
-                this.logger.info('No SLURM logs found for job ' + jobId);
+                job.logs = 'No logs available.';
+                this.logger.info('No logs found for job ' + jobId);
             }
         } catch (error) {
             job.logs = 'Unable to fetch logs';
@@ -317,9 +935,112 @@ class ClusterManager {
         return job;
     }
 
+    /**
+     * Log files of a job, relative to its remote directory
+     *
+     * Program output goes to execution_log.txt / execution_errors.txt
+     * (see ScriptBuilder._buildExecution); the scheduler writes the rest of
+     * the batch script's output to its own files (slurm-<id>.out, pbs.out, ...).
+     */
+    getLogFiles(job) {
+        return ['execution_log.txt', 'execution_errors.txt'].concat(this.getJobScheduler(job).getLogFiles(job.slurmId));
+    }
+
+    /**
+     * getLogFiles() as shell words for a command run in the job directory
+     *
+     * Names are quoted. The scheduler's wildcard patterns (used while a job
+     * has no scheduler ID) are left unquoted for the shell to expand.
+     */
+    getLogFileArgs(job) {
+        return this.getLogFiles(job)
+            .map(file => (/^[\w.-]*\*[\w.*-]*$/.test(file) ? file : quote(file)))
+            .join(' ');
+    }
+
+    // ===== Job Control =====
+
+    /**
+     * Cancel a job (scancel, qdel)
+     */
+    async cancelJob(jobId) {
+        return this._controlJob(jobId, (scheduler, id) => scheduler.cancelCommand(id), { status: 'CANCELLED', held: false });
+    }
+
+    /**
+     * Hold a pending job (scontrol hold, qhold)
+     */
+    async holdJob(jobId) {
+        return this._controlJob(jobId, (scheduler, id) => scheduler.holdCommand(id), { held: true });
+    }
+
+    /**
+     * Release a held job (scontrol release, qrls)
+     */
+    async releaseJob(jobId) {
+        return this._controlJob(jobId, (scheduler, id) => scheduler.releaseCommand(id), { held: false });
+    }
+
+    /**
+     * Requeue a job (scontrol requeue, qrerun)
+     */
+    async requeueJob(jobId) {
+        return this._controlJob(jobId, (scheduler, id) => scheduler.requeueCommand(id), { status: 'PENDING', held: false });
+    }
+
+    /**
+     * Change the time limit of a job (scontrol update, qalter)
+     */
+    async updateTimeLimit(jobId, time) {
+        if (!TIME_PATTERN.test(time)) {
+            throw new Error('Invalid time limit: ' + time);
+        }
+
+        const job = await this._controlJob(
+            jobId,
+            (scheduler, id) => scheduler.timeLimitCommand(id, time),
+            {}
+        );
+        job.config = Object.assign({}, job.config, { time });
+        return this.storageManager.updateJob(jobId, { config: job.config });
+    }
+
+    /**
+     * Run a scheduler control command for a job and update its local record
+     */
+    async _controlJob(jobId, buildCommand, updates) {
+        await this.ensureStorage();
+
+        const job = this.storageManager.getJob(jobId);
+        if (!job) {
+            throw new Error('Job ' + jobId + ' not found');
+        }
+        const scheduler = this.getJobScheduler(job);
+        if (!job.slurmId) {
+            throw new Error('Job ' + jobId + ' has no ' + scheduler.label + ' job ID');
+        }
+
+        const command = buildCommand(scheduler, job.slurmId);
+        this.logger.info('Job control for ' + jobId + ': ' + command);
+
+        const { stderr, code } = await this.executeCommand(command, { profile: this.getJobProfile(job) });
+        if (code !== 0) {
+            throw new Error((stderr || '').trim() || `${command} exited with code ${code}`);
+        }
+
+        // The scheduler state changed: query it again on the next poll
+        return this.storageManager.updateJob(jobId, Object.assign({ lastChecked: null }, updates));
+    }
+
     // ===== Results Management =====
 
-    async fetchResults(jobId) {
+    /**
+     * Download a job's remote directory into its local results directory
+     *
+     * @param {object} options - { onProgress(message) }
+     * @returns {Promise<string>} Local results directory
+     */
+    async fetchResults(jobId, options = {}) {
         await this.ensureStorage();
         
         this.logger.info('Fetching results for job ' + jobId);
@@ -336,12 +1057,80 @@ class ClusterManager {
         }
 
         this.logger.info('Downloading to: ' + resultsDir);
-        await this.downloadDirectory(job.remoteDir, resultsDir);
+        await this.downloadDirectory(job.remoteDir, resultsDir, this.getJobProfile(job), options);
         this.logger.info('Download complete');
         
         return resultsDir;
     }
 
+    /**
+     * List the entries of a job's remote directory
+     *
+     * @param {string} jobId - Job ID
+     * @param {string} relativeDir - Subdirectory relative to the job directory
+     * @returns {Promise<Array>} [{ name, path, type: 'file' | 'directory', size }], directories first
+     */
+    async listRemoteFiles(jobId, relativeDir = '') {
+        await this.ensureStorage();
+
+        const job = this.storageManager.getJob(jobId);
+        if (!job) {
+            throw new Error('Job ' + jobId + ' not found');
+        }
+
+        const remoteDir = relativeDir ? path.posix.join(job.remoteDir, relativeDir) : job.remoteDir;
+        this.safetyManager.validatePath(remoteDir, this.getJobProfile(job), 'list');
+        const { stdout, stderr, code } = await this.executeCommand(
+            `find ${quote(remoteDir)} -mindepth 1 -maxdepth 1 -printf '%y|%s|%f\\0'`,
+            { profile: this.getJobProfile(job) }
+        );
+        if (code !== 0) {
+            throw new Error((stderr || '').trim() || 'Remote directory not found');
+        }
+
+        return stdout.split('\0')
+            .filter(line => line.trim())
+            .map(line => {
+                const [type, size, ...nameParts] = line.split('|');
+                const name = nameParts.join('|');
+                return {
+                    name,
+                    path: relativeDir ? path.posix.join(relativeDir, name) : name,
+                    type: type === 'd' ? 'directory' : 'file',
+                    size: parseInt(size) || 0,
+                };
+            })
+            .sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'directory' ? -1 : 1));
+    }
+
+    /**
+     * Download a single file of a job into its local results directory
+     *
+     * @param {object} options - { onProgress(message) }
+     * @returns {Promise<string>} Local path
+     */
+    async fetchResultFile(jobId, relativePath, options = {}) {
+        await this.ensureStorage();
+
+        const job = this.storageManager.getJob(jobId);
+        if (!job) {
+            throw new Error('Job ' + jobId + ' not found');
+        }
+
+        const resultsDir = this.storageManager.getResultsDir(jobId);
+        const localPath = path.resolve(resultsDir, relativePath);
+        if (!localPath.startsWith(path.resolve(resultsDir) + path.sep)) {
+            throw new Error('Invalid file path: ' + relativePath);
+        }
+
+        fs.mkdirSync(path.dirname(localPath), { recursive: true });
+        await this.downloadFile(path.posix.join(job.remoteDir, relativePath), localPath, {
+            profile: this.getJobProfile(job),
+            onProgress: this._transferProgress('Downloading', options.onProgress),
+        });
+        return localPath;
+    }
+
     async cleanRemoteJob(jobId) {
         await this.ensureStorage();
         
@@ -353,18 +1142,37 @@ class ClusterManager {
             throw new Error('Job ' + jobId + ' not found');
         }
 
-        await this.executeCommand(`rm -rf ${job.remoteDir}`);
+        const profile = this.getJobProfile(job);
+        const remoteDir = this.safetyManager.validateDelete(job.remoteDir, profile);
+        const { stderr, code } = await this.executeCommand(`rm -rf ${quote(remoteDir)}`, { profile });
+        this.safetyManager.logOperation('delete', { path: remoteDir, profile, jobId, exitCode: code });
+        if (code) {
+            throw new Error(`Could not delete ${remoteDir}: ${(stderr || '').trim()}`);
+        }
         this.logger.info('Remote files cleaned for job ' + jobId);
     }
 
     // ===== Cleanup =====
 
     disconnect() {
-        if (this.connectionManager) {
-            this.logger.info('Disconnecting via ConnectionManager');
-            this.connectionManager.disconnect();
+        for (const [profile, connectionManager] of this.connectionManagers) {
+            this.logger.info('Disconnecting via ConnectionManager (profile: ' + profile + ')');
+            connectionManager.disconnect();
         }
     }
+
+    // ===== Formatting =====
+
+    /**
+     * Human-readable byte count ("1.5 MB"; empty for an unknown size)
+     */
+    static formatSize(bytes) {
+        if (bytes === undefined || bytes === null) return '';
+        if (bytes < 1024) return bytes + ' B';
+        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+        if (bytes < 1024 * 1024 * 1024) return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+        return (bytes / 1024 / 1024 / 1024).toFixed(1) + ' GB';
+    }
 }
 
 module.exports = ClusterManager;
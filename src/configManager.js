@@ -1,20 +1,50 @@
 const vscode = require('vscode');
+const os = require('os');
+const path = require('path');
+const SSHConfigParser = require('./sshConfigParser');
+
+// Profile fields that fall back to the top-level setting of the same name
+const PROFILE_FIELDS = ['clusterHost', 'username', 'sshPort', 'proxyJump', 'identityFile', 'rememberPassword', 'backend', 'scheduler', 'partitions'];
+const DEFAULT_PARAM_FIELDS = {
+    partition: 'defaultPartition',
+    gpus: 'defaultGPUs',
+    cpus: 'defaultCPUs',
+    memory: 'defaultMemory',
+    time: 'defaultTime',
+    pythonEnv: 'pythonEnv',
+};
 
 /**
  * Manages extension configuration
- * 
+ *
  * Handles settings from VSCode workspace configuration:
- * - Cluster connection (host, username, port)
+ * - Named cluster profiles (hpc-connector.profiles) and the active profile
+ * - Cluster connection (host, username, port, jump hosts), authentication
+ *   (key file, password caching) and batch scheduler
+ * - Local fake cluster backend for offline development (`backend: local`)
+ * - Remote paths (scratch base, jobs dir, venvs dir)
  * - Default job parameters (partition, resources)
  * - Python environment settings
+ *
+ * Without any profile, the top-level settings form an implicit "default"
+ * profile. Fields omitted in a profile fall back to the top-level settings.
  */
 class ConfigManager {
     constructor() {
-        this.config = vscode.workspace.getConfiguration('hpc-connector');
-        this.SCRATCH_BASE = '/scratch.hpc'; // Cluster base path
+        this.SCRATCH_BASE = '/scratch.hpc'; // Default cluster base path
+        this.LOCAL_SCRATCH_BASE = path.join(os.homedir(), '.hpc-connector', 'local-cluster');
+        this.DEFAULT_PROFILE = 'default';
+        this.sshConfigParser = new SSHConfigParser();
         console.log('[ConfigManager] Initialized');
     }
 
+    /**
+     * Current configuration (re-read so updates are visible immediately)
+     */
+    get config() {
+        return vscode.workspace.getConfiguration('hpc-connector');
+    }
+
     /**
      * Get configuration value
      */
@@ -23,6 +53,22 @@ class ConfigManager {
         return (value !== undefined && value !== null && value !== '') ? value : defaultValue;
     }
 
+    /**
+     * Check whether a setting was set explicitly (not left at its default)
+     *
+     * @param {string} key - Setting name
+     * @param {string} profileName - Optional profile; a value in the profile counts as explicit
+     */
+    isSet(key, profileName = null) {
+        const profile = this._findProfile(profileName || this.getActiveProfileName());
+        if (profile && profile[key] !== undefined) return true;
+
+        const info = this.config.inspect(key);
+        if (!info) return false;
+        return [info.globalValue, info.workspaceValue, info.workspaceFolderValue]
+            .some(value => value !== undefined);
+    }
+
     /**
      * Set configuration value
      */
@@ -30,52 +76,183 @@ class ConfigManager {
         await this.config.update(key, value, vscode.ConfigurationTarget.Global);
     }
 
+    // ===== Profiles =====
+
+    /**
+     * Get the names of all configured profiles
+     */
+    getProfileNames() {
+        const profiles = this._getConfiguredProfiles();
+        return profiles.length > 0 ? profiles.map(p => p.name) : [this.DEFAULT_PROFILE];
+    }
+
+    /**
+     * Get the active profile name (falls back to the first profile)
+     */
+    getActiveProfileName() {
+        const names = this.getProfileNames();
+        const active = this.get('activeProfile');
+        return names.includes(active) ? active : names[0];
+    }
+
+    /**
+     * Switch the active profile
+     */
+    async setActiveProfile(name) {
+        if (!this.getProfileNames().includes(name)) {
+            throw new Error('Unknown profile: ' + name);
+        }
+        await this.set('activeProfile', name);
+    }
+
+    /**
+     * Get a profile with all fallbacks applied
+     *
+     * @param {string} profileName - Profile name (defaults to the active profile)
+     */
+    getProfile(profileName = null) {
+        const name = profileName || this.getActiveProfileName();
+        const configured = this._findProfile(name);
+
+        if (!configured && this._getConfiguredProfiles().length > 0) {
+            throw new Error('Unknown profile: ' + name);
+        }
+
+        const profile = { name };
+        for (const field of PROFILE_FIELDS) {
+            profile[field] = configured && configured[field] !== undefined
+                ? configured[field]
+                : this.get(field);
+        }
+
+        // A local cluster lives in the user's home and runs as the current user
+        if (profile.backend === 'local') {
+            profile.username = profile.username || os.userInfo().username;
+        }
+
+        profile.scratchBase = (configured && configured.scratchBase)
+            || (profile.backend === 'local' ? this.LOCAL_SCRATCH_BASE : this.SCRATCH_BASE);
+        profile.jobsDir = (configured && configured.jobsDir) || null;
+        profile.venvsDir = (configured && configured.venvsDir) || null;
+        profile.projectsDir = (configured && configured.projectsDir) || null;
+        profile.defaults = (configured && configured.defaults) || {};
+
+        return profile;
+    }
+
+    /**
+     * Update fields of a profile (or the top-level settings without profiles)
+     */
+    async updateProfile(profileName, values) {
+        const profiles = this._getConfiguredProfiles();
+
+        if (profiles.length === 0) {
+            for (const [key, value] of Object.entries(values)) {
+                await this.set(key, value);
+            }
+            return;
+        }
+
+        const updated = profiles.map(p => (p.name === profileName ? Object.assign({}, p, values) : p));
+        await this.set('profiles', updated);
+    }
+
+    _getConfiguredProfiles() {
+        const profiles = this.get('profiles', []);
+        return Array.isArray(profiles) ? profiles.filter(p => p && p.name) : [];
+    }
+
+    _findProfile(name) {
+        return this._getConfiguredProfiles().find(p => p.name === name) || null;
+    }
+
+    // ===== Derived configuration =====
+
     /**
      * Get cluster connection info and paths
+     *
+     * @param {string} profileName - Profile name (defaults to the active profile)
      */
-    getClusterInfo() {
-        const username = this.get('username');
-        
+    getClusterInfo(profileName = null) {
+        const profile = this.getProfile(profileName);
+        const username = this._resolveUsername(profile);
+
         // Extract the actual cluster username (before @) if email format
         const clusterUsername = username.includes('@') ? username.split('@')[0] : username;
-        
+        const scratchDir = `${profile.scratchBase}/${clusterUsername}`;
+
         return {
-            host: this.get('clusterHost'),
-            port: this.get('sshPort', 22),
+            profile: profile.name,
+            host: profile.clusterHost,
+            port: profile.sshPort || 22,
+            proxyJump: profile.proxyJump || '',
+            identityFile: profile.identityFile || '',
+            rememberPassword: Boolean(profile.rememberPassword),
+            backend: profile.backend || 'ssh',
+            scheduler: profile.scheduler || 'slurm',
             username: username, // Keep full username for SSH connection
             clusterUsername: clusterUsername, // Username for paths
-            scratchBase: this.SCRATCH_BASE,
-            scratchDir: `${this.SCRATCH_BASE}/${clusterUsername}`,
-            jobsDir: `${this.SCRATCH_BASE}/${clusterUsername}/hpc_jobs`,
-            venvsDir: `${this.SCRATCH_BASE}/${clusterUsername}/python_venvs`,
+            scratchBase: profile.scratchBase,
+            scratchDir: scratchDir,
+            jobsDir: profile.jobsDir || `${scratchDir}/hpc_jobs`,
+            venvsDir: profile.venvsDir || `${scratchDir}/python_venvs`,
+            projectsDir: profile.projectsDir || `${scratchDir}/hpc_projects`,
         };
     }
 
     /**
      * Get default job parameters from settings
+     *
+     * @param {string} profileName - Profile name (defaults to the active profile)
      */
-    getDefaultJobParams() {
-        return {
-            partition: this.get('defaultPartition', 'l40'),
-            gpus: this.get('defaultGPUs', 1),
-            cpus: this.get('defaultCPUs', 4),
-            memory: this.get('defaultMemory', '16G'),
-            time: this.get('defaultTime', '02:00:00'),
-            pythonEnv: this.get('pythonEnv', 'base_env'),
+    getDefaultJobParams(profileName = null) {
+        const profile = this.getProfile(profileName);
+        const fallbacks = {
+            partition: 'l40',
+            gpus: 1,
+            cpus: 4,
+            memory: '16G',
+            time: '02:00:00',
+            pythonEnv: 'base_env',
         };
+
+        const params = {};
+        for (const [param, setting] of Object.entries(DEFAULT_PARAM_FIELDS)) {
+            params[param] = profile.defaults[param] !== undefined
+                ? profile.defaults[param]
+                : this.get(setting, fallbacks[param]);
+        }
+        return params;
+    }
+
+    /**
+     * Get the partition catalog ([{ name, description }]) of a profile
+     */
+    getPartitionCatalog(profileName = null) {
+        const partitions = this.getProfile(profileName).partitions;
+        return Array.isArray(partitions) ? partitions : [];
     }
 
     /**
      * Validate required configuration
-     * 
+     *
+     * @param {string} profileName - Profile name (defaults to the active profile)
      * @throws Error if required fields are missing
      */
-    validate() {
-        const clusterHost = this.get('clusterHost');
-        const username = this.get('username');
-        
-        if (!clusterHost || !username) {
-            throw new Error('Missing configuration. Please set cluster host and username in VSCode settings.');
+    validate(profileName = null) {
+        const profile = this.getProfile(profileName);
+        const clusterHost = profile.clusterHost;
+        const username = this._resolveUsername(profile);
+
+        if (!clusterHost && profile.backend !== 'local') {
+            throw new Error(`Missing configuration for profile "${profile.name}". Please set the cluster host in VSCode settings.`);
+        }
+        if (!username) {
+            throw new Error(`Missing username for profile "${profile.name}". Please set it in VSCode settings or as User for ${clusterHost} in ~/.ssh/config.`);
+        }
+
+        if (profile.backend === 'local' && profile.scheduler && profile.scheduler !== 'slurm') {
+            throw new Error(`Profile "${profile.name}" uses the local backend, which only simulates SLURM. Remove its scheduler setting or set it to slurm.`);
         }
 
         // Validate username format (allow email-style usernames)
@@ -85,6 +262,16 @@ class ConfigManager {
 
         return true;
     }
+
+    /**
+     * The username setting, or the User of the cluster host in ~/.ssh/config
+     */
+    _resolveUsername(profile) {
+        if (profile.username || profile.backend === 'local' || !profile.clusterHost) {
+            return profile.username || '';
+        }
+        return this.sshConfigParser.resolve(profile.clusterHost).user || '';
+    }
 }
 
 module.exports = ConfigManager;
@@ -1,4 +1,7 @@
 const { Client } = require('ssh2');
+const SSHConfigParser = require('./sshConfigParser');
+const KnownHosts = require('./knownHosts');
+const TransferEngine = require('./transferEngine');
 const { getInstance: getLogger } = require('./logger');
 
 /**
@@ -10,19 +13,34 @@ const { getInstance: getLogger } = require('./logger');
  * - Connection pooling
  * - Health checks
  * - Detailed error diagnostics
+ * - Parallel, resumable SFTP transfers (TransferEngine)
+ * - Keyboard-interactive (password / OTP) authentication
+ * - Host key verification against known_hosts
+ * - Prompt-free connections for background work (connectSilently)
  */
 class ConnectionManager {
-    constructor(configManager) {
+    /**
+     * @param {ConfigManager} configManager
+     * @param {object} options - Optional { profile, authPrompter }
+     */
+    constructor(configManager, options = {}) {
         this.config = configManager;
+        this.profile = options.profile || null; // null = active profile
+        this.authPrompter = options.authPrompter || null;
+        this.silent = false; // true while connectSilently() connects
         this.connection = null;
         this.logger = getLogger();
+        this.sshConfigParser = new SSHConfigParser();
+        this.transferEngine = new TransferEngine(this);
         this.isConnecting = false;
         this.lastConnectionAttempt = null;
+        this.lastActivity = 0;
         this.connectionAttempts = 0;
         this.maxRetries = 3;
         this.baseRetryDelay = 2000; // 2 seconds
         this.connectionTimeout = 30000; // 30 seconds
         this.keepAliveInterval = 10000; // 10 seconds
+        this.healthCheckGrace = 15000; // skip ping if used within 15 seconds
         this.logger.info('ConnectionManager initialized');
     }
 
@@ -31,6 +49,9 @@ class ConnectionManager {
      */
     async getConnection() {
         // If already connected and alive, return it
+        if (this.connection && Date.now() - this.lastActivity < this.healthCheckGrace) {
+            return this.connection;
+        }
         if (this.connection && await this.isConnectionAlive()) {
             this.logger.debug('Reusing existing connection');
             return this.connection;
@@ -46,6 +67,26 @@ class ConnectionManager {
         return this.connectWithRetry();
     }
 
+    /**
+     * Connect without ever prompting the user
+     *
+     * Only key and agent authentication against known host keys are tried;
+     * a profile that needs a password, a one-time code or a host key
+     * confirmation fails with a NO_SSH_KEY or HOST_KEY_* error instead.
+     */
+    async connectSilently() {
+        if (this.connection || this.isConnecting) {
+            return this.getConnection();
+        }
+
+        this.silent = true;
+        try {
+            return await this.connectWithRetry();
+        } finally {
+            this.silent = false;
+        }
+    }
+
     /**
      * Check if connection is alive
      */
@@ -69,7 +110,9 @@ class ConnectionManager {
                     });
                     
                     stream.on('close', () => {
-                        resolve(output.includes('ping'));
+                        const alive = output.includes('ping');
+                        if (alive) this.lastActivity = Date.now();
+                        resolve(alive);
                     });
                 });
             });
@@ -101,35 +144,108 @@ class ConnectionManager {
     }
 
     /**
-     * Connect with automatic retry and exponential backoff
+     * Connect to the cluster (each hop retries with exponential backoff)
      */
     async connectWithRetry() {
         this.isConnecting = true;
+
+        try {
+            const conn = await this.establishConnection();
+            this.connection = conn;
+            this.lastActivity = Date.now();
+            this.logger.info('✅ Connection established successfully');
+            return conn;
+        } finally {
+            this.isConnecting = false;
+        }
+    }
+
+    /**
+     * Establish the SSH connection chain
+     * 
+     * Each jump host is connected in turn (with its own retries), and the
+     * next hop is tunnelled through it with forwardOut.
+     */
+    async establishConnection() {
+        this.config.validate(this.profile);
+        const clusterInfo = this.config.getClusterInfo(this.profile);
+
+        this.logger.separator();
+        this.logger.info('SSH Connection Attempt (profile: ' + clusterInfo.profile + ')');
+        this.logger.info('Target: ' + clusterInfo.username + '@' + clusterInfo.host + ':' + clusterInfo.port);
+
+        const hops = this.resolveJumpHosts(clusterInfo).map(jumpHost => {
+            const sshConfig = this.buildSSHConfig(jumpHost);
+            return {
+                label: 'jump host ' + jumpHost.host,
+                sshConfig: sshConfig,
+                hostKeyPolicy: this.buildHostKeyPolicy(jumpHost, sshConfig),
+            };
+        });
+        const clusterSSHConfig = this.buildSSHConfig(clusterInfo);
+        hops.push({
+            label: 'cluster',
+            sshConfig: clusterSSHConfig,
+            hostKeyPolicy: this.buildHostKeyPolicy(clusterInfo, clusterSSHConfig),
+        });
+
+        if (hops.length > 1) {
+            this.logger.info('Route: ' + hops.map(hop => hop.sshConfig.host).join(' -> '));
+        }
+
+        if (this.silent) {
+            const interactive = hops.find(hop => !hop.sshConfig.privateKey && !hop.sshConfig.agent);
+            if (interactive) {
+                throw new Error(`NO_SSH_KEY: No SSH key or agent for the ${interactive.label}; connecting needs a password or one-time code`);
+            }
+        }
+
+        const opened = [];
+        try {
+            for (const hop of hops) {
+                const via = opened.length > 0 ? opened[opened.length - 1] : null;
+                opened.push(await this.connectHopWithRetry(hop, via));
+            }
+        } catch (error) {
+            opened.reverse().forEach(client => client.end());
+            throw error;
+        }
+
+        const conn = opened.pop();
+        const jumpClients = opened.reverse();
+
+        // Tear down the tunnel when the cluster connection goes away
+        conn.on('close', () => {
+            jumpClients.forEach(client => client.end());
+        });
+
+        this.setupKeepAlive(conn);
+        return conn;
+    }
+
+    /**
+     * Connect a single hop with automatic retry and exponential backoff
+     */
+    async connectHopWithRetry(hop, via) {
         let lastError = null;
 
         for (let attempt = 0; attempt < this.maxRetries; attempt++) {
             try {
                 this.connectionAttempts = attempt + 1;
-                this.logger.info(`Connection attempt ${this.connectionAttempts}/${this.maxRetries}`);
+                this.logger.info(`Connection attempt ${this.connectionAttempts}/${this.maxRetries} (${hop.label})`);
 
-                const conn = await this.establishConnection();
-                
-                this.connection = conn;
+                const conn = await this.connectHop(hop, via);
                 this.connectionAttempts = 0;
-                this.isConnecting = false;
-                this.logger.info('✅ Connection established successfully');
-                
                 return conn;
 
             } catch (error) {
                 lastError = error;
-                this.logger.error(`❌ Connection attempt ${attempt + 1} failed: ${error.message}`);
+                this.logger.error(`❌ Connection attempt ${attempt + 1} to ${hop.label} failed: ${error.message}`);
 
-                // Don't retry on authentication errors
-                if (this.isAuthenticationError(error)) {
-                    this.logger.error('Authentication failed - not retrying');
-                    this.isConnecting = false;
-                    throw this.enrichError(error);
+                // Don't retry on authentication or host key errors
+                if (this.isFatalConnectionError(error)) {
+                    this.logger.error('Authentication or host key check failed - not retrying');
+                    throw this.enrichError(error, hop);
                 }
 
                 // Calculate backoff delay with exponential increase
@@ -141,36 +257,66 @@ class ConnectionManager {
             }
         }
 
-        this.isConnecting = false;
-        this.logger.error(`All ${this.maxRetries} connection attempts failed`);
-        throw this.enrichError(lastError);
+        this.logger.error(`All ${this.maxRetries} connection attempts to ${hop.label} failed`);
+        throw this.enrichError(lastError, hop);
     }
 
     /**
-     * Establish SSH connection (single attempt)
+     * Connect a single hop (single attempt)
+     * 
+     * When `via` is given, the TCP stream is opened through that client.
      */
-    async establishConnection() {
-        this.config.validate();
-        const clusterInfo = this.config.getClusterInfo();
+    async connectHop(hop, via) {
+        const sshConfig = Object.assign({}, hop.sshConfig);
 
-        this.logger.separator();
-        this.logger.info('SSH Connection Attempt');
-        this.logger.info('Target: ' + clusterInfo.username + '@' + clusterInfo.host + ':' + clusterInfo.port);
+        if (via) {
+            this.logger.info(`Opening tunnel to ${sshConfig.host}:${sshConfig.port}`);
+            sshConfig.sock = await this.forwardThrough(via, sshConfig.host, sshConfig.port);
+        }
+
+        // ssh2's own ready timer cannot be paused while the user answers
+        // prompts, so we run our own and disable it
+        const readyTimeout = sshConfig.readyTimeout || this.connectionTimeout;
+        sshConfig.readyTimeout = 0;
+        const target = sshConfig.username + '@' + sshConfig.host;
 
         return new Promise((resolve, reject) => {
             const conn = new Client();
             let connectionEstablished = false;
             let connectionTimeout = null;
+            let hostKeyError = null;
+
+            const fail = (err) => {
+                if (connectionEstablished) return;
+                connectionEstablished = true;
+                clearTimeout(connectionTimeout);
+                reject(err);
+            };
+
+            const startTimeout = () => {
+                connectionTimeout = setTimeout(() => {
+                    if (!connectionEstablished) {
+                        this.logger.error('❌ Connection timeout');
+                        conn.end();
+                        fail(new Error('SSH_TIMEOUT'));
+                    }
+                }, readyTimeout);
+            };
 
             // Setup timeout
-            connectionTimeout = setTimeout(() => {
-                if (!connectionEstablished) {
-                    connectionEstablished = true;
-                    this.logger.error('❌ Connection timeout');
-                    conn.end();
-                    reject(new Error('SSH_TIMEOUT'));
-                }
-            }, this.connectionTimeout);
+            startTimeout();
+
+            // Verify the server key (may prompt on first use)
+            sshConfig.hostVerifier = (key, verify) => {
+                clearTimeout(connectionTimeout);
+                this.verifyHostKey(hop, key).then(() => {
+                    if (!connectionEstablished) startTimeout();
+                    verify(true);
+                }, (error) => {
+                    hostKeyError = error;
+                    verify(false);
+                });
+            };
 
             // Connection successful
             conn.on('ready', () => {
@@ -178,24 +324,54 @@ class ConnectionManager {
                 connectionEstablished = true;
                 clearTimeout(connectionTimeout);
                 
-                this.logger.info('✅ SSH Connection Ready');
-                this.setupKeepAlive(conn);
+                this.logger.info('✅ SSH Connection Ready (' + hop.label + ')');
+                if (this.authPrompter) {
+                    this.authPrompter.onAuthSuccess(target, this.config.getClusterInfo(this.profile).rememberPassword);
+                }
                 resolve(conn);
             });
 
+            // Keyboard-interactive prompts (password, OTP, Duo push)
+            conn.on('keyboard-interactive', async (name, instructions, lang, prompts, finish) => {
+                if (prompts.length === 0) {
+                    finish([]);
+                    return;
+                }
+
+                this.logger.info('Keyboard-interactive authentication requested by ' + hop.label);
+                clearTimeout(connectionTimeout);
+
+                let answers = null;
+                try {
+                    answers = await this.authPrompter.promptKeyboardInteractive(target, name, instructions, prompts);
+                } catch (error) {
+                    this.logger.error('Prompt failed: ' + error.message);
+                }
+
+                if (answers === null) {
+                    conn.end();
+                    fail(new Error('AUTH_CANCELLED: Authentication cancelled by user'));
+                    return;
+                }
+
+                startTimeout();
+                finish(answers);
+            });
+
             // Connection error
             conn.on('error', (err) => {
                 if (connectionEstablished) return;
-                connectionEstablished = true;
-                clearTimeout(connectionTimeout);
-                
-                this.logger.error('❌ SSH Error: ' + err.message);
-                reject(err);
+                const error = hostKeyError || err;
+                this.logger.error('❌ SSH Error: ' + error.message);
+                if (this.authPrompter && this.isAuthenticationError(error)) {
+                    this.authPrompter.onAuthFailure(target);
+                }
+                fail(error);
             });
 
             // Connection closed
             conn.on('close', () => {
-                this.logger.info('SSH connection closed');
+                this.logger.info('SSH connection closed (' + hop.label + ')');
                 if (this.connection === conn) {
                     this.connection = null;
                 }
@@ -203,48 +379,135 @@ class ConnectionManager {
 
             // Connection ended
             conn.on('end', () => {
-                this.logger.info('SSH connection ended');
+                this.logger.info('SSH connection ended (' + hop.label + ')');
             });
 
-            // Build SSH config
-            const sshConfig = this.buildSSHConfig(clusterInfo);
-            
             this.logger.info('Initiating SSH connection...');
             conn.connect(sshConfig);
         });
     }
 
+    /**
+     * Open a forwarded TCP stream to host:port through an established client
+     */
+    forwardThrough(via, host, port) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('SSH_TIMEOUT'));
+            }, this.connectionTimeout);
+
+            via.forwardOut('127.0.0.1', 0, host, port, (err, stream) => {
+                clearTimeout(timeout);
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(stream);
+                }
+            });
+        });
+    }
+
+    /**
+     * Resolve the jump host chain for the cluster
+     * 
+     * Uses the proxyJump setting if present, otherwise ProxyJump from
+     * ~/.ssh/config. Format: [user@]host[:port][,[user@]host[:port]...]
+     * Each jump host is itself resolved through ~/.ssh/config.
+     */
+    resolveJumpHosts(clusterInfo) {
+        let spec = clusterInfo.proxyJump;
+        if (!spec) {
+            spec = this.sshConfigParser.resolve(clusterInfo.host, { user: clusterInfo.username }).proxyjump;
+        }
+
+        if (!spec || spec.toLowerCase() === 'none') {
+            return [];
+        }
+
+        return spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+            const match = entry.replace(/^ssh:\/\//, '').match(/^(?:([^@]+)@)?(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+            if (!match) {
+                throw new Error('Invalid jump host: ' + entry);
+            }
+
+            const host = match[2].replace(/^\[|\]$/g, '');
+            const hostConfig = this.sshConfigParser.resolve(host);
+
+            return {
+                host: host,
+                port: match[3] ? parseInt(match[3]) : null,
+                // Gateways usually share the cluster account and its key
+                username: match[1] || hostConfig.user || clusterInfo.username,
+                identityFile: clusterInfo.identityFile,
+                explicitPort: Boolean(match[3]),
+            };
+        });
+    }
+
     /**
      * Build SSH configuration with key loading
+     *
+     * Host aliases are resolved through ~/.ssh/config (HostName, User, Port,
+     * IdentityFile, IdentitiesOnly, ServerAliveInterval, ...). Explicit
+     * extension settings take precedence, like command line options do for ssh.
      */
     buildSSHConfig(clusterInfo) {
         const fs = require('fs');
         const path = require('path');
         const os = require('os');
 
+        const hostConfig = this.sshConfigParser.resolve(clusterInfo.host, { user: clusterInfo.username });
+        if (Object.keys(hostConfig).length > 0) {
+            this.logger.info('Applying ~/.ssh/config options for ' + clusterInfo.host);
+        }
+
+        const explicitPort = clusterInfo.explicitPort !== undefined
+            ? clusterInfo.explicitPort
+            : this.config.isSet('sshPort', this.profile);
+        const port = explicitPort
+            ? clusterInfo.port
+            : (parseInt(hostConfig.port) || clusterInfo.port || 22);
+
         const sshConfig = {
-            host: clusterInfo.host,
-            port: clusterInfo.port,
-            username: clusterInfo.username,
-            tryKeyboard: false,
-            readyTimeout: this.connectionTimeout,
-            keepaliveInterval: this.keepAliveInterval,
-            keepaliveCountMax: 3,
+            host: hostConfig.hostname || clusterInfo.host,
+            port: port,
+            username: clusterInfo.username || hostConfig.user,
+            tryKeyboard: Boolean(this.authPrompter) && !this.silent,
+            readyTimeout: hostConfig.connecttimeout
+                ? parseInt(hostConfig.connecttimeout) * 1000
+                : this.connectionTimeout,
+            keepaliveInterval: hostConfig.serveraliveinterval !== undefined
+                ? parseInt(hostConfig.serveraliveinterval) * 1000
+                : this.keepAliveInterval,
+            keepaliveCountMax: parseInt(hostConfig.serveralivecountmax) || 3,
         };
 
-        // Try to load SSH keys
-        const keyFiles = [
-            'id_ed25519_unibo',
-            'id_ed25519',
-            'id_rsa',
-            'id_hpc_test'
-        ];
+        if (sshConfig.host !== clusterInfo.host) {
+            this.logger.info('Resolved ' + clusterInfo.host + ' to ' + sshConfig.host + ':' + sshConfig.port);
+        }
+
+        // The profile's key comes first, then IdentityFile keys, then the default key names
+        const identitiesOnly = (hostConfig.identitiesonly || '').toLowerCase() === 'yes';
+        const keyFiles = (hostConfig.identityfile || []).slice();
+        if (clusterInfo.identityFile) {
+            keyFiles.unshift(clusterInfo.identityFile.replace(/^~(?=$|\/)/, os.homedir()));
+        }
+
+        if (!identitiesOnly || keyFiles.length === 0) {
+            const sshDir = path.join(process.env.HOME || os.homedir(), '.ssh');
+            [
+                'id_ed25519_unibo',
+                'id_ed25519',
+                'id_rsa',
+                'id_hpc_test'
+            ].forEach(keyName => keyFiles.push(path.join(sshDir, keyName)));
+        }
 
         let keyLoaded = false;
-        this.logger.info('Searching for SSH keys in ~/.ssh/');
+        this.logger.info('Searching for SSH keys: ' + keyFiles.map(k => path.basename(k)).join(', '));
 
-        for (const keyName of keyFiles) {
-            const keyPath = path.join(process.env.HOME || os.homedir(), '.ssh', keyName);
+        for (const keyPath of keyFiles) {
+            const keyName = path.basename(keyPath);
             try {
                 if (fs.existsSync(keyPath)) {
                     const keyContent = fs.readFileSync(keyPath);
@@ -259,20 +522,106 @@ class ConnectionManager {
             }
         }
 
-        // Fallback to SSH agent
+        // Fallback to SSH agent (IdentitiesOnly restricts auth to the listed keys)
         if (!keyLoaded) {
-            if (process.env.SSH_AUTH_SOCK) {
+            const agentSocket = hostConfig.identityagent && hostConfig.identityagent.toLowerCase() !== 'none'
+                ? hostConfig.identityagent
+                : process.env.SSH_AUTH_SOCK;
+
+            if (agentSocket && !identitiesOnly) {
                 this.logger.info('Using SSH agent');
-                sshConfig.agent = process.env.SSH_AUTH_SOCK;
-                sshConfig.agentForward = true;
+                sshConfig.agent = agentSocket;
+                sshConfig.agentForward = (hostConfig.forwardagent || 'yes').toLowerCase() !== 'no';
             } else {
-                this.logger.warn('No SSH key or agent found - attempting password auth');
+                this.logger.warn('No SSH key or agent found - attempting keyboard-interactive auth');
             }
         }
 
         return sshConfig;
     }
 
+    /**
+     * Build the host key checking policy for a hop from ~/.ssh/config
+     * 
+     * Honors UserKnownHostsFile, GlobalKnownHostsFile, HostKeyAlias,
+     * StrictHostKeyChecking (yes / ask / accept-new / no) and HashKnownHosts.
+     */
+    buildHostKeyPolicy(clusterInfo, sshConfig) {
+        const hostConfig = this.sshConfigParser.resolve(clusterInfo.host, { user: clusterInfo.username });
+
+        const userFiles = hostConfig.userknownhostsfile
+            ? hostConfig.userknownhostsfile.split(/\s+/)
+            : null;
+        const globalFiles = (hostConfig.globalknownhostsfile || '/etc/ssh/ssh_known_hosts /etc/ssh/ssh_known_hosts2')
+            .split(/\s+/);
+
+        return {
+            host: hostConfig.hostkeyalias || sshConfig.host,
+            port: hostConfig.hostkeyalias ? 22 : sshConfig.port,
+            strict: (hostConfig.stricthostkeychecking || 'ask').toLowerCase(),
+            hashKnownHosts: (hostConfig.hashknownhosts || '').toLowerCase() === 'yes',
+            knownHosts: new KnownHosts(userFiles, globalFiles),
+        };
+    }
+
+    /**
+     * Verify a server key against known_hosts
+     * 
+     * Unknown hosts get a trust-on-first-use prompt; a changed or revoked
+     * key is always a hard failure.
+     * 
+     * @throws Error with a HOST_KEY_* code if the key is not accepted
+     */
+    async verifyHostKey(hop, key) {
+        const policy = hop.hostKeyPolicy;
+        const keyType = KnownHosts.keyType(key);
+        const fingerprint = KnownHosts.fingerprint(key);
+        const hostName = KnownHosts.hostEntryName(policy.host, policy.port);
+        const result = policy.knownHosts.lookup(policy.host, policy.port, key);
+
+        if (result.status === 'match') {
+            this.logger.info(`Host key verified for ${hostName} (${result.file}:${result.line})`);
+            return;
+        }
+
+        if (result.status === 'revoked') {
+            throw new Error(`HOST_KEY_REVOKED: The ${keyType} host key of ${hostName} (${fingerprint}) `
+                + `is marked as revoked in ${result.file}:${result.line}`);
+        }
+
+        if (result.status === 'mismatch') {
+            const error = new Error(`HOST_KEY_CHANGED: The ${keyType} host key of ${hostName} has changed! `
+                + `Server sent ${fingerprint}, which does not match ${result.file}:${result.line}. `
+                + 'Someone could be intercepting the connection (man-in-the-middle attack), '
+                + 'or the cluster host key was replaced.');
+            error.fingerprint = fingerprint;
+            error.hostName = hostName;
+            throw error;
+        }
+
+        this.logger.warn(`Unknown host key for ${hostName}: ${keyType} ${fingerprint}`);
+
+        if (policy.strict === 'yes') {
+            throw new Error(`HOST_KEY_UNKNOWN: No ${keyType} host key is known for ${hostName} `
+                + 'and StrictHostKeyChecking is enabled');
+        }
+
+        if (policy.strict === 'ask') {
+            const trusted = this.authPrompter && !this.silent
+                ? await this.authPrompter.confirmHostKey(hostName, keyType, fingerprint, result.knownTypes)
+                : false;
+            if (!trusted) {
+                throw new Error(`HOST_KEY_REJECTED: The ${keyType} host key of ${hostName} (${fingerprint}) was not accepted`);
+            }
+        }
+
+        try {
+            policy.knownHosts.add(policy.host, policy.port, key, policy.hashKnownHosts);
+        } catch (error) {
+            this.logger.warn('Could not save host key: ' + error.message);
+        }
+    }
+
     /**
      * Setup keep-alive mechanism
      */
@@ -282,7 +631,7 @@ class ConnectionManager {
             if (!await this.isConnectionAlive()) {
                 this.logger.warn('Connection lost, cleaning up');
                 clearInterval(keepAliveCheck);
-                this.connection = null;
+                this.dropConnection();
             }
         }, 30000); // Check every 30 seconds
 
@@ -299,7 +648,8 @@ class ConnectionManager {
             'All configured authentication methods failed',
             'NO_SSH_KEY',
             'Authentication failed',
-            'Permission denied'
+            'Permission denied',
+            'AUTH_CANCELLED'
         ];
 
         return authErrors.some(msg => 
@@ -307,6 +657,20 @@ class ConnectionManager {
         );
     }
 
+    /**
+     * Check if error is a host key verification failure
+     */
+    isHostKeyError(error) {
+        return Boolean(error && error.message && error.message.includes('HOST_KEY_'));
+    }
+
+    /**
+     * Errors that retrying cannot fix (and that may prompt the user again)
+     */
+    isFatalConnectionError(error) {
+        return this.isAuthenticationError(error) || this.isHostKeyError(error);
+    }
+
     /**
      * Calculate exponential backoff delay
      */
@@ -320,13 +684,23 @@ class ConnectionManager {
 
     /**
      * Enrich error with helpful information
+     * 
+     * @param {Error} error - Original error
+     * @param {object} hop - Optional hop ({ label, sshConfig }) the error occurred on
      */
-    enrichError(error) {
+    enrichError(error, hop = null) {
         if (!error) return new Error('Unknown connection error');
 
         let enrichedMessage = error.message || 'Connection failed';
         let suggestions = [];
 
+        const clusterInfo = hop ? null : this.config.getClusterInfo(this.profile);
+        const host = hop ? hop.sshConfig.host : clusterInfo.host;
+        const port = hop ? hop.sshConfig.port : clusterInfo.port;
+        if (hop && hop.label !== 'cluster') {
+            enrichedMessage = `${hop.label}: ${enrichedMessage}`;
+        }
+
         // Analyze error and add suggestions
         if (error.message && error.message.includes('NO_SSH_KEY')) {
             suggestions.push('Create SSH key: ssh-keygen -t ed25519 -f ~/.ssh/id_ed25519');
@@ -336,12 +710,27 @@ class ConnectionManager {
             suggestions.push('Verify VPN is connected (if required)');
             suggestions.push('Check firewall settings');
         } else if (error.message && error.message.includes('ECONNREFUSED')) {
-            suggestions.push('Verify host address: ' + this.config.get('clusterHost'));
-            suggestions.push('Verify SSH port: ' + this.config.get('sshPort'));
+            suggestions.push('Verify host address: ' + host);
+            suggestions.push('Verify SSH port: ' + port);
             suggestions.push('Check if SSH service is running on cluster');
         } else if (error.message && error.message.includes('ENOTFOUND')) {
             suggestions.push('Check host name spelling');
             suggestions.push('Verify DNS resolution');
+        } else if (error.message && error.message.includes('HOST_KEY_CHANGED')) {
+            suggestions.push('Do NOT continue until you have verified the new key with your cluster administrators');
+            if (error.fingerprint) {
+                suggestions.push('Expected new fingerprint to confirm: ' + error.fingerprint);
+            }
+            suggestions.push('If the change is legitimate, remove the old key: ssh-keygen -R "' + (error.hostName || host) + '"');
+            suggestions.push('Then reconnect to trust the new key');
+        } else if (error.message && (error.message.includes('HOST_KEY_UNKNOWN') || error.message.includes('HOST_KEY_REJECTED'))) {
+            suggestions.push('Connect once from a terminal (ssh ' + host + ') and verify the fingerprint');
+            suggestions.push('Or reconnect and accept the key after checking its fingerprint');
+        } else if (error.message && error.message.includes('HOST_KEY_REVOKED')) {
+            suggestions.push('Contact your cluster administrators: this key must not be trusted');
+        } else if (error.message && error.message.includes('Channel open failure')) {
+            suggestions.push('Verify that the jump host can reach ' + host + ':' + port);
+            suggestions.push('Check that TCP forwarding is allowed on the jump host (AllowTcpForwarding)');
         }
 
         if (suggestions.length > 0) {
@@ -374,9 +763,14 @@ class ConnectionManager {
             } catch (error) {
                 this.logger.error(`Command execution failed (attempt ${attempt + 1}): ${error.message}`);
                 
+                // Never re-prompt for credentials in a retry loop
+                if (this.isFatalConnectionError(error)) {
+                    throw error;
+                }
+
                 // If connection lost, reset it
                 if (error.message.includes('Connection') || error.message.includes('ETIMEDOUT')) {
-                    this.connection = null;
+                    await this.resetConnectionIfDead();
                 }
 
                 if (attempt === maxRetries - 1) {
@@ -411,6 +805,7 @@ class ConnectionManager {
 
                 stream.on('close', (code, signal) => {
                     clearTimeout(commandTimeout);
+                    this.lastActivity = Date.now();
                     resolve({ stdout, stderr, code, signal });
                 });
 
@@ -426,101 +821,131 @@ class ConnectionManager {
     }
 
     /**
-     * Upload file with retry
+     * Start a long-running command and return its channel
+     *
+     * The command runs on a pseudo-terminal, so closing the channel hangs
+     * up the remote process (e.g. `tail -F`) instead of leaving it behind.
+     * Output is merged into the returned stream; the caller owns it.
+     *
+     * @param {string} command - Command to run
+     * @param {object} options - { cols, rows } of the pseudo-terminal
+     * @returns {Promise<object>} ssh2 channel
      */
-    async uploadFile(localPath, remotePath, options = {}) {
-        const maxRetries = options.maxRetries || 2;
+    async openExecStream(command, options = {}) {
+        const conn = await this.getConnection();
 
-        for (let attempt = 0; attempt < maxRetries; attempt++) {
-            try {
-                const conn = await this.getConnection();
-                await this.uploadFileOnConnection(conn, localPath, remotePath);
-                return;
-            } catch (error) {
-                this.logger.error(`Upload failed (attempt ${attempt + 1}): ${error.message}`);
-                
-                if (attempt === maxRetries - 1) {
-                    throw error;
+        return new Promise((resolve, reject) => {
+            const pty = { term: 'xterm-256color', cols: options.cols || 120, rows: options.rows || 30 };
+            conn.exec(command, { pty }, (err, stream) => {
+                if (err) {
+                    reject(err);
+                    return;
                 }
-
-                this.connection = null;
-                await this.sleep(1000);
-            }
-        }
+                this.lastActivity = Date.now();
+                stream.on('data', () => {
+                    this.lastActivity = Date.now();
+                });
+                resolve(stream);
+            });
+        });
     }
 
     /**
-     * Upload file on established connection
+     * Start a command with its standard streams exposed
+     *
+     * No pseudo-terminal is allocated (unlike openExecStream()), so binary
+     * data such as a tar archive passes through unchanged. Writing to the
+     * channel feeds stdin; reading from it yields stdout.
+     *
+     * @param {string} command - Command to run
+     * @returns {Promise<object>} ssh2 channel (emits 'exit' with the exit code)
      */
-    async uploadFileOnConnection(conn, localPath, remotePath) {
+    async openExecChannel(command) {
+        const conn = await this.getConnection();
+
         return new Promise((resolve, reject) => {
-            conn.sftp((err, sftp) => {
+            conn.exec(command, (err, stream) => {
                 if (err) {
                     reject(err);
                     return;
                 }
-
-                sftp.fastPut(localPath, remotePath, (err) => {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve();
-                    }
-                });
+                this.lastActivity = Date.now();
+                resolve(stream);
             });
         });
     }
 
     /**
-     * Download file with retry
+     * Upload a file (see TransferEngine for retries and resuming)
+     *
+     * @param {object} options - { maxRetries, onProgress(progress) }
+     */
+    async uploadFile(localPath, remotePath, options = {}) {
+        await this.transferEngine.upload([{ localPath, remotePath }], options);
+    }
+
+    /**
+     * Download a file
+     *
+     * @param {object} options - { maxRetries, onProgress(progress) }
      */
     async downloadFile(remotePath, localPath, options = {}) {
-        const maxRetries = options.maxRetries || 2;
+        await this.transferEngine.download([{ remotePath, localPath }], options);
+    }
 
-        for (let attempt = 0; attempt < maxRetries; attempt++) {
-            try {
-                const conn = await this.getConnection();
-                await this.downloadFileOnConnection(conn, remotePath, localPath);
-                return;
-            } catch (error) {
-                this.logger.error(`Download failed (attempt ${attempt + 1}): ${error.message}`);
-                
-                if (attempt === maxRetries - 1) {
-                    throw error;
-                }
+    /**
+     * Upload several files over one SFTP session, a few at a time
+     *
+     * @param {Array} files - [{ localPath, remotePath }]
+     * @param {object} options - { concurrency, maxRetries, onProgress(progress) }
+     * @returns {Promise<object>} { files, bytes }
+     */
+    async uploadFiles(files, options = {}) {
+        return this.transferEngine.upload(files, options);
+    }
 
-                this.connection = null;
-                await this.sleep(1000);
-            }
-        }
+    /**
+     * Download several files over one SFTP session, a few at a time
+     *
+     * @param {Array} files - [{ remotePath, localPath, size }]
+     * @param {object} options - { concurrency, maxRetries, onProgress(progress) }
+     * @returns {Promise<object>} { files, bytes }
+     */
+    async downloadFiles(files, options = {}) {
+        return this.transferEngine.download(files, options);
     }
 
     /**
-     * Download file on established connection
+     * Drop the cached connection if it no longer responds
+     * 
+     * A working connection is kept so that users of keyboard-interactive
+     * auth are not prompted again after a single failed operation.
      */
-    async downloadFileOnConnection(conn, remotePath, localPath) {
-        return new Promise((resolve, reject) => {
-            conn.sftp((err, sftp) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+    async resetConnectionIfDead() {
+        if (this.connection && !await this.isConnectionAlive()) {
+            this.dropConnection();
+        }
+    }
 
-                sftp.fastGet(remotePath, localPath, (err) => {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve();
-                    }
-                });
-            });
-        });
+    /**
+     * End and forget the current connection
+     */
+    dropConnection() {
+        if (this.connection) {
+            try {
+                this.connection.end();
+            } catch (error) {
+                this.logger.debug('Error ending connection: ' + error.message);
+            }
+            this.connection = null;
+        }
     }
 
     /**
      * Graceful disconnect
      */
     disconnect() {
+        this.transferEngine.reset();
         if (this.connection) {
             this.logger.info('Disconnecting SSH connection');
             try {
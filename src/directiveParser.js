@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const { getInstance: getLogger } = require('./logger');
+
+// sbatch options the extension models natively, by short and long name
+const NATIVE_OPTIONS = {
+    'J': 'name', 'job-name': 'name',
+    'p': 'partition', 'partition': 'partition',
+    'c': 'cpus', 'cpus-per-task': 'cpus',
+    'mem': 'memory',
+    't': 'time', 'time': 'time',
+    'N': 'nodes', 'nodes': 'nodes',
+    'n': 'ntasks', 'ntasks': 'ntasks',
+    'G': 'gpus', 'gpus': 'gpus',
+    'gres': 'gres',
+};
+
+// Options that would move the logs the extension reads; never passed through
+const IGNORED_OPTIONS = ['o', 'output', 'e', 'error', 'D', 'chdir'];
+
+// Keys accepted in "hpc:" comments besides the native option names
+const HPC_KEYS = {
+    name: 'name',
+    partition: 'partition',
+    gpus: 'gpus',
+    gpu_type: 'gpuType',
+    cpus: 'cpus',
+    mem: 'memory',
+    memory: 'memory',
+    time: 'time',
+    nodes: 'nodes',
+    ntasks: 'ntasks',
+    env: 'pythonEnv',
+    venv: 'pythonEnv',
+};
+
+/**
+ * Reads scheduling directives from the header of a source file
+ *
+ * Supported forms (only in the leading comment block, like sbatch):
+ * - `#SBATCH --gres=gpu:2` in Python files, notebooks and CMakeLists.txt
+ * - `//SBATCH --time=01:00:00` or `// #SBATCH ...` in C, C++ and CUDA files
+ * - `# hpc: partition=l40 time=04:00:00` / `// hpc: ...` key=value lists
+ *
+ * Options modelled by ScriptBuilder (name, partition, GPUs, CPUs, memory,
+ * time, nodes, tasks) become job config fields; any other sbatch option
+ * (e.g. --constraint, --exclusive, --mail-type) is kept verbatim in
+ * `extraDirectives`.
+ */
+class DirectiveParser {
+    constructor() {
+        this.logger = getLogger();
+    }
+
+    /**
+     * Parse the directives of a file
+     *
+     * @returns {object} { config, extraDirectives, ignored, count }
+     */
+    parseFile(filePath) {
+        const result = { config: {}, extraDirectives: [], ignored: [], count: 0 };
+
+        let lines;
+        try {
+            lines = this._readHeaderLines(filePath);
+        } catch (error) {
+            this.logger.warn('Could not read directives from ' + filePath + ': ' + error.message);
+            return result;
+        }
+
+        const comment = this._commentPrefix(filePath);
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#!')) continue;
+            if (!line.startsWith(comment)) break; // sbatch stops at the first command
+
+            const body = line.slice(comment.length).trim();
+            const sbatch = comment === '#'
+                ? line.match(/^#SBATCH\s+(.*)$/)
+                : body.match(/^#?SBATCH\s+(.*)$/);
+            const hpc = body.match(/^hpc:\s*(.*)$/i);
+
+            if (sbatch) {
+                this._parseSbatch(this._splitArgs(sbatch[1]), result);
+            } else if (hpc) {
+                this._parseHpc(this._splitArgs(hpc[1]), result);
+            }
+        }
+
+        if (result.count > 0) {
+            this.logger.info(`Read ${result.count} directives from ${path.basename(filePath)}`);
+        }
+        return result;
+    }
+
+    _parseSbatch(args, result) {
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            if (arg.startsWith('#')) break; // Trailing comment
+
+            let name;
+            let value;
+            let raw;
+            const long = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+            const short = arg.match(/^-(\w)(.*)$/);
+
+            if (long) {
+                name = long[1];
+                value = long[2];
+                if (value === undefined && args[i + 1] !== undefined && !args[i + 1].startsWith('-') && !args[i + 1].startsWith('#')) {
+                    value = args[++i];
+                }
+                raw = value === undefined ? `--${name}` : `--${name}=${value}`;
+            } else if (short) {
+                name = short[1];
+                value = short[2] || undefined;
+                if (value === undefined && args[i + 1] !== undefined && !args[i + 1].startsWith('-') && !args[i + 1].startsWith('#')) {
+                    value = args[++i];
+                }
+                raw = value === undefined ? `-${name}` : `-${name} ${value}`;
+            } else {
+                continue;
+            }
+
+            result.count++;
+            if (IGNORED_OPTIONS.includes(name)) {
+                result.ignored.push(raw);
+            } else if (NATIVE_OPTIONS[name] && value !== undefined && this._setNative(NATIVE_OPTIONS[name], value, result.config)) {
+                continue;
+            } else {
+                result.extraDirectives.push(raw);
+            }
+        }
+    }
+
+    _parseHpc(tokens, result) {
+        for (const token of tokens) {
+            if (token.startsWith('#')) break;
+
+            const index = token.indexOf('=');
+            const key = index === -1 ? token : token.slice(0, index);
+            const value = index === -1 ? undefined : token.slice(index + 1);
+            result.count++;
+
+            const field = HPC_KEYS[key.toLowerCase()] || NATIVE_OPTIONS[key];
+            if (field && value !== undefined && this._setNative(field, value, result.config)) {
+                continue;
+            }
+
+            // Anything else is an sbatch long option
+            if (IGNORED_OPTIONS.includes(key)) {
+                result.ignored.push(token);
+            } else {
+                result.extraDirectives.push(value === undefined ? `--${key}` : `--${key}=${value}`);
+            }
+        }
+    }
+
+    /**
+     * Store a natively modelled value; false if it cannot be represented
+     */
+    _setNative(field, value, config) {
+        switch (field) {
+            case 'gres': {
+                // gpu[:type]:count; other GRES are passed through
+                const match = value.match(/^gpu(?::([\w.-]+))?:(\d+)$/);
+                if (!match) return false;
+                config.gpus = parseInt(match[2]);
+                if (match[1]) config.gpuType = match[1];
+                return true;
+            }
+            case 'gpus': {
+                const match = value.match(/^(?:([\w.-]+):)?(\d+)$/);
+                if (!match) return false;
+                config.gpus = parseInt(match[2]);
+                if (match[1]) config.gpuType = match[1];
+                return true;
+            }
+            case 'cpus':
+            case 'nodes':
+            case 'ntasks':
+                if (!/^\d+$/.test(value)) return false;
+                config[field] = parseInt(value);
+                return true;
+            case 'memory': {
+                const memory = DirectiveParser.normalizeMemory(value);
+                if (!memory) return false;
+                config.memory = memory;
+                return true;
+            }
+            case 'time': {
+                const time = DirectiveParser.normalizeTime(value);
+                if (!time) return false;
+                config.time = time;
+                return true;
+            }
+            default:
+                config[field] = value;
+                return true;
+        }
+    }
+
+    /**
+     * Lines that may hold directives: the file head, or the first code cell of a notebook
+     */
+    _readHeaderLines(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+
+        if (path.extname(filePath) === '.ipynb') {
+            const notebook = JSON.parse(content);
+            const cell = (notebook.cells || []).find(c => c.cell_type === 'code');
+            if (!cell) return [];
+            const source = Array.isArray(cell.source) ? cell.source.join('') : String(cell.source || '');
+            return source.split(/\r?\n/);
+        }
+
+        return content.split(/\r?\n/).slice(0, 200);
+    }
+
+    _commentPrefix(filePath) {
+        return ['.c', '.cpp', '.cu', '.h', '.hpp', '.cuh'].includes(path.extname(filePath)) ? '//' : '#';
+    }
+
+    _splitArgs(text) {
+        const args = [];
+        const regex = /"([^"]*)"|'([^']*)'|(\S+)/g;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            args.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+        }
+        return args;
+    }
+
+    /**
+     * Normalize a SLURM memory value to the "16G" / "32000M" form
+     */
+    static normalizeMemory(value) {
+        const match = String(value).trim().match(/^(\d+)\s*([KMGT]?)B?$/i);
+        if (!match) return null;
+
+        const amount = parseInt(match[1]);
+        switch (match[2].toUpperCase()) {
+            case 'K': return Math.ceil(amount / 1024) + 'M';
+            case 'T': return (amount * 1024) + 'G';
+            case 'G': return amount + 'G';
+            default: return amount + 'M'; // SLURM default unit is MB
+        }
+    }
+
+    /**
+     * Normalize a SLURM time ("MM", "MM:SS", "H:MM:SS", "D-HH[:MM[:SS]]") to HH:MM:SS
+     */
+    static normalizeTime(value) {
+        const text = String(value).trim();
+        let days = 0;
+        let rest = text;
+
+        const dayMatch = text.match(/^(\d+)-(.*)$/);
+        if (dayMatch) {
+            days = parseInt(dayMatch[1]);
+            rest = dayMatch[2];
+        }
+        if (!/^\d+(:\d+){0,2}$/.test(rest)) return null;
+
+        const parts = rest.split(':').map(p => parseInt(p));
+        let hours = 0;
+        let minutes = 0;
+        let seconds = 0;
+        if (dayMatch) {
+            [hours, minutes = 0, seconds = 0] = parts;
+        } else if (parts.length === 3) {
+            [hours, minutes, seconds] = parts;
+        } else if (parts.length === 2) {
+            [minutes, seconds] = parts;
+        } else {
+            [minutes] = parts;
+        }
+
+        const total = days * 86400 + hours * 3600 + minutes * 60 + seconds;
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${pad(Math.floor(total / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+    }
+}
+
+module.exports = DirectiveParser;
@@ -5,9 +5,15 @@
  * and knows how to generate appropriate execution commands
  */
 class BaseExecutor {
-    constructor(jobConfig, clusterInfo) {
+    /**
+     * @param {object} jobConfig - Job configuration
+     * @param {object} clusterInfo - ConfigManager.getClusterInfo() of the job's profile
+     * @param {SafetyManager} safetyManager - Validates remote paths (optional for UI queries)
+     */
+    constructor(jobConfig, clusterInfo, safetyManager = null) {
         this.jobConfig = jobConfig;
         this.clusterInfo = clusterInfo;
+        this.safetyManager = safetyManager;
     }
 
     /**
@@ -27,6 +33,15 @@ class BaseExecutor {
         throw new Error('getUIConfig() must be implemented by subclass');
     }
 
+    /**
+     * Get the default values of the commands shown in the submission form
+     * @param {string} fileName - File to execute
+     * @returns {object} Job config field -> default command
+     */
+    getDefaultCommands(fileName) {
+        return {};
+    }
+
     /**
      * Build the execution command for this file type
      * @param {string} jobDir - Remote job directory
@@ -52,36 +67,6 @@ class BaseExecutor {
     validate() {
         // Override in subclasses for specific validation
     }
-
-    /**
-     * Extract additional configuration from user input
-     * @param {object} uiConfig - User input from dialogs
-     * @returns {object} Executor-specific config
-     */
-    async extractConfig(uiConfig) {
-        return {};
-    }
-
-    /**
-     * Build input files reference for SLURM script
-     * @returns {string} jq-compatible file list
-     */
-    buildInputFilesJson() {
-        if (!this.jobConfig.inputFiles || this.jobConfig.inputFiles.length === 0) {
-            return '[]';
-        }
-        return this.jobConfig.inputFiles
-            .map(f => `"${require('path').basename(f)}"`)
-            .join(', ');
-    }
-
-    /**
-     * Get additional SLURM directives for this executor
-     * @returns {string} SLURM directives (#SBATCH lines)
-     */
-    getAdditionalSlurmDirectives() {
-        return '# No additional directives';
-    }
 }
 
 module.exports = BaseExecutor;
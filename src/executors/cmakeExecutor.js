@@ -16,8 +16,8 @@ const { getInstance: getLogger } = require('../logger');
  * - CUDA module loading if needed
  */
 class CMakeExecutor extends BaseExecutor {
-    constructor(jobConfig, clusterInfo) {
-        super(jobConfig, clusterInfo);
+    constructor(jobConfig, clusterInfo, safetyManager) {
+        super(jobConfig, clusterInfo, safetyManager);
         this.logger = getLogger();
     }
 
@@ -30,6 +30,7 @@ class CMakeExecutor extends BaseExecutor {
             showPythonEnv: false,
             showCompilerFlags: false,
             showCMakeCommands: true,
+            showExecuteCommand: true,
         };
     }
 
@@ -52,12 +53,20 @@ class CMakeExecutor extends BaseExecutor {
         return lines.join('\n');
     }
 
+    getDefaultCommands() {
+        return {
+            cmakeConfigureCommand: this._getDefaultConfigureCommand(),
+            cmakeBuildCommand: this._getDefaultBuildCommand(),
+            executeCommand: this._getDefaultExecuteCommand(),
+        };
+    }
+
     _getDefaultConfigureCommand() {
         return 'cmake -S . -B build -DCMAKE_BUILD_TYPE=Release';
     }
 
     _getDefaultBuildCommand() {
-        return 'cmake --build build -j $SLURM_CPUS_PER_TASK';
+        return 'cmake --build build -j $HPC_CPUS';
     }
 
     _getDefaultExecuteCommand() {
@@ -79,14 +88,6 @@ class CMakeExecutor extends BaseExecutor {
         return '# CMake project (no CUDA)';
     }
 
-    async extractConfig(uiConfig) {
-        return {
-            cmakeConfigureCommand: uiConfig.cmakeConfigureCommand || '',
-            cmakeBuildCommand: uiConfig.cmakeBuildCommand || '',
-            executeCommand: uiConfig.executeCommand || '',
-        };
-    }
-
     validate() {
         // Validation: ensure commands are not empty if custom
         if (this.jobConfig.cmakeConfigureCommand === '') {
@@ -101,16 +102,6 @@ class CMakeExecutor extends BaseExecutor {
         
         this.logger.debug('CMake executor validated');
     }
-
-    /**
-     * Get additional SLURM directives for CMake
-     */
-    getAdditionalSlurmDirectives() {
-        if (this.jobConfig.gpus > 0) {
-            return '# CMake project with GPU support';
-        }
-        return '# CMake project (CPU only)';
-    }
 }
 
 module.exports = CMakeExecutor;
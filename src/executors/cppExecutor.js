@@ -1,5 +1,6 @@
 const BaseExecutor = require('./baseExecutor');
 const path = require('path');
+const { quote, quotePath } = require('../shellQuote');
 const { getInstance: getLogger } = require('../logger');
 
 /**
@@ -15,8 +16,8 @@ const { getInstance: getLogger } = require('../logger');
  * - Default templates for common use cases
  */
 class CppExecutor extends BaseExecutor {
-    constructor(jobConfig, clusterInfo) {
-        super(jobConfig, clusterInfo);
+    constructor(jobConfig, clusterInfo, safetyManager) {
+        super(jobConfig, clusterInfo, safetyManager);
         this.logger = getLogger();
     }
 
@@ -27,6 +28,7 @@ class CppExecutor extends BaseExecutor {
     getUIConfig() {
         return {
             showPythonEnv: false,
+            showGPUs: false,
             showCompilerFlags: true,
             showCompileCommand: true,
             showExecuteCommand: true,
@@ -41,17 +43,24 @@ class CppExecutor extends BaseExecutor {
         return `${compileCmd}\n${executeCmd}`;
     }
 
+    getDefaultCommands(fileName) {
+        return {
+            compileCommand: this._getDefaultCompileCommand(fileName),
+            executeCommand: this._getDefaultExecuteCommand(fileName),
+        };
+    }
+
     _getDefaultCompileCommand(fileName) {
         const fileExt = path.extname(fileName);
         const executable = fileName.replace(/\.[^.]+$/, '.out');
         const compiler = fileExt === '.c' ? 'gcc' : 'g++';
         
-        return `${compiler} ${fileName} -o ${executable} -O3 -march=native -Wall`;
+        return `${compiler} ${quotePath(fileName)} -o ${quotePath(executable)} -O3 -march=native -Wall`;
     }
 
     _getDefaultExecuteCommand(fileName) {
         const executable = fileName.replace(/\.[^.]+$/, '.out');
-        return `./${executable}`;
+        return quote('./' + executable);
     }
 
     getEnvironmentSetup() {
@@ -59,13 +68,6 @@ class CppExecutor extends BaseExecutor {
         return '# No Python environment needed for C/C++';
     }
 
-    async extractConfig(uiConfig) {
-        return {
-            compileCommand: uiConfig.compileCommand || '',
-            executeCommand: uiConfig.executeCommand || '',
-        };
-    }
-
     validate() {
         // Basic validation: ensure commands are not empty if custom
         if (this.jobConfig.compileCommand === '') {
@@ -76,15 +78,6 @@ class CppExecutor extends BaseExecutor {
         }
         this.logger.debug('C/C++ executor validated');
     }
-
-    /**
-     * Get additional SLURM directives for C/C++
-     * GPU resources are not requested for pure C/C++ compilation/execution
-     */
-    getAdditionalSlurmDirectives() {
-        // C/C++ typically doesn't need GPU
-        return '# C/C++ execution: no GPU requested';
-    }
 }
 
 module.exports = CppExecutor;
@@ -1,5 +1,6 @@
 const BaseExecutor = require('./baseExecutor');
 const path = require('path');
+const { quote, quotePath } = require('../shellQuote');
 const { getInstance: getLogger } = require('../logger');
 
 /**
@@ -15,8 +16,8 @@ const { getInstance: getLogger } = require('../logger');
  * - GPU-aware execution
  */
 class CudaExecutor extends BaseExecutor {
-    constructor(jobConfig, clusterInfo) {
-        super(jobConfig, clusterInfo);
+    constructor(jobConfig, clusterInfo, safetyManager) {
+        super(jobConfig, clusterInfo, safetyManager);
         this.logger = getLogger();
     }
 
@@ -41,14 +42,21 @@ class CudaExecutor extends BaseExecutor {
         return `${compileCmd}\n${executeCmd}`;
     }
 
+    getDefaultCommands(fileName) {
+        return {
+            compileCommand: this._getDefaultCompileCommand(fileName),
+            executeCommand: this._getDefaultExecuteCommand(fileName),
+        };
+    }
+
     _getDefaultCompileCommand(fileName) {
         const executable = fileName.replace(/\.cu$/, '.out');
-        return `nvcc ${fileName} -o ${executable} -O3 -arch=sm_75`;
+        return `nvcc ${quotePath(fileName)} -o ${quotePath(executable)} -O3 -arch=sm_75`;
     }
 
     _getDefaultExecuteCommand(fileName) {
         const executable = fileName.replace(/\.cu$/, '.out');
-        return `./${executable}`;
+        return quote('./' + executable);
     }
 
     getEnvironmentSetup() {
@@ -63,13 +71,6 @@ class CudaExecutor extends BaseExecutor {
         return lines.join('\n');
     }
 
-    async extractConfig(uiConfig) {
-        return {
-            compileCommand: uiConfig.compileCommand || '',
-            executeCommand: uiConfig.executeCommand || '',
-        };
-    }
-
     validate() {
         // Validation: ensure commands are not empty if custom
         if (this.jobConfig.compileCommand === '') {
@@ -86,14 +87,6 @@ class CudaExecutor extends BaseExecutor {
         
         this.logger.debug('CUDA executor validated');
     }
-
-    /**
-     * Get additional SLURM directives for CUDA
-     * GPU is mandatory for CUDA
-     */
-    getAdditionalSlurmDirectives() {
-        return '# CUDA execution: GPU required';
-    }
 }
 
 module.exports = CudaExecutor;
@@ -5,33 +5,51 @@ const CMakeExecutor = require('./cmakeExecutor');
 const path = require('path');
 const { getInstance: getLogger } = require('../logger');
 
+// Executors that a job config can select explicitly with `executor`
+const EXECUTORS = {
+    python: PythonExecutor,
+    cpp: CppExecutor,
+    cuda: CudaExecutor,
+    cmake: CMakeExecutor,
+};
+
 /**
  * Factory for creating appropriate executor based on file type
  */
 class ExecutorFactory {
-    static createExecutor(filePath, jobConfig, clusterInfo) {
+    static createExecutor(filePath, jobConfig, clusterInfo, safetyManager = null) {
         const logger = getLogger();
         const fileName = path.basename(filePath);
         const fileExt = path.extname(filePath);
         
+        // Explicit executor (job definitions) overrides the file type
+        if (jobConfig && jobConfig.executor) {
+            const Executor = EXECUTORS[jobConfig.executor];
+            if (!Executor) {
+                throw new Error('Unknown executor: ' + jobConfig.executor);
+            }
+            logger.debug('Creating ' + jobConfig.executor + ' executor for ' + fileName);
+            return new Executor(jobConfig, clusterInfo, safetyManager);
+        }
+
         logger.debug('Creating executor for ' + fileExt);
         
         // Special case for CMakeLists.txt
         if (fileName === 'CMakeLists.txt') {
-            return new CMakeExecutor(jobConfig, clusterInfo);
+            return new CMakeExecutor(jobConfig, clusterInfo, safetyManager);
         }
         
         switch (fileExt) {
             case '.py':
             case '.ipynb':
-                return new PythonExecutor(jobConfig, clusterInfo);
+                return new PythonExecutor(jobConfig, clusterInfo, safetyManager);
             
             case '.c':
             case '.cpp':
-                return new CppExecutor(jobConfig, clusterInfo);
+                return new CppExecutor(jobConfig, clusterInfo, safetyManager);
             
             case '.cu':
-                return new CudaExecutor(jobConfig, clusterInfo);
+                return new CudaExecutor(jobConfig, clusterInfo, safetyManager);
             
             default:
                 throw new Error('Unsupported file type: ' + fileExt);
@@ -61,6 +79,22 @@ class ExecutorFactory {
             };
         }
     }
+
+    /**
+     * Get default command values (compile, execute, CMake) for a file
+     *
+     * @param {string} filePath - File to run
+     * @param {string} executorType - Explicit executor (python, cpp, cuda, cmake), or null
+     */
+    static getDefaultCommandsForFile(filePath, executorType = null) {
+        try {
+            const executor = this.createExecutor(filePath, { gpus: 0, executor: executorType }, {});
+            return executor.getDefaultCommands(path.basename(filePath));
+        } catch (error) {
+            getLogger().warn('Could not get default commands: ' + error.message);
+            return {};
+        }
+    }
 }
 
 module.exports = ExecutorFactory;
@@ -1,4 +1,5 @@
 const BaseExecutor = require('./baseExecutor');
+const { quote, quotePath } = require('../shellQuote');
 const { getInstance: getLogger } = require('../logger');
 
 /**
@@ -9,8 +10,8 @@ const { getInstance: getLogger } = require('../logger');
  * - Jupyter notebooks (.ipynb): Executed with `jupyter nbconvert --execute --inplace`
  */
 class PythonExecutor extends BaseExecutor {
-    constructor(jobConfig, clusterInfo) {
-        super(jobConfig, clusterInfo);
+    constructor(jobConfig, clusterInfo, safetyManager) {
+        super(jobConfig, clusterInfo, safetyManager);
         this.logger = getLogger();
     }
 
@@ -30,22 +31,18 @@ class PythonExecutor extends BaseExecutor {
         
         if (fileExt === '.ipynb') {
             // Jupyter notebook: execute in-place and add results to notebook
-            return `jupyter nbconvert --to notebook --execute --inplace ${fileName} --ExecutePreprocessor.timeout=-1`;
+            return `jupyter nbconvert --to notebook --execute --inplace ${quotePath(fileName)} --ExecutePreprocessor.timeout=-1`;
         } else {
             // Python script: simple execution
-            return `python ${fileName}`;
+            return `python ${quotePath(fileName)}`;
         }
     }
 
     getEnvironmentSetup() {
-        const venvPath = `${this.clusterInfo.venvsDir}/${this.jobConfig.pythonEnv}`;
-        return `source ${venvPath}/bin/activate`;
-    }
-
-    async extractConfig(uiConfig) {
-        return {
-            pythonEnv: uiConfig.pythonEnv || 'base_env',
-        };
+        const venvPath = this.safetyManager
+            ? this.safetyManager.getSafeVenvPath(this.jobConfig.pythonEnv, this.clusterInfo.profile)
+            : `${this.clusterInfo.venvsDir}/${this.jobConfig.pythonEnv}`;
+        return `source ${quote(venvPath + '/bin/activate')}`;
     }
 
     validate() {
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+
+// Never uploaded: VCS data and the extension's own job storage and results
+const DEFAULT_PATTERNS = ['.git/', '.vscode/.hpc-connector/', '.hpc-connector/'];
+
+/**
+ * Ignore rules for project uploads, with .gitignore semantics
+ *
+ * The rules come from `.hpcignore` files when the project root has one,
+ * otherwise from `.gitignore` files. As with git, a file in a subfolder
+ * applies to that subfolder, later patterns override earlier ones, `!`
+ * re-includes, a trailing `/` matches directories only and a pattern
+ * containing `/` is anchored to the folder of its ignore file.
+ */
+class IgnoreRules {
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+        this.fileName = fs.existsSync(path.join(rootDir, '.hpcignore')) ? '.hpcignore' : '.gitignore';
+        this.rules = [];
+        this.sources = []; // Ignore files that were read, relative to the root
+        this.loadedDirs = new Set();
+
+        this.add(DEFAULT_PATTERNS, '');
+    }
+
+    /**
+     * Add patterns that apply below a directory
+     *
+     * @param {string[]} lines - Lines of an ignore file
+     * @param {string} base - Directory of the ignore file, relative to the root ('' for the root)
+     */
+    add(lines, base) {
+        for (const line of lines) {
+            const rule = IgnoreRules.parsePattern(line);
+            if (rule) {
+                rule.base = base;
+                this.rules.push(rule);
+            }
+        }
+    }
+
+    /**
+     * Check whether a path is ignored, including through one of its parent directories
+     *
+     * @param {string} relativePath - Path relative to the root, with / separators
+     * @param {boolean} isDirectory - Whether the path is a directory
+     */
+    isIgnored(relativePath, isDirectory = false) {
+        const parts = relativePath.split('/');
+        for (let i = 1; i <= parts.length; i++) {
+            const dir = parts.slice(0, i - 1).join('/');
+            this._loadDir(dir);
+            const isLast = i === parts.length;
+            if (this._matches(parts.slice(0, i).join('/'), isLast ? isDirectory : true)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * List the files to upload
+     *
+     * @returns {Array} [{ relativePath, size, mtime }] sorted by path (mtime in ms)
+     */
+    collectFiles() {
+        const files = [];
+        const walk = (dir) => {
+            this._loadDir(dir);
+            const entries = fs.readdirSync(path.join(this.rootDir, dir), { withFileTypes: true });
+            for (const entry of entries) {
+                const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+                const fullPath = path.join(this.rootDir, relativePath);
+
+                let stats;
+                try {
+                    // Symlinked files are uploaded as files; symlinked directories are skipped
+                    stats = entry.isSymbolicLink() ? fs.statSync(fullPath) : entry;
+                    if (entry.isSymbolicLink() && stats.isDirectory()) continue;
+                } catch (error) {
+                    continue; // Dangling symlink
+                }
+
+                if (stats.isDirectory()) {
+                    if (!this._matches(relativePath, true)) walk(relativePath);
+                } else if (stats.isFile() && !this._matches(relativePath, false)) {
+                    const fileStats = fs.statSync(fullPath);
+                    files.push({ relativePath, size: fileStats.size, mtime: fileStats.mtimeMs });
+                }
+            }
+        };
+
+        walk('');
+        return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+    }
+
+    /**
+     * Last matching rule wins
+     */
+    _matches(relativePath, isDirectory) {
+        let ignored = false;
+        for (const rule of this.rules) {
+            if (rule.dirOnly && !isDirectory) continue;
+            if (rule.base && !relativePath.startsWith(rule.base + '/')) continue;
+
+            const subject = rule.base ? relativePath.slice(rule.base.length + 1) : relativePath;
+            if (rule.regex.test(subject)) {
+                ignored = !rule.negate;
+            }
+        }
+        return ignored;
+    }
+
+    _loadDir(dir) {
+        if (this.loadedDirs.has(dir)) return;
+        this.loadedDirs.add(dir);
+
+        const file = path.join(this.rootDir, dir, this.fileName);
+        if (fs.existsSync(file)) {
+            this.add(fs.readFileSync(file, 'utf8').split(/\r?\n/), dir);
+            this.sources.push(dir ? `${dir}/${this.fileName}` : this.fileName);
+        }
+    }
+
+    /**
+     * Compile one line of an ignore file
+     *
+     * @returns {object|null} { regex, negate, dirOnly }, or null for blank lines and comments
+     */
+    static parsePattern(line) {
+        let pattern = line.replace(/(?<!\\)\s+$/, '');
+        if (!pattern || pattern.startsWith('#')) return null;
+
+        const negate = pattern.startsWith('!');
+        if (negate) pattern = pattern.slice(1);
+        if (pattern.startsWith('\\')) pattern = pattern.slice(1); // \# and \!
+
+        const dirOnly = pattern.endsWith('/');
+        if (dirOnly) pattern = pattern.slice(0, -1);
+
+        const anchored = pattern.includes('/');
+        if (pattern.startsWith('/')) pattern = pattern.slice(1);
+        if (!pattern) return null;
+
+        const body = IgnoreRules.globToRegex(pattern);
+        return {
+            regex: new RegExp((anchored ? '^' : '(?:^|/)') + body + '$'),
+            negate,
+            dirOnly,
+        };
+    }
+
+    /**
+     * Convert a gitignore glob to a regular expression source
+     */
+    static globToRegex(glob) {
+        let regex = '';
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === '*' && glob[i + 1] === '*') {
+                if (glob[i + 2] === '/') {
+                    regex += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    regex += '.*';
+                    i += 1;
+                }
+            } else if (char === '*') {
+                regex += '[^/]*';
+            } else if (char === '?') {
+                regex += '[^/]';
+            } else if (char === '[') {
+                const end = glob.indexOf(']', i + 2);
+                if (end === -1) {
+                    regex += '\\[';
+                } else {
+                    regex += '[' + glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                    i = end;
+                }
+            } else if (char === '\\' && i + 1 < glob.length) {
+                regex += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            } else {
+                regex += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            }
+        }
+        return regex;
+    }
+}
+
+module.exports = IgnoreRules;
@@ -0,0 +1,164 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const schema = require('../schemas/hpc-jobs.schema.json');
+const { validate } = require('./schemaValidator');
+const { getInstance: getLogger } = require('./logger');
+
+// Definition files looked up at the root of each workspace folder, by priority
+const DEFINITION_FILES = ['.hpc.json', 'hpc.json', 'hpc.yaml', 'hpc.yml'];
+
+// Job definition fields copied to the job config as-is
+const COMMAND_FIELDS = ['compileCommand', 'executeCommand', 'cmakeConfigureCommand', 'cmakeBuildCommand'];
+
+/**
+ * Project-level job definitions (.hpc.json / hpc.yaml)
+ *
+ * Responsibilities:
+ * - Find definition files in the workspace folders
+ * - Parse JSON or YAML and validate against schemas/hpc-jobs.schema.json
+ * - Turn a named job into the arguments of ClusterManager.submitJob(),
+ *   with profile defaults filling the resources it does not set
+ *
+ * Example (hpc.yaml):
+ *
+ *     jobs:
+ *       train:
+ *         entry: src/train.py
+ *         project: .
+ *         inputs: [data/*.csv]
+ *         resources: { partition: l40, gpus: 2, time: "04:00:00" }
+ *         modules: [cuda/12.1]
+ *         env: { WANDB_MODE: offline }
+ *         pythonEnv: torch
+ */
+class JobDefinitions {
+    constructor(configManager) {
+        this.config = configManager;
+        this.logger = getLogger();
+    }
+
+    /**
+     * Definition files of the open workspace folders
+     *
+     * @returns {string[]} Absolute paths (at most one per folder)
+     */
+    findFiles() {
+        const files = [];
+        for (const folder of vscode.workspace.workspaceFolders || []) {
+            const fileName = DEFINITION_FILES.find(name => fs.existsSync(path.join(folder.uri.fsPath, name)));
+            if (fileName) {
+                files.push(path.join(folder.uri.fsPath, fileName));
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Parse and validate a definition file
+     *
+     * @returns {object} { filePath, profile, jobs: [{ name, ...definition }] }
+     * @throws Error listing every schema violation
+     */
+    load(filePath) {
+        const fileName = path.basename(filePath);
+        const content = fs.readFileSync(filePath, 'utf8');
+
+        let data;
+        try {
+            data = /\.ya?ml$/.test(fileName) ? yaml.load(content) : JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Could not parse ${fileName}: ${error.message}`);
+        }
+
+        const errors = validate(schema, data === undefined ? null : data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid job definitions in ${fileName}: ` + errors.join('; '));
+        }
+
+        const jobs = Object.entries(data.jobs).map(([name, definition]) => Object.assign({ name }, definition));
+        this.logger.info(`Loaded ${jobs.length} job definitions from ${fileName}`);
+        return { filePath, profile: data.profile || null, jobs };
+    }
+
+    /**
+     * Build the submission of a job definition
+     *
+     * @param {object} definitions - Result of load()
+     * @param {object} job - One of definitions.jobs
+     * @returns {Promise<object>} { filePath, inputFiles, jobConfig }
+     */
+    async resolve(definitions, job) {
+        const baseDir = path.dirname(definitions.filePath);
+        const filePath = path.resolve(baseDir, job.entry);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Entry file of job "${job.name}" not found: ${job.entry}`);
+        }
+
+        const profile = job.profile || definitions.profile || this.config.getActiveProfileName();
+        if (!this.config.getProfileNames().includes(profile)) {
+            throw new Error(`Unknown profile in job "${job.name}": ${profile}`);
+        }
+
+        const defaults = this.config.getDefaultJobParams(profile);
+        const resources = job.resources || {};
+
+        const jobConfig = {
+            name: job.name,
+            partition: resources.partition || defaults.partition,
+            gpus: resources.gpus !== undefined ? resources.gpus : defaults.gpus,
+            cpus: resources.cpus || defaults.cpus,
+            memory: resources.memory || defaults.memory,
+            time: resources.time || defaults.time,
+            pythonEnv: job.pythonEnv || defaults.pythonEnv,
+            profile,
+        };
+
+        // CMake needs the sources next to CMakeLists.txt
+        const isCMake = job.executor ? job.executor === 'cmake' : path.basename(filePath) === 'CMakeLists.txt';
+        if (job.project !== undefined) {
+            jobConfig.projectDir = path.resolve(baseDir, job.project);
+        } else if (isCMake) {
+            jobConfig.projectDir = path.dirname(filePath);
+        }
+
+        if (job.executor) jobConfig.executor = job.executor;
+        if (resources.gpuType) jobConfig.gpuType = resources.gpuType;
+        if (resources.nodes) jobConfig.nodes = resources.nodes;
+        if (resources.ntasks) jobConfig.ntasks = resources.ntasks;
+        if (job.modules && job.modules.length > 0) jobConfig.modules = job.modules.slice();
+        if (job.env) jobConfig.env = Object.assign({}, job.env);
+        if (job.directives && job.directives.length > 0) jobConfig.extraDirectives = job.directives.slice();
+
+        for (const field of COMMAND_FIELDS) {
+            if (job[field] !== undefined) {
+                jobConfig[field] = job[field];
+            }
+        }
+
+        const inputFiles = await this._expandInputs(baseDir, job.inputs || [], filePath);
+        return { filePath, inputFiles, jobConfig };
+    }
+
+    /**
+     * Expand input glob patterns relative to the definition file
+     */
+    async _expandInputs(baseDir, patterns, entryPath) {
+        const files = new Set();
+        for (const pattern of patterns) {
+            const matches = await vscode.workspace.findFiles(new vscode.RelativePattern(baseDir, pattern));
+            if (matches.length === 0) {
+                throw new Error(`Input pattern matched no files: ${pattern}`);
+            }
+            for (const uri of matches) {
+                if (uri.fsPath !== entryPath) files.add(uri.fsPath);
+            }
+        }
+        return Array.from(files).sort();
+    }
+}
+
+JobDefinitions.DEFINITION_FILES = DEFINITION_FILES;
+
+module.exports = JobDefinitions;
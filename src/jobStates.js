@@ -0,0 +1,64 @@
+/**
+ * Job state vocabulary shared by status polling, job control and the UI
+ *
+ * States use SLURM names; other schedulers map their states to them.
+ */
+
+// States after which a job never changes again (unless requeued)
+const TERMINAL_STATES = [
+    'COMPLETED',
+    'FAILED',
+    'CANCELLED',
+    'TIMEOUT',
+    'OUT_OF_MEMORY',
+    'NODE_FAIL',
+    'PREEMPTED',
+    'BOOT_FAIL',
+    'DEADLINE',
+];
+
+// Non-final states, by how they are presented
+const RUNNING_STATES = ['RUNNING', 'COMPLETING', 'CONFIGURING', 'SUSPENDED', 'STOPPED', 'SIGNALING', 'STAGE_OUT', 'RESIZING'];
+const PENDING_STATES = ['PENDING', 'REQUEUED', 'REQUEUE_HOLD', 'REQUEUE_FED', 'RESV_DEL_HOLD', 'SPECIAL_EXIT'];
+
+/**
+ * Check whether a job state is final
+ */
+function isTerminal(status) {
+    return TERMINAL_STATES.includes(status);
+}
+
+/**
+ * Group a state for display: running, pending, completed, failed or unknown
+ *
+ * Every final state other than COMPLETED counts as failed.
+ */
+function stateGroup(status) {
+    if (status === 'COMPLETED') return 'completed';
+    if (isTerminal(status)) return 'failed';
+    if (RUNNING_STATES.includes(status)) return 'running';
+    if (PENDING_STATES.includes(status)) return 'pending';
+    return 'unknown';
+}
+
+/**
+ * Normalize a state reported by squeue/sacct
+ *
+ * "CANCELLED by 1234" -> "CANCELLED", "OUT_OF_ME+" -> "OUT_OF_MEMORY"
+ */
+function normalizeState(state) {
+    if (!state) return 'UNKNOWN';
+
+    const base = state.trim().split(/\s+/)[0].replace(/\+$/, '').toUpperCase();
+    if (!base) return 'UNKNOWN';
+
+    const known = TERMINAL_STATES.find(s => s.startsWith(base));
+    return state.trim().endsWith('+') && known ? known : base;
+}
+
+module.exports = {
+    TERMINAL_STATES,
+    isTerminal,
+    stateGroup,
+    normalizeState,
+};
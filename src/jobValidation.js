@@ -0,0 +1,87 @@
+const PartitionCatalog = require('./partitionCatalog');
+
+/**
+ * Validation rules for job submission fields
+ *
+ * Shared by every way of submitting a job so that the same values are
+ * accepted everywhere. Resource fields are also checked against the live
+ * limits of the selected partition when they are known.
+ */
+
+// SLURM time limit ([D-]H:MM:SS); PBS schedulers convert it to a walltime
+const TIME_PATTERN = /^(\d+-)?\d{1,2}:\d{2}:\d{2}$/;
+
+const COMMAND_FIELDS = {
+    compileCommand: 'Compilation command',
+    executeCommand: 'Execution command',
+    cmakeConfigureCommand: 'CMake configure command',
+    cmakeBuildCommand: 'CMake build command',
+};
+
+/**
+ * Validate a single field
+ *
+ * @param {string} field - Job config field (name, partition, gpus, cpus, memory, time, ...)
+ * @param {*} value - Value as entered (strings are accepted for numbers)
+ * @param {object} limits - Live partition from PartitionCatalog, or null
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateField(field, value, limits = null) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+
+    switch (field) {
+        case 'name':
+            if (!text) return 'Job name is required';
+            if (!/^[\w.-]+$/.test(text)) return 'Use letters, numbers, dots, hyphens and underscores';
+            return null;
+
+        case 'partition':
+            return text ? null : 'Partition is required';
+
+        case 'gpus':
+            if (!/^\d+$/.test(text)) return 'Must be a number';
+            return PartitionCatalog.validateRequest(limits, { gpus: parseInt(text) });
+
+        case 'cpus':
+            if (!/^\d+$/.test(text)) return 'Must be a number';
+            if (parseInt(text) < 1) return 'At least 1 CPU is required';
+            return PartitionCatalog.validateRequest(limits, { cpus: parseInt(text) });
+
+        case 'memory':
+            if (!/^\d+[GM]$/.test(text)) return 'Format: 16G or 32000M';
+            return PartitionCatalog.validateRequest(limits, { memory: text });
+
+        case 'time':
+            if (!TIME_PATTERN.test(text)) return 'Format: HH:MM:SS or D-HH:MM:SS';
+            return PartitionCatalog.validateRequest(limits, { time: text });
+
+        default:
+            if (COMMAND_FIELDS[field] && !text) {
+                return COMMAND_FIELDS[field] + ' cannot be empty';
+            }
+            return null;
+    }
+}
+
+/**
+ * Validate several fields at once
+ *
+ * @param {object} values - Field values
+ * @param {string[]} fields - Fields to check
+ * @param {object} limits - Live partition, or null
+ * @returns {object} field -> error message (empty if everything is valid)
+ */
+function validateFields(values, fields, limits = null) {
+    const errors = {};
+    for (const field of fields) {
+        const error = validateField(field, values[field], limits);
+        if (error) errors[field] = error;
+    }
+    return errors;
+}
+
+module.exports = {
+    TIME_PATTERN,
+    validateField,
+    validateFields,
+};
@@ -0,0 +1,142 @@
+const vscode = require('vscode');
+const { isTerminal } = require('./jobStates');
+const { getInstance: getLogger } = require('./logger');
+
+const MAX_INTERVAL = 10 * 60; // Backoff ceiling in seconds
+
+/**
+ * Polls job statuses in the background
+ *
+ * Behavior:
+ * - Polls every hpc-connector.pollInterval seconds (0 disables the watcher)
+ * - Doubles the delay after each poll without changes, up to 10 minutes
+ * - Pauses while no job is active; poke() resumes it (e.g. after a submit)
+ * - Never triggers authentication prompts: profiles without an open
+ *   connection are connected only if a key or the SSH agent suffices,
+ *   otherwise watching them is paused until the user connects
+ * - Ignores orphaned jobs (see ClusterManager.getOrphanReason())
+ * - Never asks for a storage folder: with no workspace open and no storage
+ *   chosen yet, there are no jobs to watch
+ *
+ * Status changes are published through onDidChangeJobs, the profiles
+ * whose watching is paused through onDidChangePaused.
+ */
+class JobWatcher {
+    constructor(clusterManager, configManager) {
+        this.clusterManager = clusterManager;
+        this.config = configManager;
+        this.logger = getLogger();
+        this.timer = null;
+        this.polling = false;
+        this.delay = null;
+        this.paused = []; // [{ profile, reason }] of the last poll
+
+        this._onDidChangeJobs = new vscode.EventEmitter();
+        this.onDidChangeJobs = this._onDidChangeJobs.event; // [{ job, previous }]
+        this._onDidChangePaused = new vscode.EventEmitter();
+        this.onDidChangePaused = this._onDidChangePaused.event; // [{ profile, reason }]
+    }
+
+    /**
+     * Base polling interval in seconds
+     */
+    get interval() {
+        return Number(this.config.get('pollInterval', 60)) || 0;
+    }
+
+    start() {
+        if (this.interval <= 0) {
+            this.logger.info('Job watcher disabled (pollInterval = 0)');
+            return;
+        }
+        this.logger.info('Job watcher started (every ' + this.interval + 's)');
+        this.delay = this.interval;
+        this._schedule();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Poll again soon at the base interval (after a submit or a settings change)
+     */
+    poke() {
+        this.stop();
+        this.start();
+    }
+
+    _schedule() {
+        this.stop();
+        this.timer = setTimeout(() => this._poll(), this.delay * 1000);
+    }
+
+    async _poll() {
+        this.timer = null;
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            if (!await this._hasActiveJobs()) {
+                this.logger.info('No active jobs, job watcher paused');
+                this._setPaused([]);
+                return;
+            }
+
+            const { changes, paused } = await this.clusterManager.refreshJobStatuses({ force: true, silent: true });
+            this._setPaused(paused);
+
+            if (changes.length > 0) {
+                this._onDidChangeJobs.fire(changes);
+                this.delay = this.interval;
+            } else {
+                this.delay = Math.min(this.delay * 2, Math.max(this.interval, MAX_INTERVAL));
+            }
+
+            if (await this._hasActiveJobs()) {
+                this.logger.debug('Next job status poll in ' + this.delay + 's');
+                this._schedule();
+            } else {
+                this.logger.info('No active jobs left, job watcher paused');
+                this._setPaused([]);
+            }
+        } catch (error) {
+            this.logger.warn('Background status poll failed: ' + error.message);
+            this.delay = Math.min(this.delay * 2, Math.max(this.interval, MAX_INTERVAL));
+            this._schedule();
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async _hasActiveJobs() {
+        // Without a workspace, storage waits for a command the user runs
+        if (!await this.clusterManager.ensureStorage({ interactive: false })) {
+            return false;
+        }
+        return this.clusterManager.loadJobs().some(job =>
+            job.slurmId && !isTerminal(job.status) && !this.clusterManager.getOrphanReason(job));
+    }
+
+    _setPaused(paused) {
+        const key = list => list.map(p => p.profile + ':' + p.reason).join('\n');
+        if (key(paused) === key(this.paused)) return;
+
+        this.paused = paused;
+        for (const { profile } of paused) {
+            this.logger.warn('Job watching paused for ' + profile + ' until it is connected');
+        }
+        this._onDidChangePaused.fire(paused);
+    }
+
+    dispose() {
+        this.stop();
+        this._onDidChangeJobs.dispose();
+        this._onDidChangePaused.dispose();
+    }
+}
+
+module.exports = JobWatcher;
@@ -0,0 +1,190 @@
+const vscode = require('vscode');
+const path = require('path');
+const ClusterManager = require('./clusterManager');
+const SchedulerFactory = require('./schedulers/schedulerFactory');
+const { stateGroup } = require('./jobStates');
+const { getInstance: getLogger } = require('./logger');
+
+const GROUPS = [
+    { id: 'running', label: 'Running', icon: 'sync~spin', color: 'charts.blue' },
+    { id: 'pending', label: 'Pending', icon: 'clock', color: 'charts.yellow' },
+    { id: 'completed', label: 'Completed', icon: 'pass', color: 'testing.iconPassed' },
+    { id: 'failed', label: 'Failed', icon: 'error', color: 'testing.iconFailed' },
+    { id: 'unknown', label: 'Unknown', icon: 'question', color: null },
+];
+
+/**
+ * Tree data for the "HPC Jobs" view
+ *
+ * Structure:
+ * - State groups (Running, Pending, Completed, Failed; Unknown only when non-empty)
+ *   - Jobs, newest first (context value job.<group>)
+ *     - Remote files of the job directory (listed on expand)
+ *
+ * Jobs are read from local storage; refresh() re-renders without polling
+ * the cluster.
+ */
+class JobsTreeProvider {
+    constructor(clusterManager) {
+        this.clusterManager = clusterManager;
+        this.logger = getLogger();
+
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    getTreeItem(node) {
+        switch (node.type) {
+            case 'group':
+                return this._groupItem(node);
+            case 'job':
+                return this._jobItem(node.job);
+            case 'file':
+                return this._fileItem(node);
+            default:
+                return new vscode.TreeItem(node.label);
+        }
+    }
+
+    async getChildren(node) {
+        if (!node) {
+            return this._getGroups();
+        }
+
+        if (node.type === 'group') {
+            return node.jobs.map(job => ({ type: 'job', job }));
+        }
+
+        if (node.type === 'job' || (node.type === 'file' && node.file.type === 'directory')) {
+            const job = node.job;
+            const relativeDir = node.type === 'file' ? node.file.path : '';
+            try {
+                const files = await this.clusterManager.listRemoteFiles(job.id, relativeDir);
+                if (files.length === 0) {
+                    return [{ type: 'message', label: relativeDir ? '(empty)' : 'No remote files' }];
+                }
+                return files.map(file => ({ type: 'file', job, file }));
+            } catch (error) {
+                this.logger.warn('Could not list files of job ' + job.id + ': ' + error.message);
+                return [{ type: 'message', label: 'Unable to list files: ' + error.message }];
+            }
+        }
+
+        return [];
+    }
+
+    async _getGroups() {
+        await this.clusterManager.ensureStorage();
+        const jobs = this.clusterManager.loadJobs().slice().reverse();
+
+        return GROUPS
+            .map(group => ({
+                type: 'group',
+                group,
+                jobs: jobs.filter(job => stateGroup(job.status) === group.id),
+            }))
+            .filter(node => node.group.id !== 'unknown' || node.jobs.length > 0);
+    }
+
+    _groupItem(node) {
+        const item = new vscode.TreeItem(
+            node.group.label,
+            node.jobs.length > 0 && node.group.id !== 'completed'
+                ? vscode.TreeItemCollapsibleState.Expanded
+                : vscode.TreeItemCollapsibleState.Collapsed
+        );
+        item.id = 'group:' + node.group.id;
+        item.description = String(node.jobs.length);
+        item.contextValue = 'jobGroup';
+        return item;
+    }
+
+    _jobItem(job) {
+        const group = GROUPS.find(g => g.id === stateGroup(job.status));
+        const config = job.config || {};
+        const orphaned = this.clusterManager.getOrphanReason(job);
+
+        const item = new vscode.TreeItem(job.name || job.id, vscode.TreeItemCollapsibleState.Collapsed);
+        item.id = 'job:' + job.id;
+        item.iconPath = new vscode.ThemeIcon(group.icon, group.color ? new vscode.ThemeColor(group.color) : undefined);
+        item.description = [
+            job.status + (job.held ? ' (held)' : ''),
+            orphaned ? 'no profile' : null,
+            config.partition,
+            this._elapsed(job),
+        ].filter(Boolean).join(' · ');
+        item.contextValue = 'job.' + group.id;
+        item.tooltip = new vscode.MarkdownString([
+            `**${job.name || job.id}**`,
+            '',
+            `- ${SchedulerFactory.getLabel(job.scheduler)} ID: ${job.slurmId || 'Not assigned'}`,
+            `- Status: ${job.status}`,
+            `- Profile: ${job.profile || 'N/A'}`,
+            `- Partition: ${config.partition || 'N/A'}`,
+            `- Resources: ${config.gpus || 0} GPU, ${config.cpus || 'N/A'} CPU, ${config.memory || 'N/A'}`,
+            `- Submitted: ${new Date(job.submitted).toLocaleString()}`,
+            job.started ? `- Started: ${new Date(job.started).toLocaleString()}` : null,
+            `- Remote dir: \`${job.remoteDir}\``,
+            orphaned ? `\nNot polled: ${orphaned}` : null,
+        ].filter(line => line !== null).join('\n'));
+        return item;
+    }
+
+    _fileItem(node) {
+        const { job, file } = node;
+        const isDirectory = file.type === 'directory';
+
+        const item = new vscode.TreeItem(
+            file.name,
+            isDirectory ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None
+        );
+        item.id = 'file:' + job.id + ':' + file.path;
+        item.iconPath = isDirectory ? vscode.ThemeIcon.Folder : vscode.ThemeIcon.File;
+        item.resourceUri = vscode.Uri.file(path.posix.join(job.remoteDir, file.path));
+        item.contextValue = isDirectory ? 'jobDirectory' : 'jobFile';
+        if (!isDirectory) {
+            item.description = ClusterManager.formatSize(file.size);
+            item.command = {
+                command: 'hpc-connector.openRemoteFile',
+                title: 'Open Remote File',
+                arguments: [node],
+            };
+        }
+        return item;
+    }
+
+    /**
+     * Elapsed time: the accounting value for finished jobs, run time since
+     * the start for running jobs and queue time for pending ones
+     */
+    _elapsed(job) {
+        if (job.accounting && job.accounting.elapsed) {
+            return job.accounting.elapsed;
+        }
+        const group = stateGroup(job.status);
+        if (group === 'running' && job.started) {
+            return this._since(job.started);
+        }
+        if (group === 'pending') {
+            return 'queued ' + this._since(job.submitted);
+        }
+        return null;
+    }
+
+    _since(timestamp) {
+        const seconds = Math.max(0, Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000));
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+
+    dispose() {
+        this._onDidChangeTreeData.dispose();
+    }
+}
+
+module.exports = JobsTreeProvider;
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { getInstance: getLogger } = require('./logger');
+
+/**
+ * OpenSSH known_hosts reader/writer
+ *
+ * Supports:
+ * - Plain and hashed (|1|salt|hash) host entries
+ * - Non-standard ports ([host]:port)
+ * - Wildcard and negated host patterns
+ * - @revoked markers (@cert-authority lines are ignored)
+ */
+class KnownHosts {
+    /**
+     * @param {string[]} userFiles - User known_hosts files; new keys are added to the first one
+     * @param {string[]} globalFiles - System-wide files, only read
+     */
+    constructor(userFiles = null, globalFiles = []) {
+        const homeDir = process.env.HOME || os.homedir();
+        const files = userFiles && userFiles.length > 0
+            ? userFiles
+            : [path.join(homeDir, '.ssh', 'known_hosts'), path.join(homeDir, '.ssh', 'known_hosts2')];
+        this.files = files.concat(globalFiles);
+        this.logger = getLogger();
+    }
+
+    /**
+     * Look up a server key
+     *
+     * @param {string} host - Hostname (or HostKeyAlias)
+     * @param {number} port - SSH port
+     * @param {Buffer} key - Raw public key blob sent by the server
+     * @returns {object} { status: 'match' | 'mismatch' | 'revoked' | 'unknown', file, line, knownTypes }
+     */
+    lookup(host, port, key) {
+        const keyType = KnownHosts.keyType(key);
+        const keyBase64 = key.toString('base64');
+        const hostName = KnownHosts.hostEntryName(host, port);
+        const knownTypes = new Set();
+        let mismatch = null;
+
+        for (const entry of this._readEntries()) {
+            if (entry.marker === '@cert-authority') continue;
+            if (!this._hostMatches(entry.hosts, hostName)) continue;
+
+            if (entry.marker === '@revoked') {
+                if (entry.key === keyBase64) {
+                    return { status: 'revoked', file: entry.file, line: entry.line };
+                }
+                continue;
+            }
+
+            knownTypes.add(entry.type);
+
+            if (entry.type === keyType) {
+                if (entry.key === keyBase64) {
+                    return { status: 'match', file: entry.file, line: entry.line };
+                }
+                mismatch = mismatch || { status: 'mismatch', file: entry.file, line: entry.line };
+            }
+        }
+
+        return mismatch || { status: 'unknown', knownTypes: Array.from(knownTypes) };
+    }
+
+    /**
+     * Append a trusted key to the first known_hosts file
+     */
+    add(host, port, key, hashHostName = false) {
+        const file = this.files[0];
+        let hostField = KnownHosts.hostEntryName(host, port);
+
+        if (hashHostName) {
+            const salt = crypto.randomBytes(20);
+            const hash = crypto.createHmac('sha1', salt).update(hostField).digest();
+            hostField = `|1|${salt.toString('base64')}|${hash.toString('base64')}`;
+        }
+
+        const line = `${hostField} ${KnownHosts.keyType(key)} ${key.toString('base64')}\n`;
+
+        fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+        let prefix = '';
+        if (fs.existsSync(file)) {
+            const content = fs.readFileSync(file, 'utf8');
+            if (content.length > 0 && !content.endsWith('\n')) prefix = '\n';
+        }
+        fs.appendFileSync(file, prefix + line, { mode: 0o600 });
+
+        this.logger.info('Added host key for ' + KnownHosts.hostEntryName(host, port) + ' to ' + file);
+    }
+
+    /**
+     * Parse all entries from the configured files
+     */
+    _readEntries() {
+        const entries = [];
+
+        for (const file of this.files) {
+            let content;
+            try {
+                if (!fs.existsSync(file)) continue;
+                content = fs.readFileSync(file, 'utf8');
+            } catch (error) {
+                this.logger.debug('Could not read ' + file + ': ' + error.message);
+                continue;
+            }
+
+            content.split(/\r?\n/).forEach((rawLine, index) => {
+                const line = rawLine.trim();
+                if (!line || line.startsWith('#')) return;
+
+                const fields = line.split(/\s+/);
+                let marker = null;
+                if (fields[0].startsWith('@')) {
+                    marker = fields.shift();
+                }
+                if (fields.length < 3) return;
+
+                entries.push({
+                    marker,
+                    hosts: fields[0],
+                    type: fields[1],
+                    key: fields[2],
+                    file,
+                    line: index + 1,
+                });
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Check a host field (comma-separated patterns or a hashed name) against a host name
+     */
+    _hostMatches(hostsField, hostName) {
+        if (hostsField.startsWith('|1|')) {
+            const [, , salt, hash] = hostsField.split('|');
+            if (!salt || !hash) return false;
+            const computed = crypto.createHmac('sha1', Buffer.from(salt, 'base64'))
+                .update(hostName)
+                .digest('base64');
+            return computed === hash;
+        }
+
+        let matched = false;
+        for (const pattern of hostsField.split(',')) {
+            if (pattern.startsWith('!')) {
+                if (this._matchPattern(hostName, pattern.slice(1))) return false;
+            } else if (this._matchPattern(hostName, pattern)) {
+                matched = true;
+            }
+        }
+        return matched;
+    }
+
+    _matchPattern(name, pattern) {
+        const regex = '^' + pattern
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.') + '$';
+        return new RegExp(regex, 'i').test(name);
+    }
+
+    /**
+     * Name used for a host in known_hosts ("host" or "[host]:port")
+     */
+    static hostEntryName(host, port) {
+        return (!port || parseInt(port) === 22) ? host : `[${host}]:${port}`;
+    }
+
+    /**
+     * Extract the key type (e.g. ssh-ed25519) from a raw public key blob
+     */
+    static keyType(key) {
+        const length = key.readUInt32BE(0);
+        return key.slice(4, 4 + length).toString('ascii');
+    }
+
+    /**
+     * OpenSSH-style SHA256 fingerprint (SHA256:base64, no padding)
+     */
+    static fingerprint(key) {
+        return 'SHA256:' + crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
+    }
+}
+
+module.exports = KnownHosts;
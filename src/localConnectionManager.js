@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Duplex, PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const LocalQueue = require('./localQueue');
+const { getInstance: getLogger } = require('./logger');
+
+const PROGRESS_INTERVAL = 250; // ms between progress reports, as for SFTP transfers
+
+/**
+ * Fake cluster on this machine, for offline development and testing
+ *
+ * Fulfils the ConnectionManager contract without SSH:
+ * - Commands run with bash in the profile's scratch directory, which
+ *   stands in for /scratch.hpc/<user> (default ~/.hpc-connector/local-cluster/<user>)
+ * - sbatch, squeue, sacct, scancel and scontrol are answered by an
+ *   in-process queue (see LocalQueue)
+ * - Transfers are file copies within the scratch base
+ *
+ * Selected with `"backend": "local"` on a profile. Everything above the
+ * connection (script generation, SafetyManager, status polling, result
+ * download) runs unchanged, so the whole job flow can be tried without a
+ * cluster.
+ */
+class LocalConnectionManager {
+    /**
+     * @param {ConfigManager} configManager
+     * @param {object} options - Optional { profile } (authPrompter is accepted and unused)
+     */
+    constructor(configManager, options = {}) {
+        this.config = configManager;
+        this.profile = options.profile || null; // null = active profile
+        this.connection = null;
+        this.queue = new LocalQueue();
+        this.processes = new Set(); // Children of openExecStream() and openExecChannel()
+        this.logger = getLogger();
+        this.logger.info('LocalConnectionManager initialized');
+    }
+
+    /**
+     * "Connect": check the profile and create the scratch directory
+     */
+    async getConnection() {
+        if (this.connection) {
+            return this.connection;
+        }
+
+        this.config.validate(this.profile);
+        const clusterInfo = this.config.getClusterInfo(this.profile);
+        fs.mkdirSync(clusterInfo.scratchDir, { recursive: true });
+
+        this.connection = { scratchBase: path.resolve(clusterInfo.scratchBase), scratchDir: clusterInfo.scratchDir };
+        this.logger.info('Using local cluster in ' + clusterInfo.scratchDir);
+        return this.connection;
+    }
+
+    /**
+     * Same as getConnection(): the local cluster never prompts
+     */
+    async connectSilently() {
+        return this.getConnection();
+    }
+
+    /**
+     * Run a command and collect its output
+     *
+     * @param {object} options - { timeout } in ms
+     * @returns {Promise<object>} { stdout, stderr, code, signal }
+     */
+    async executeCommand(command, options = {}) {
+        const timeout = options.timeout || 60000;
+        const conn = await this.getConnection();
+
+        const queued = this.queue.run(command, conn.scratchDir);
+        if (queued) {
+            return queued;
+        }
+
+        return new Promise((resolve, reject) => {
+            const child = spawn('bash', ['-c', command], { cwd: conn.scratchDir, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+            let stdout = '';
+            let stderr = '';
+
+            const commandTimeout = setTimeout(() => {
+                killGroup(child, 'SIGKILL');
+                reject(new Error(`Command timeout after ${timeout}ms`));
+            }, timeout);
+
+            child.stdout.on('data', (data) => {
+                stdout += data.toString();
+            });
+            child.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+            child.on('error', (error) => {
+                clearTimeout(commandTimeout);
+                reject(error);
+            });
+            child.on('close', (code, signal) => {
+                clearTimeout(commandTimeout);
+                resolve({ stdout, stderr, code, signal });
+            });
+        });
+    }
+
+    /**
+     * Start a long-running command with stdout and stderr merged
+     *
+     * Stands in for an SSH channel with a pseudo-terminal: close() ends the
+     * command and everything it started.
+     *
+     * @param {string} command - Command to run
+     * @returns {Promise<object>} Readable stream (emits 'close' when the command ends) with close()
+     */
+    async openExecStream(command) {
+        const child = await this._spawn(command, ['ignore', 'pipe', 'pipe']);
+        const stream = new PassThrough();
+
+        child.stdout.pipe(stream, { end: false });
+        child.stderr.pipe(stream, { end: false });
+        child.on('close', () => stream.end());
+
+        stream.close = () => killGroup(child, 'SIGHUP');
+        return stream;
+    }
+
+    /**
+     * Start a command with its standard streams exposed
+     *
+     * Writing to the channel feeds stdin; reading from it yields stdout.
+     *
+     * @param {string} command - Command to run
+     * @returns {Promise<object>} Duplex stream with .stderr and close() (emits 'exit' with the exit code)
+     */
+    async openExecChannel(command) {
+        const child = await this._spawn(command, ['pipe', 'pipe', 'pipe']);
+        const channel = Duplex.from({ readable: child.stdout, writable: child.stdin });
+
+        channel.stderr = child.stderr;
+        channel.close = () => {
+            killGroup(child, 'SIGTERM');
+            channel.destroy();
+        };
+        child.on('exit', code => channel.emit('exit', code));
+        return channel;
+    }
+
+    async _spawn(command, stdio) {
+        const conn = await this.getConnection();
+        const child = spawn('bash', ['-c', command], { cwd: conn.scratchDir, detached: true, stdio });
+
+        this.processes.add(child);
+        child.on('close', () => this.processes.delete(child));
+        child.on('error', error => this.logger.error(`Local command failed to start: ${error.message}`));
+        return child;
+    }
+
+    /**
+     * Copy a file into the local cluster
+     *
+     * @param {object} options - { onProgress(progress) }
+     */
+    async uploadFile(localPath, remotePath, options = {}) {
+        await this.uploadFiles([{ localPath, remotePath }], options);
+    }
+
+    /**
+     * Copy a file out of the local cluster
+     *
+     * @param {object} options - { onProgress(progress) }
+     */
+    async downloadFile(remotePath, localPath, options = {}) {
+        await this.downloadFiles([{ remotePath, localPath }], options);
+    }
+
+    /**
+     * @param {Array} files - [{ localPath, remotePath }]
+     * @param {object} options - { onProgress(progress) }, progress as reported by TransferEngine
+     * @returns {Promise<object>} { files, bytes }
+     */
+    async uploadFiles(files, options = {}) {
+        const conn = await this.getConnection();
+        return this._copyFiles(files.map(file => ({
+            from: file.localPath,
+            to: this._checkRemotePath(conn, file.remotePath),
+            localPath: file.localPath,
+        })), options);
+    }
+
+    /**
+     * @param {Array} files - [{ remotePath, localPath }]
+     * @param {object} options - { onProgress(progress) }
+     * @returns {Promise<object>} { files, bytes }
+     */
+    async downloadFiles(files, options = {}) {
+        const conn = await this.getConnection();
+        return this._copyFiles(files.map(file => ({
+            from: this._checkRemotePath(conn, file.remotePath),
+            to: file.localPath,
+            localPath: file.localPath,
+        })), options);
+    }
+
+    /**
+     * Copy files one after the other, reporting progress like TransferEngine
+     *
+     * Like SFTP, the destination directory must already exist.
+     */
+    async _copyFiles(items, options) {
+        const onProgress = options.onProgress || null;
+        const state = {
+            bytes: 0,
+            totalBytes: 0,
+            files: 0,
+            totalFiles: items.length,
+            lastReport: 0,
+        };
+        for (const item of items) {
+            item.size = fs.statSync(item.from).size;
+            state.totalBytes += item.size;
+        }
+
+        const report = (item, fileBytes, force) => {
+            const now = Date.now();
+            if (!onProgress || (!force && now - state.lastReport < PROGRESS_INTERVAL)) return;
+            state.lastReport = now;
+            onProgress({
+                file: item.localPath,
+                fileBytes,
+                fileSize: item.size,
+                bytes: state.bytes,
+                totalBytes: state.totalBytes,
+                files: state.files,
+                totalFiles: state.totalFiles,
+            });
+        };
+
+        for (const item of items) {
+            let fileBytes = 0;
+            const source = fs.createReadStream(item.from);
+            source.on('data', (chunk) => {
+                fileBytes += chunk.length;
+                state.bytes += chunk.length;
+                report(item, fileBytes, false);
+            });
+            await pipeline(source, fs.createWriteStream(item.to));
+            state.files++;
+            report(item, fileBytes, true);
+        }
+
+        return { files: state.files, bytes: state.bytes };
+    }
+
+    /**
+     * Resolve a "remote" path, refusing anything outside the scratch base
+     *
+     * The SafetyManager checks paths before they get here; this keeps a
+     * misconfigured profile from reading or overwriting other local files.
+     */
+    _checkRemotePath(conn, remotePath) {
+        const resolved = path.resolve(remotePath);
+        if (!resolved.startsWith(conn.scratchBase + path.sep)) {
+            throw new Error(`Path is outside the local cluster (${conn.scratchBase}): ${remotePath}`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Nothing can die here; kept for the ConnectionManager contract
+     */
+    async resetConnectionIfDead() {
+    }
+
+    /**
+     * End open streams and channels
+     *
+     * Batch jobs keep running, as they would on a cluster, and stay known
+     * to the queue for the next connection.
+     */
+    disconnect() {
+        for (const child of this.processes) {
+            killGroup(child, 'SIGHUP');
+        }
+        this.processes.clear();
+        if (this.connection) {
+            this.logger.info('Disconnecting local cluster');
+            this.connection = null;
+        }
+    }
+
+    /**
+     * Get connection statistics
+     */
+    getStats() {
+        return {
+            isConnected: this.connection !== null,
+            isConnecting: false,
+            lastAttempt: null,
+            totalAttempts: 0,
+        };
+    }
+}
+
+/**
+ * Signal a command and the processes it started (spawned with detached: true)
+ */
+function killGroup(child, signal) {
+    if (child.exitCode !== null || child.signalCode !== null) return;
+    try {
+        process.kill(-child.pid, signal);
+    } catch (error) {
+        // Already gone
+    }
+}
+
+module.exports = LocalConnectionManager;
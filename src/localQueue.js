@@ -0,0 +1,482 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const PartitionCatalog = require('./partitionCatalog');
+const { getInstance: getLogger } = require('./logger');
+
+// Commands answered by the queue instead of a shell
+const COMMANDS = ['sbatch', 'squeue', 'sacct', 'scancel', 'scontrol'];
+
+// States squeue still lists
+const QUEUED_STATES = ['PENDING', 'RUNNING', 'COMPLETING'];
+
+/**
+ * A tiny in-process SLURM for the local backend
+ *
+ * Answers the sbatch, squeue, sacct, scancel and scontrol commands that
+ * SlurmScheduler builds. Submitted scripts run with bash on this machine,
+ * one process group per job, with the SLURM_* variables a real job gets:
+ * - A job starts startDelay ms after submission (or after release), so it
+ *   is seen as PENDING first
+ * - --signal=B:<SIG>@<seconds> and --time are honoured: the warning signal
+ *   goes to the batch shell, TERM to the whole job at the limit and KILL
+ *   killWait ms later
+ * - --output / --error receive the batch shell's output (%j is the job ID)
+ *
+ * There is no resource accounting (MaxRSS, TotalCPU are empty) and the
+ * queue lives as long as the extension host: after a reload squeue and
+ * sacct no longer know earlier jobs and status.json is used instead.
+ */
+class LocalQueue {
+    /**
+     * @param {object} options - { startDelay, killWait } in ms, { firstId } of job IDs
+     */
+    constructor(options = {}) {
+        this.jobs = new Map(); // job ID -> job
+        this.nextId = options.firstId || 1000;
+        this.startDelay = options.startDelay !== undefined ? options.startDelay : 1000;
+        this.killWait = options.killWait !== undefined ? options.killWait : 30000;
+        this.logger = getLogger();
+    }
+
+    /**
+     * Run a scheduler command if it is one
+     *
+     * Accepts `[cd DIR &&] COMMAND ARGS... [2>/dev/null]` with shell
+     * quoting; anything else (pipes, variables, other commands) is left to
+     * the shell.
+     *
+     * @param {string} command - Command line
+     * @param {string} cwd - Directory the command would run in
+     * @returns {object|null} { stdout, stderr, code, signal }, null if not a scheduler command
+     */
+    run(command, cwd) {
+        const tokens = tokenize(command);
+        if (!tokens) return null;
+
+        if (tokens[0] === 'cd' && typeof tokens[1] === 'string' && tokens[2] && tokens[2].op === '&&') {
+            cwd = path.resolve(cwd, tokens[1]);
+            tokens.splice(0, 3);
+        }
+        if (tokens.length >= 2 && tokens[tokens.length - 2].op === '2>' && tokens[tokens.length - 1] === '/dev/null') {
+            tokens.splice(-2);
+        }
+        if (!COMMANDS.includes(tokens[0]) || tokens.some(token => typeof token !== 'string')) {
+            return null;
+        }
+
+        this.logger.debug('Local queue: ' + command);
+        const [name, ...args] = tokens;
+        try {
+            const stdout = this[name](args, cwd);
+            return { stdout: stdout ? stdout + '\n' : '', stderr: '', code: 0, signal: null };
+        } catch (error) {
+            return { stdout: '', stderr: `${name}: error: ${error.message}\n`, code: 1, signal: null };
+        }
+    }
+
+    // ===== Commands =====
+
+    sbatch(args, cwd) {
+        const scriptPath = path.resolve(cwd, args[args.length - 1] || '');
+        if (!fs.existsSync(scriptPath)) {
+            throw new Error('Unable to open file ' + args[args.length - 1]);
+        }
+
+        const options = parseDirectives(fs.readFileSync(scriptPath, 'utf8'));
+        for (const arg of args.slice(0, -1)) {
+            Object.assign(options, parseOption(arg));
+        }
+
+        const id = String(this.nextId++);
+        const signal = (options.signal || '').match(/^(?:B:)?(\w+)@(\d+)$/);
+        const job = {
+            id,
+            name: options['job-name'] || path.basename(scriptPath),
+            dir: cwd,
+            script: scriptPath,
+            output: options.output || 'slurm-%j.out',
+            error: options.error || options.output || 'slurm-%j.out',
+            cpus: parseInt(options['cpus-per-task']) || 1,
+            ntasks: parseInt(options.ntasks) || 1,
+            memory: options.mem || '',
+            timeLimit: options.time ? PartitionCatalog.parseTime(options.time) : Infinity,
+            warning: signal ? { signal: 'SIG' + signal[1].replace(/^SIG/, ''), seconds: parseInt(signal[2]) } : null,
+            state: 'PENDING',
+            held: /^(-H|--hold)$/.test(args[0] || ''),
+            submitted: Date.now(),
+            start: null,
+            end: null,
+            exitCode: null,
+            signal: null,
+            stopReason: null,
+            process: null,
+            timers: [],
+        };
+        this.jobs.set(id, job);
+        this._schedule(job);
+
+        this.logger.info(`Local queue: job ${id} submitted (${scriptPath})`);
+        return 'Submitted batch job ' + id;
+    }
+
+    squeue(args) {
+        const options = parseArgs(args, { '-j': 'jobs', '-o': 'format' });
+        const ids = options.jobs ? options.jobs.split(',') : Array.from(this.jobs.keys());
+        const format = options.format || '%.18i %.9P %.8j %.8T %.10M';
+
+        const lines = options['-h'] || options.noheader ? [] : [formatLine(format, { i: 'JOBID', P: 'PARTITION', j: 'NAME', T: 'STATE', M: 'TIME' })];
+        for (const id of ids) {
+            const job = this.jobs.get(id);
+            if (!job || !QUEUED_STATES.includes(job.state)) continue;
+            lines.push(formatLine(format, {
+                i: job.id,
+                P: 'local',
+                j: job.name,
+                T: job.state,
+                M: job.start ? formatElapsed((Date.now() - job.start) / 1000) : '0:00',
+            }));
+        }
+        return lines.join('\n');
+    }
+
+    sacct(args) {
+        const options = parseArgs(args, { '-j': 'jobs', '-o': 'format' });
+        const ids = options.jobs ? options.jobs.split(',') : Array.from(this.jobs.keys());
+        const fields = (options.format || 'JobID,JobName,State,ExitCode').split(',');
+        const separator = options['-P'] || options.parsable2 ? '|' : ' ';
+
+        const lines = options['-n'] || options.noheader ? [] : [fields.join(separator)];
+        for (const id of ids) {
+            const job = this.jobs.get(id);
+            if (!job) continue;
+            const end = job.end || Date.now();
+            const values = {
+                jobid: job.id,
+                jobname: job.name,
+                state: job.state,
+                exitcode: job.exitCode === null ? '0:0' : `${job.exitCode}:${job.signal || 0}`,
+                elapsed: formatElapsed(job.start ? (end - job.start) / 1000 : 0),
+                maxrss: '',
+                totalcpu: '',
+                alloctres: `cpu=${job.cpus * job.ntasks}${job.memory ? ',mem=' + job.memory : ''},node=1`,
+                start: job.start ? new Date(job.start).toISOString().slice(0, 19) : 'Unknown',
+                end: job.end ? new Date(job.end).toISOString().slice(0, 19) : 'Unknown',
+            };
+            lines.push(fields.map(field => values[field.toLowerCase()] || '').join(separator));
+        }
+        return lines.join('\n');
+    }
+
+    scancel(args) {
+        for (const id of args.filter(arg => !arg.startsWith('-'))) {
+            const job = this._getJob(id, 'Kill job error on job id ' + id);
+            if (job.state === 'PENDING') {
+                this._clearTimers(job);
+                job.state = 'CANCELLED';
+                job.end = Date.now();
+            } else if (job.state === 'RUNNING') {
+                this._stop(job, 'CANCELLED');
+            } else {
+                throw new Error(`Kill job error on job id ${id}: Job/step already completing or completed`);
+            }
+        }
+        return '';
+    }
+
+    scontrol(args) {
+        const [action, ...rest] = args;
+
+        if (action === 'update') {
+            const options = Object.fromEntries(rest.map(arg => arg.split('=')).map(([key, value]) => [key.toLowerCase(), value]));
+            const job = this._getJob(options.jobid);
+            if (options.timelimit) {
+                job.timeLimit = PartitionCatalog.parseTime(options.timelimit);
+                if (job.state === 'RUNNING') this._armLimits(job);
+            }
+            return '';
+        }
+
+        const job = this._getJob(rest[0]);
+        switch (action) {
+            case 'hold':
+                if (job.state !== 'PENDING') throw new Error('Job is no longer pending execution for job ' + job.id);
+                job.held = true;
+                this._clearTimers(job);
+                return '';
+            case 'release':
+                if (job.held) {
+                    job.held = false;
+                    this._schedule(job);
+                }
+                return '';
+            case 'requeue':
+                if (job.state === 'RUNNING') {
+                    this._stop(job, 'REQUEUE');
+                } else if (job.state !== 'PENDING') {
+                    this._requeue(job);
+                }
+                return '';
+            default:
+                throw new Error('Invalid command: ' + action);
+        }
+    }
+
+    // ===== Job lifecycle =====
+
+    _getJob(id, message = 'Invalid job id specified') {
+        const job = this.jobs.get(String(id));
+        if (!job) throw new Error(message);
+        return job;
+    }
+
+    _schedule(job) {
+        if (job.held) return;
+        job.timers.push(setTimeout(() => this._start(job), this.startDelay));
+    }
+
+    _start(job) {
+        this._clearTimers(job);
+        if (job.state !== 'PENDING' || job.held) return;
+
+        job.state = 'RUNNING';
+        job.start = Date.now();
+        try {
+            job.process = this._spawn(job);
+        } catch (error) {
+            // e.g. the --output directory does not exist; SLURM fails the job the same way
+            this.logger.error(`Local queue: job ${job.id} could not start: ${error.message}`);
+            Object.assign(job, { state: 'FAILED', end: Date.now(), exitCode: 1, signal: 0 });
+            return;
+        }
+
+        job.process.on('error', (error) => {
+            this.logger.error(`Local queue: job ${job.id} could not start: ${error.message}`);
+            this._finish(job, 127, null);
+        });
+        job.process.on('exit', (code, signal) => this._finish(job, code, signal));
+        this._armLimits(job);
+        this.logger.info(`Local queue: job ${job.id} started (pid ${job.process.pid})`);
+    }
+
+    /**
+     * Run the batch script in its own process group, output to the job's log files
+     */
+    _spawn(job) {
+        const logPath = pattern => path.resolve(job.dir, pattern.replace(/%j/g, job.id).replace(/%x/g, job.name));
+        const out = fs.openSync(logPath(job.output), 'a');
+        const err = job.error === job.output ? out : fs.openSync(logPath(job.error), 'a');
+
+        try {
+            return spawn('bash', [job.script], {
+                cwd: job.dir,
+                detached: true, // Signalled as a whole, like the job's cgroup
+                stdio: ['ignore', out, err],
+                env: Object.assign({}, process.env, {
+                    SLURM_JOB_ID: job.id,
+                    SLURM_JOBID: job.id,
+                    SLURM_JOB_NAME: job.name,
+                    SLURM_CPUS_PER_TASK: String(job.cpus),
+                    SLURM_NTASKS: String(job.ntasks),
+                    SLURM_SUBMIT_DIR: job.dir,
+                    SLURM_JOB_PARTITION: 'local',
+                }),
+            });
+        } finally {
+            fs.closeSync(out);
+            if (err !== out) fs.closeSync(err);
+        }
+    }
+
+    /**
+     * (Re)arm the warning signal and the time limit of a running job
+     */
+    _armLimits(job) {
+        this._clearTimers(job);
+        if (!Number.isFinite(job.timeLimit)) return;
+
+        const remaining = job.start + job.timeLimit * 1000 - Date.now();
+        if (job.warning) {
+            job.timers.push(setTimeout(() => this._signal(job, job.warning.signal, false), Math.max(0, remaining - job.warning.seconds * 1000)));
+        }
+        job.timers.push(setTimeout(() => this._stop(job, 'TIMEOUT'), Math.max(0, remaining)));
+    }
+
+    /**
+     * TERM the job's processes, then KILL them if they are still there after killWait
+     */
+    _stop(job, reason) {
+        this._clearTimers(job);
+        job.stopReason = reason;
+        job.state = 'COMPLETING';
+        this._signal(job, 'SIGTERM', true);
+        job.timers.push(setTimeout(() => this._signal(job, 'SIGKILL', true), this.killWait));
+    }
+
+    _signal(job, signal, wholeJob) {
+        if (!job.process || job.process.exitCode !== null || job.process.signalCode !== null) return;
+        try {
+            process.kill(wholeJob ? -job.process.pid : job.process.pid, signal);
+        } catch (error) {
+            this.logger.debug(`Local queue: cannot send ${signal} to job ${job.id}: ${error.message}`);
+        }
+    }
+
+    _finish(job, code, signal) {
+        if (!job.process) return; // 'exit' after 'error'
+        this._clearTimers(job);
+        // Processes left in the group (e.g. started in the background) end with the job
+        if (job.process.pid) {
+            try {
+                process.kill(-job.process.pid, 'SIGKILL');
+            } catch (error) {
+                // Group already gone
+            }
+        }
+        job.process = null;
+
+        if (job.stopReason === 'REQUEUE') {
+            this._requeue(job);
+            return;
+        }
+
+        job.end = Date.now();
+        job.exitCode = code === null ? 0 : code;
+        job.signal = signal ? os.constants.signals[signal] : 0;
+        job.state = job.stopReason || (code === 0 ? 'COMPLETED' : 'FAILED');
+        this.logger.info(`Local queue: job ${job.id} ${job.state} (exit ${job.exitCode}:${job.signal})`);
+    }
+
+    _requeue(job) {
+        Object.assign(job, { state: 'PENDING', start: null, end: null, exitCode: null, signal: null, stopReason: null });
+        this._schedule(job);
+    }
+
+    _clearTimers(job) {
+        job.timers.forEach(timer => clearTimeout(timer));
+        job.timers = [];
+    }
+}
+
+/**
+ * Split a command line into words and operators ({ op })
+ *
+ * @returns {Array|null} Tokens, null if the line uses expansions that need a shell
+ */
+function tokenize(command) {
+    const tokens = [];
+    let word = null;
+    let i = 0;
+    const push = () => {
+        if (word !== null) tokens.push(word);
+        word = null;
+    };
+
+    while (i < command.length) {
+        const c = command[i];
+        const op = word === null ? command.slice(i).match(/^(&&|\|\||2>|[;&|<>()])/) : command.slice(i).match(/^(&&|\|\||[;&|<>()])/);
+
+        if (/\s/.test(c)) {
+            push();
+            i++;
+        } else if (c === "'") {
+            const end = command.indexOf("'", i + 1);
+            if (end === -1) return null;
+            word = (word || '') + command.slice(i + 1, end);
+            i = end + 1;
+        } else if (c === '"') {
+            let text = '';
+            for (i++; i < command.length && command[i] !== '"'; i++) {
+                if (command[i] === '$' || command[i] === '`') return null;
+                if (command[i] === '\\' && '"\\$`'.includes(command[i + 1])) i++;
+                text += command[i];
+            }
+            if (i >= command.length) return null;
+            word = (word || '') + text;
+            i++;
+        } else if (c === '\\') {
+            word = (word || '') + (command[i + 1] || '');
+            i += 2;
+        } else if (op) {
+            push();
+            tokens.push({ op: op[1] });
+            i += op[1].length;
+        } else if ('$`*?[~{'.includes(c)) {
+            return null;
+        } else {
+            word = (word || '') + c;
+            i++;
+        }
+    }
+    push();
+    return tokens;
+}
+
+/**
+ * Options of the #SBATCH lines at the top of a script
+ */
+function parseDirectives(script) {
+    const options = {};
+    for (const line of script.split('\n').slice(1)) {
+        if (!line.startsWith('#')) break;
+        if (!line.startsWith('#SBATCH')) continue;
+        for (const arg of tokenize(line.slice('#SBATCH'.length)) || []) {
+            if (typeof arg === 'string') Object.assign(options, parseOption(arg));
+        }
+    }
+    return options;
+}
+
+/**
+ * "--name=value" -> { name: value }
+ */
+function parseOption(arg) {
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    return match ? { [match[1]]: match[2] === undefined ? true : match[2] } : {};
+}
+
+/**
+ * Options of squeue / sacct: long options, short flags and short options with a value
+ *
+ * @param {object} withValue - Short option -> long name, for short options that take a value
+ */
+function parseArgs(args, withValue) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (withValue[arg]) {
+            options[withValue[arg]] = args[++i];
+        } else if (withValue[arg.slice(0, 2)] && arg.length > 2 && !arg.startsWith('--')) {
+            options[withValue[arg.slice(0, 2)]] = arg.slice(2);
+        } else if (arg.startsWith('--')) {
+            Object.assign(options, parseOption(arg));
+        } else {
+            for (const flag of arg.slice(1)) options['-' + flag] = true;
+        }
+    }
+    return options;
+}
+
+/**
+ * Fill a squeue format ("%i|%T", "%.18i %.8j") with values by field letter
+ */
+function formatLine(format, values) {
+    return format.replace(/%\.?(\d*)([a-zA-Z])/g, (match, width, field) => {
+        const value = values[field] !== undefined ? String(values[field]) : '';
+        return width ? value.padStart(parseInt(width)) : value;
+    });
+}
+
+/**
+ * Seconds as SLURM elapsed time ([D-]HH:MM:SS)
+ */
+function formatElapsed(seconds) {
+    const total = Math.floor(seconds);
+    const days = Math.floor(total / 86400);
+    const pad = value => String(value).padStart(2, '0');
+    const time = `${pad(Math.floor(total % 86400 / 3600))}:${pad(Math.floor(total % 3600 / 60))}:${pad(total % 60)}`;
+    return days ? `${days}-${time}` : time;
+}
+
+module.exports = LocalQueue;
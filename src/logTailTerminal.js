@@ -0,0 +1,200 @@
+const vscode = require('vscode');
+const { isTerminal } = require('./jobStates');
+const { quote } = require('./shellQuote');
+const SchedulerFactory = require('./schedulers/schedulerFactory');
+const { getInstance: getLogger } = require('./logger');
+
+const COLORS = {
+    reset: '\x1b[0m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+    dim: '\x1b[2m',
+};
+
+const HEADER_PATTERN = /^==> (.+) <==$/;
+const STATUS_POLL_INTERVAL = 15000;
+const FINAL_FLUSH_DELAY = 5000; // Let tail print the last lines after the job ends
+
+/**
+ * Pseudo-terminal that follows the logs of a job
+ *
+ * Runs `tail -F` on the job's log files over a long-lived exec channel.
+ * tail separates files with "==> file <==" headers; sections of stderr
+ * files (execution_errors.txt, slurm-*.err, pbs.err) are colored red.
+ *
+ * The stream stops when the job reaches a final state, on Ctrl+C, or when
+ * the terminal is closed.
+ */
+class LogTailTerminal {
+    /**
+     * @param {ClusterManager} clusterManager
+     * @param {object} job - Job record
+     * @param {object} options - Optional { onJobChanged(changes) } called after each status poll with changes
+     */
+    constructor(clusterManager, job, options = {}) {
+        this.clusterManager = clusterManager;
+        this.job = job;
+        this.onJobChanged = options.onJobChanged || null;
+        this.logger = getLogger();
+
+        this.stream = null;
+        this.statusTimer = null;
+        this.flushTimer = null;
+        this.stopped = false;
+        this.partialLine = '';
+        this.color = '';
+
+        this._onDidWrite = new vscode.EventEmitter();
+        this._onDidClose = new vscode.EventEmitter();
+        this.onDidWrite = this._onDidWrite.event;
+        this.onDidClose = this._onDidClose.event;
+    }
+
+    /**
+     * Open a terminal following a job's logs
+     */
+    static open(clusterManager, job, options = {}) {
+        const pty = new LogTailTerminal(clusterManager, job, options);
+        const terminal = vscode.window.createTerminal({
+            name: `HPC Logs: ${job.name}`,
+            pty,
+            iconPath: new vscode.ThemeIcon('output'),
+        });
+        terminal.show();
+        return terminal;
+    }
+
+    async open(dimensions) {
+        const files = this.clusterManager.getLogFileArgs(this.job);
+        const command = `cd ${quote(this.job.remoteDir)} && exec tail -n 100 -F ${files} 2>&1`;
+
+        this._writeLine(`${COLORS.cyan}Following logs of ${this.job.name} (${SchedulerFactory.getLabel(this.job.scheduler)} ${this.job.slurmId || 'N/A'}) - Ctrl+C to stop${COLORS.reset}`);
+        this.logger.info('Following logs of job ' + this.job.id);
+
+        try {
+            this.stream = await this.clusterManager.openExecStream(command, {
+                profile: this.clusterManager.getJobProfile(this.job),
+                cols: dimensions && dimensions.columns,
+                rows: dimensions && dimensions.rows,
+            });
+        } catch (error) {
+            this.logger.error('Could not follow logs of job ' + this.job.id + ': ' + error.message);
+            this._writeLine(`${COLORS.red}Unable to follow logs: ${error.message}${COLORS.reset}`);
+            this._finish();
+            return;
+        }
+
+        if (this.stopped) {
+            this.stream.close();
+            return;
+        }
+
+        this.stream.on('data', (data) => this._onData(data.toString()));
+        this.stream.on('close', () => {
+            this.stream = null;
+            this._finish();
+        });
+
+        if (isTerminal(this.job.status)) {
+            this._writeLine(`${COLORS.dim}Job already finished (${this.job.status})${COLORS.reset}`);
+            this.flushTimer = setTimeout(() => this.stop(), FINAL_FLUSH_DELAY);
+        } else {
+            this._scheduleStatusPoll();
+        }
+    }
+
+    close() {
+        this.stop();
+        this._onDidWrite.dispose();
+        this._onDidClose.dispose();
+    }
+
+    handleInput(data) {
+        if (this.stopped) {
+            // Any key closes a finished terminal
+            this._onDidClose.fire();
+        } else if (data === '\x03') {
+            this.stop();
+        }
+    }
+
+    /**
+     * Stop following (closes the remote tail)
+     */
+    stop() {
+        clearTimeout(this.statusTimer);
+        clearTimeout(this.flushTimer);
+        this.statusTimer = null;
+        this.flushTimer = null;
+
+        if (this.stream) {
+            this.stream.close();
+            this.stream = null;
+        }
+        this._finish();
+    }
+
+    _finish() {
+        if (this.stopped) return;
+        this.stopped = true;
+        clearTimeout(this.statusTimer);
+        clearTimeout(this.flushTimer);
+
+        if (this.partialLine) {
+            this._writeLine(this.partialLine);
+            this.partialLine = '';
+        }
+        this.logger.info('Stopped following logs of job ' + this.job.id);
+        this._writeLine(`\r\n${COLORS.dim}[Log stream closed - press any key to close the terminal]${COLORS.reset}`);
+    }
+
+    _onData(text) {
+        const lines = (this.partialLine + text).split(/\r?\n/);
+        this.partialLine = lines.pop();
+
+        for (const line of lines) {
+            const header = line.match(HEADER_PATTERN);
+            if (header) {
+                this.color = /\.err$|errors\.txt$/.test(header[1]) ? COLORS.red : '';
+                this._writeLine(`${COLORS.cyan}${line}${COLORS.reset}`);
+            } else if (/^tail: /.test(line)) {
+                this._writeLine(`${COLORS.yellow}${line}${COLORS.reset}`);
+            } else {
+                this._writeLine(this.color ? `${this.color}${line}${COLORS.reset}` : line);
+            }
+        }
+    }
+
+    _writeLine(line) {
+        this._onDidWrite.fire(line + '\r\n');
+    }
+
+    _scheduleStatusPoll() {
+        this.statusTimer = setTimeout(() => this._pollStatus(), STATUS_POLL_INTERVAL);
+    }
+
+    async _pollStatus() {
+        if (this.stopped) return;
+
+        try {
+            const { jobs, changes } = await this.clusterManager.refreshJobStatuses({ force: true, jobIds: [this.job.id] });
+            const job = jobs.find(j => j.id === this.job.id);
+            if (job) this.job = job;
+            if (changes.length > 0 && this.onJobChanged) this.onJobChanged(changes);
+        } catch (error) {
+            this.logger.warn('Status check while following logs failed: ' + error.message);
+        }
+
+        if (this.stopped) return;
+
+        if (isTerminal(this.job.status)) {
+            this._writeLine(`\r\n${COLORS.cyan}Job finished: ${this.job.status}${COLORS.reset}`);
+            this.flushTimer = setTimeout(() => this.stop(), FINAL_FLUSH_DELAY);
+        } else {
+            this._scheduleStatusPoll();
+        }
+    }
+}
+
+module.exports = LogTailTerminal;
@@ -0,0 +1,327 @@
+const { getInstance: getLogger } = require('./logger');
+
+const SCONTROL_MARKER = '---SCONTROL---';
+
+/**
+ * Discovers SLURM partitions over the cluster connection
+ *
+ * Responsibilities:
+ * - Query sinfo and `scontrol show partition` in a single round trip
+ * - Aggregate node states, GRES GPU types, walltime and memory limits
+ * - Cache results per profile with a TTL
+ * - Validate resource requests against a partition's limits
+ */
+class PartitionCatalog {
+    constructor(clusterManager) {
+        this.clusterManager = clusterManager;
+        this.logger = getLogger();
+        this.cache = new Map(); // profile -> { timestamp, partitions }
+        this.ttl = 5 * 60 * 1000; // 5 minutes
+    }
+
+    /**
+     * Get live partitions of a profile
+     *
+     * @param {string} profile - Profile name
+     * @param {object} options - { refresh: true } bypasses the cache
+     * @returns {Promise<Array>} Partition descriptions
+     */
+    async getPartitions(profile, options = {}) {
+        const cached = this.cache.get(profile);
+        if (!options.refresh && cached && Date.now() - cached.timestamp < this.ttl) {
+            this.logger.debug('Using cached partitions for ' + profile);
+            return cached.partitions;
+        }
+
+        this.logger.info('Discovering partitions on ' + profile);
+        const { stdout } = await this.clusterManager.executeCommand(
+            `sinfo -h -o '%P|%a|%D|%T|%G|%l|%m|%c' 2>/dev/null; echo '${SCONTROL_MARKER}'; scontrol show partition -o 2>/dev/null`,
+            { profile }
+        );
+
+        const [sinfoOutput, scontrolOutput] = stdout.split(SCONTROL_MARKER);
+        const partitions = this.parseSinfo(sinfoOutput || '');
+        this.mergeScontrol(partitions, scontrolOutput || '');
+
+        const list = Array.from(partitions.values());
+        if (list.length === 0) {
+            throw new Error('sinfo returned no partitions');
+        }
+
+        this.cache.set(profile, { timestamp: Date.now(), partitions: list });
+        this.logger.info('Discovered ' + list.length + ' partitions on ' + profile);
+        return list;
+    }
+
+    /**
+     * Forget cached partitions (all profiles if none given)
+     */
+    invalidate(profile = null) {
+        if (profile) {
+            this.cache.delete(profile);
+        } else {
+            this.cache.clear();
+        }
+    }
+
+    /**
+     * Parse `sinfo -h -o '%P|%a|%D|%T|%G|%l|%m|%c'`
+     *
+     * sinfo prints one line per partition and node state, so lines are
+     * aggregated per partition.
+     */
+    parseSinfo(output) {
+        const partitions = new Map();
+
+        for (const line of output.split('\n')) {
+            const fields = line.trim().split('|');
+            if (fields.length < 8) continue;
+
+            const [rawName, availability, nodeCount, state, gres, timeLimit, memory, cpus] = fields;
+            const isDefault = rawName.endsWith('*');
+            const name = rawName.replace(/\*$/, '');
+
+            if (!partitions.has(name)) {
+                partitions.set(name, {
+                    name,
+                    isDefault,
+                    available: availability === 'up',
+                    totalNodes: 0,
+                    idleNodes: 0,
+                    allocatedNodes: 0,
+                    mixedNodes: 0,
+                    otherNodes: 0,
+                    gpuTypes: [],
+                    gpusPerNode: 0,
+                    cpusPerNode: 0,
+                    memoryPerNodeMB: 0,
+                    maxTime: timeLimit,
+                    maxTimeSeconds: PartitionCatalog.parseTime(timeLimit),
+                    maxMemPerNodeMB: null,
+                });
+            }
+
+            const partition = partitions.get(name);
+            const nodes = parseInt(nodeCount) || 0;
+            const baseState = state.replace(/[*~#!%$@^-]+$/, '');
+
+            partition.totalNodes += nodes;
+            if (baseState === 'idle') partition.idleNodes += nodes;
+            else if (baseState === 'allocated') partition.allocatedNodes += nodes;
+            else if (baseState === 'mixed') partition.mixedNodes += nodes;
+            else partition.otherNodes += nodes;
+
+            for (const gpu of PartitionCatalog.parseGres(gres)) {
+                if (gpu.type && !partition.gpuTypes.includes(gpu.type)) {
+                    partition.gpuTypes.push(gpu.type);
+                }
+                partition.gpusPerNode = Math.max(partition.gpusPerNode, gpu.count);
+            }
+
+            partition.cpusPerNode = Math.max(partition.cpusPerNode, parseInt(cpus) || 0);
+            partition.memoryPerNodeMB = Math.max(partition.memoryPerNodeMB, parseInt(memory) || 0);
+        }
+
+        return partitions;
+    }
+
+    /**
+     * Merge limits from `scontrol show partition -o` (one line per partition)
+     */
+    mergeScontrol(partitions, output) {
+        for (const line of output.split('\n')) {
+            if (!line.includes('PartitionName=')) continue;
+
+            const fields = {};
+            for (const token of line.trim().split(/\s+/)) {
+                const index = token.indexOf('=');
+                if (index > 0) fields[token.slice(0, index)] = token.slice(index + 1);
+            }
+
+            const partition = partitions.get(fields.PartitionName);
+            if (!partition) continue;
+
+            if (fields.MaxTime) {
+                partition.maxTime = fields.MaxTime;
+                partition.maxTimeSeconds = PartitionCatalog.parseTime(fields.MaxTime);
+            }
+            if (fields.DefaultTime && fields.DefaultTime !== 'NONE') {
+                partition.defaultTime = fields.DefaultTime;
+            }
+            if (fields.MaxMemPerNode && fields.MaxMemPerNode !== 'UNLIMITED') {
+                partition.maxMemPerNodeMB = parseInt(fields.MaxMemPerNode) || null;
+            }
+            if (fields.MaxNodes && fields.MaxNodes !== 'UNLIMITED') {
+                partition.maxNodes = parseInt(fields.MaxNodes) || null;
+            }
+            if (fields.Default === 'YES') {
+                partition.isDefault = true;
+            }
+            if (fields.State) {
+                partition.available = fields.State === 'UP';
+            }
+        }
+    }
+
+    /**
+     * Check a resource request against a partition's limits
+     *
+     * A limit that cannot be parsed is not enforced (the scheduler still
+     * is the final judge); this is logged at debug level.
+     *
+     * @param {object} partition - Partition from getPartitions()
+     * @param {object} request - { time, gpus, cpus, memory } (any subset)
+     * @returns {string|null} Error message, or null if the request fits
+     */
+    static validateRequest(partition, request) {
+        if (!partition) return null;
+
+        const skip = (what, value) => getLogger().debug(
+            `Not checking ${what} on partition ${partition.name}: no usable value in "${value === undefined || value === null ? '' : value}"`
+        );
+
+        if (request.time !== undefined) {
+            const seconds = PartitionCatalog.parseTime(request.time);
+            if (!Number.isFinite(partition.maxTimeSeconds)) {
+                if (!PartitionCatalog.isUnlimited(partition.maxTime)) {
+                    skip('the time limit', partition.maxTime);
+                }
+            } else if (!Number.isFinite(seconds) || seconds === 0) {
+                skip('the requested time', request.time);
+            } else if (seconds > partition.maxTimeSeconds) {
+                return `Exceeds the ${partition.maxTime} time limit of partition ${partition.name}`;
+            }
+        }
+
+        if (request.gpus !== undefined && request.gpus > 0 && partition.gpusPerNode !== undefined) {
+            if (partition.gpusPerNode === 0) {
+                return `Partition ${partition.name} has no GPUs`;
+            }
+            if (request.gpus > partition.gpusPerNode) {
+                return `Partition ${partition.name} has at most ${partition.gpusPerNode} GPUs per node`;
+            }
+        }
+
+        if (request.cpus !== undefined) {
+            if (!(partition.cpusPerNode > 0)) {
+                skip('the CPU limit', partition.cpusPerNode);
+            } else if (request.cpus > partition.cpusPerNode) {
+                return `Partition ${partition.name} has at most ${partition.cpusPerNode} CPUs per node`;
+            }
+        }
+
+        if (request.memory !== undefined) {
+            const limit = partition.maxMemPerNodeMB || partition.memoryPerNodeMB;
+            const requested = PartitionCatalog.parseMemory(request.memory);
+            if (!(limit > 0)) {
+                skip('the memory limit', limit);
+            } else if (!(requested > 0)) {
+                skip('the requested memory', request.memory);
+            } else if (requested > limit) {
+                return `Partition ${partition.name} allows at most ${Math.floor(limit / 1024)}G per node`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * One-line summary of a partition for pickers
+     */
+    static describe(partition) {
+        const parts = [`${partition.idleNodes}/${partition.totalNodes} nodes idle`];
+        if (partition.allocatedNodes || partition.mixedNodes) {
+            parts.push(`${partition.allocatedNodes + partition.mixedNodes} busy`);
+        }
+        if (partition.gpusPerNode > 0) {
+            const types = partition.gpuTypes.length > 0 ? partition.gpuTypes.join('/') : 'gpu';
+            parts.push(`${partition.gpusPerNode}× ${types}`);
+        }
+        if (!partition.available) {
+            parts.push('DOWN');
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Limits summary of a partition for pickers
+     */
+    static describeLimits(partition) {
+        const memory = partition.maxMemPerNodeMB || partition.memoryPerNodeMB;
+        return [
+            `Max time ${partition.maxTime}`,
+            `${partition.cpusPerNode} CPUs/node`,
+            memory ? `${Math.floor(memory / 1024)}G/node` : null,
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Parse GRES strings like "gpu:l40:8(S:0-1),gpu:2" into [{ type, count }]
+     */
+    static parseGres(gres) {
+        if (!gres || gres === '(null)') return [];
+
+        return gres.split(/,(?![^(]*\))/)
+            .map(entry => entry.replace(/\(.*\)$/, '').split(':'))
+            .filter(parts => parts[0] === 'gpu')
+            .map(parts => ({
+                type: parts.length > 2 ? parts[1] : null,
+                count: parseInt(parts[parts.length - 1]) || 0,
+            }));
+    }
+
+    /**
+     * Parse a SLURM time ("MM", "MM:SS", "HH:MM:SS", "D-HH[:MM[:SS]]", "infinite") into seconds
+     */
+    static parseTime(value) {
+        if (!value || PartitionCatalog.isUnlimited(value)) return Infinity;
+
+        let days = 0;
+        let rest = value;
+        const dayMatch = value.match(/^(\d+)-(.*)$/);
+        if (dayMatch) {
+            days = parseInt(dayMatch[1]);
+            rest = dayMatch[2];
+        }
+
+        const parts = rest.split(':').map(p => parseInt(p) || 0);
+        let seconds;
+        if (dayMatch) {
+            // D-HH, D-HH:MM, D-HH:MM:SS
+            seconds = (parts[0] || 0) * 3600 + (parts[1] || 0) * 60 + (parts[2] || 0);
+        } else if (parts.length === 3) {
+            seconds = parts[0] * 3600 + parts[1] * 60 + parts[2];
+        } else if (parts.length === 2) {
+            seconds = parts[0] * 60 + parts[1];
+        } else {
+            seconds = parts[0] * 60;
+        }
+
+        return days * 86400 + seconds;
+    }
+
+    /**
+     * Whether a SLURM limit means "no limit"
+     */
+    static isUnlimited(value) {
+        return /^(infinite|unlimited)$/i.test(String(value || ''));
+    }
+
+    /**
+     * Parse a memory request ("16G", "32000M", "1T") into megabytes
+     */
+    static parseMemory(value) {
+        const match = String(value).match(/^(\d+)([KMGT]?)$/i);
+        if (!match) return 0;
+
+        const amount = parseInt(match[1]);
+        switch (match[2].toUpperCase()) {
+            case 'K': return amount / 1024;
+            case 'G': return amount * 1024;
+            case 'T': return amount * 1024 * 1024;
+            default: return amount;
+        }
+    }
+}
+
+module.exports = PartitionCatalog;
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { quote, quotePath, quotePaths } = require('./shellQuote');
+const { getInstance: getLogger } = require('./logger');
+
+const BATCH_SIZE = 100; // Paths per remote command
+const STAGING_DIR = '.hpc-sync-staging'; // Inside the mirror, removed after each sync
+
+/**
+ * Keeps a persistent remote mirror of a local project folder
+ *
+ * Responsibilities:
+ * - Compare local files (after .hpcignore / .gitignore filtering) with the
+ *   mirror, by size and modification time or by MD5 checksum
+ * - Upload only changed files and delete files that are gone locally
+ * - Snapshot the mirror into a job directory with hardlinks
+ *
+ * Changed files are uploaded to a staging folder (as a tar stream when
+ * there are many) and renamed into place, so the mirror gets a new inode
+ * and snapshots of earlier jobs keep the content they were submitted with. Remote modification times are set to
+ * the local ones, so unchanged files compare equal on the next sync.
+ */
+class ProjectSync {
+    constructor(clusterManager) {
+        this.clusterManager = clusterManager;
+        this.logger = getLogger();
+    }
+
+    /**
+     * Remote mirror of a local folder: <projectsDir>/<folder name>-<hash of the local path>
+     */
+    getMirrorDir(projectDir, profile) {
+        const clusterInfo = this.clusterManager.config.getClusterInfo(profile);
+        const hash = crypto.createHash('sha1').update(path.resolve(projectDir)).digest('hex').slice(0, 8);
+        const name = path.basename(projectDir).replace(/[^\w.-]/g, '_') || 'project';
+        const mirrorDir = `${clusterInfo.projectsDir}/${name}-${hash}`;
+        this.clusterManager.safetyManager.validatePath(mirrorDir, profile, 'project mirror');
+        return mirrorDir;
+    }
+
+    /**
+     * Bring the mirror up to date
+     *
+     * @param {string} projectDir - Local project folder
+     * @param {string} filePath - File to run (always included), or null
+     * @param {object} options - { profile, compare: 'mtime' | 'checksum', onProgress(message) }
+     * @returns {Promise<object>} { mirrorDir, files, uploaded, deleted }
+     */
+    async sync(projectDir, filePath, options = {}) {
+        const profile = options.profile;
+        const compare = options.compare || 'mtime';
+        const report = options.onProgress || (() => {});
+        const mirrorDir = this.getMirrorDir(projectDir, profile);
+
+        const localFiles = this.clusterManager.collectProjectFiles(projectDir, filePath);
+        report('Comparing with the remote project mirror...');
+        const remoteFiles = await this._listRemote(mirrorDir, profile);
+
+        let changed = localFiles.filter((file) => {
+            const remote = remoteFiles.get(file.relativePath);
+            return !remote || remote.size !== file.size ||
+                (compare === 'mtime' && Math.floor(file.mtime / 1000) !== Math.floor(remote.mtime));
+        });
+        if (compare === 'checksum') {
+            changed = await this._filterByChecksum(projectDir, mirrorDir, localFiles, changed, profile);
+        }
+
+        const localPaths = new Set(localFiles.map(f => f.relativePath));
+        const deleted = Array.from(remoteFiles.keys()).filter(p => !localPaths.has(p));
+
+        this.logger.info(`Syncing ${projectDir} to ${mirrorDir}: ${changed.length} changed, ${deleted.length} deleted, ${localFiles.length - changed.length} unchanged`);
+
+        if (deleted.length > 0) {
+            const safety = this.clusterManager.safetyManager;
+            for (const relativePath of deleted) {
+                safety.validateDelete(`${mirrorDir}/${relativePath}`, profile);
+            }
+            safety.logOperation('delete', { path: mirrorDir, profile, files: deleted.length, reason: 'removed locally' });
+            for (const chunk of this._chunk(deleted, BATCH_SIZE)) {
+                await this._run(`cd ${quote(mirrorDir)} && rm -f ${quotePaths(chunk)}`, profile);
+            }
+        }
+
+        if (changed.length > 0) {
+            const dirs = new Set(changed.map(f => path.posix.dirname(f.relativePath)).filter(d => d !== '.'));
+            for (const chunk of this._chunk(Array.from(dirs), BATCH_SIZE)) {
+                await this._run(`cd ${quote(mirrorDir)} && mkdir -p ${quotePaths(chunk)}`, profile);
+            }
+
+            const staging = this.clusterManager.safetyManager.validateDelete(`${mirrorDir}/${STAGING_DIR}`, profile);
+            await this._run(`rm -rf ${quote(staging)}`, profile);
+            await this.clusterManager.uploadFiles(projectDir, changed.map(f => f.relativePath), staging, {
+                profile,
+                onProgress: report,
+            });
+
+            // Rename into place and copy the local modification time
+            for (const chunk of this._chunk(changed, BATCH_SIZE)) {
+                const commands = chunk.map((file) => {
+                    const target = quotePath(file.relativePath);
+                    return `mv -f ${quote(STAGING_DIR + '/' + file.relativePath)} ${target} && touch -m -d @${Math.floor(file.mtime / 1000)} ${target}`;
+                });
+                await this._run(`cd ${quote(mirrorDir)} && ${commands.join(' && ')}`, profile);
+            }
+            await this._run(`rm -rf ${quote(staging)}`, profile);
+        }
+
+        return { mirrorDir, files: localFiles.length, uploaded: changed.length, deleted: deleted.length };
+    }
+
+    /**
+     * Populate a job directory from the mirror
+     *
+     * Hardlinks cost no space; `cp -a` is the fallback on filesystems without them.
+     */
+    async snapshot(mirrorDir, jobDir, profile) {
+        this.clusterManager.safetyManager.validatePath(jobDir, profile, 'snapshot');
+        await this._run(`mkdir -p ${quote(jobDir)} && (cp -al ${quote(mirrorDir)}/. ${quote(jobDir)}/ 2>/dev/null || cp -a ${quote(mirrorDir)}/. ${quote(jobDir)}/)`, profile);
+    }
+
+    /**
+     * Files of the mirror: relative path -> { size, mtime (seconds) }
+     */
+    async _listRemote(mirrorDir, profile) {
+        const { stdout } = await this._run(
+            `mkdir -p ${quote(mirrorDir)} && cd ${quote(mirrorDir)} && find . -path ./${STAGING_DIR} -prune -o -type f -printf '%P|%s|%T@\\0'`,
+            profile
+        );
+
+        // NUL-separated: file names may contain newlines
+        const files = new Map();
+        for (const line of stdout.split('\0')) {
+            const match = line.match(/^([\s\S]*)\|(\d+)\|([\d.]+)$/);
+            if (match) {
+                files.set(match[1], { size: parseInt(match[2]), mtime: parseFloat(match[3]) });
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Add files of equal size whose MD5 differs from the mirror's copy
+     */
+    async _filterByChecksum(projectDir, mirrorDir, localFiles, changed, profile) {
+        const changedPaths = new Set(changed.map(f => f.relativePath));
+        const candidates = localFiles.filter(f => !changedPaths.has(f.relativePath));
+        const result = changed.slice();
+
+        for (const chunk of this._chunk(candidates, BATCH_SIZE)) {
+            const { stdout } = await this._run(
+                `cd ${quote(mirrorDir)} && md5sum ${quotePaths(chunk.map(f => f.relativePath))} 2>/dev/null || true`,
+                profile
+            );
+            const remoteSums = new Map();
+            for (const line of stdout.split('\n')) {
+                const match = line.match(/^([0-9a-f]{32}) [ *](.*)$/);
+                if (match) remoteSums.set(match[2].replace(/^\.\/(?=-)/, ''), match[1]);
+            }
+
+            for (const file of chunk) {
+                const localSum = crypto.createHash('md5')
+                    .update(fs.readFileSync(path.join(projectDir, ...file.relativePath.split('/'))))
+                    .digest('hex');
+                if (remoteSums.get(file.relativePath) !== localSum) {
+                    result.push(file);
+                }
+            }
+        }
+        return result;
+    }
+
+    async _run(command, profile) {
+        const result = await this.clusterManager.executeCommand(command, { profile });
+        if (result.code) {
+            throw new Error(`Project sync command failed (exit ${result.code}): ${(result.stderr || '').trim()}`);
+        }
+        return result;
+    }
+
+    _chunk(items, size) {
+        const chunks = [];
+        for (let i = 0; i < items.length; i += size) {
+            chunks.push(items.slice(i, i + size));
+        }
+        return chunks;
+    }
+}
+
+module.exports = ProjectSync;
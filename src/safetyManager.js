@@ -1,112 +1,138 @@
+const fs = require('fs');
 const path = require('path');
+const { getInstance: getLogger } = require('./logger');
 
 /**
  * Safety manager to prevent dangerous operations
- * 
+ *
  * CRITICAL RULES:
- * - All operations must be inside /scratch.hpc/username/
+ * - All operations must be inside the profile's directories: the scratch
+ *   directory (<scratchBase>/<user>) or a configured jobs, venvs or projects
+ *   directory
  * - No path traversal allowed (..)
- * - Only delete inside hpc_jobs/ directory
+ * - Only delete inside the jobs and project mirror directories
+ *
+ * Rejected operations throw an Error starting with "SECURITY:". Deletions
+ * and rejections are appended to an audit log (JSON lines) next to the
+ * extension's log folder.
  */
 class SafetyManager {
-    constructor(configManager) {
+    /**
+     * @param {ConfigManager} configManager
+     * @param {object} options - Optional { auditFile } (defaults to audit.log beside the logs folder)
+     */
+    constructor(configManager, options = {}) {
         this.config = configManager;
+        this.logger = getLogger();
+        this.auditFile = options.auditFile || path.join(path.dirname(this.logger.logDir), 'audit.log');
     }
 
     /**
      * Validate that a path is safe to use
-     * 
-     * Ensures path is inside /scratch.hpc/username/ and has no traversal
+     *
+     * Ensures the path is absolute, inside one of the profile's directories
+     * and has no traversal
+     *
+     * @param {string} remotePath - Remote path
+     * @param {string} profile - Profile name (defaults to the active profile)
+     * @param {string} operation - What the path is used for, for the error and audit log
      */
-    validatePath(remotePath) {
-        const clusterInfo = this.config.getClusterInfo();
-        const scratchDir = clusterInfo.scratchDir;
+    validatePath(remotePath, profile = null, operation = 'access') {
+        const clusterInfo = this.config.getClusterInfo(profile);
+        const text = String(remotePath || '');
 
-        // Normalize path (resolve . and ..)
-        const normalizedPath = path.posix.normalize(remotePath);
+        // CRITICAL: Cannot contain path traversal
+        if (text.split('/').includes('..')) {
+            this._reject(operation, text, clusterInfo, 'path traversal (..) is not allowed');
+        }
 
-        // CRITICAL: Must be inside scratch directory
-        if (!normalizedPath.startsWith(scratchDir)) {
-            throw new Error(`SECURITY: Path outside scratch directory: ${remotePath} (must be in ${scratchDir})`);
+        // Line breaks would split remote commands and script lines
+        if (/[\x00-\x1f]/.test(text)) {
+            this._reject(operation, text, clusterInfo, 'control characters are not allowed');
         }
 
-        // CRITICAL: Cannot contain path traversal
-        if (remotePath.includes('..')) {
-            throw new Error(`SECURITY: Path traversal not allowed: ${remotePath}`);
+        if (!path.posix.isAbsolute(text)) {
+            this._reject(operation, text, clusterInfo, 'the path must be absolute');
         }
 
+        // Normalize path (resolve . and duplicate slashes)
+        const normalizedPath = path.posix.normalize(text).replace(/\/$/, '');
+
         // CRITICAL: Cannot access root
-        if (normalizedPath === '/' || normalizedPath === clusterInfo.scratchBase) {
-            throw new Error(`SECURITY: Cannot access base directories: ${remotePath}`);
+        if (normalizedPath === '' || normalizedPath === path.posix.normalize(clusterInfo.scratchBase || '/').replace(/\/$/, '')) {
+            this._reject(operation, text, clusterInfo, 'base directories cannot be used');
+        }
+
+        // CRITICAL: Must be inside the profile's directories
+        const roots = this._roots(clusterInfo);
+        if (!roots.some(root => isInside(normalizedPath, root, true))) {
+            this._reject(operation, text, clusterInfo, `the path is outside ${roots.join(', ')}`);
         }
 
-        return true;
+        return normalizedPath;
     }
 
     /**
      * Validate delete operation
-     * 
-     * Only allows deletion inside hpc_jobs/ directory
+     *
+     * Only allows deletion inside the jobs directory and the project mirrors directory
      */
-    validateDelete(remotePath) {
-        this.validatePath(remotePath);
-
-        const clusterInfo = this.config.getClusterInfo();
-        const jobsDir = clusterInfo.jobsDir;
-
-        // Can only delete inside hpc_jobs directory
-        if (!remotePath.startsWith(jobsDir + '/')) {
-            throw new Error(`SECURITY: Can only delete inside ${jobsDir}`);
-        }
-
-        // Cannot delete the jobs directory itself
-        if (remotePath === jobsDir) {
-            throw new Error(`SECURITY: Cannot delete jobs directory itself`);
+    validateDelete(remotePath, profile = null) {
+        const normalizedPath = this.validatePath(remotePath, profile, 'delete');
+        const clusterInfo = this.config.getClusterInfo(profile);
+        const allowed = [clusterInfo.jobsDir, clusterInfo.projectsDir].map(dir => path.posix.normalize(dir).replace(/\/$/, ''));
+
+        // Can only delete inside the jobs / projects directories, never the directories themselves
+        if (!allowed.some(dir => isInside(normalizedPath, dir, false))) {
+            this._reject('delete', remotePath, clusterInfo, `deletion is only allowed inside ${allowed.join(' or ')}`);
         }
 
-        return true;
+        return normalizedPath;
     }
 
     /**
      * Get safe job directory path
-     * 
+     *
      * Returns validated path for a job
      */
-    getSafeJobPath(jobId) {
-        const clusterInfo = this.config.getClusterInfo();
-        
+    getSafeJobPath(jobId, profile = null) {
+        const clusterInfo = this.config.getClusterInfo(profile);
+
         // Validate job ID (no path traversal)
-        if (jobId.includes('..') || jobId.includes('/')) {
-            throw new Error(`SECURITY: Invalid job ID: ${jobId}`);
+        if (!isSafeName(jobId)) {
+            this._reject('job directory', String(jobId), clusterInfo, 'invalid job ID');
         }
-        
+
         const jobPath = `${clusterInfo.jobsDir}/${jobId}`;
-        this.validatePath(jobPath);
-        
+        this.validatePath(jobPath, profile, 'job directory');
+
         return jobPath;
     }
 
     /**
      * Get safe venv path
-     * 
+     *
      * Returns validated path for a Python virtual environment
      */
-    getSafeVenvPath(venvName) {
-        const clusterInfo = this.config.getClusterInfo();
-        
+    getSafeVenvPath(venvName, profile = null) {
+        const clusterInfo = this.config.getClusterInfo(profile);
+
         // Validate venv name (no path traversal)
-        if (venvName.includes('..') || venvName.includes('/')) {
-            throw new Error(`SECURITY: Invalid venv name: ${venvName}`);
+        if (!isSafeName(venvName)) {
+            this._reject('venv', String(venvName), clusterInfo, 'invalid virtual environment name');
         }
-        
+
         const venvPath = `${clusterInfo.venvsDir}/${venvName}`;
-        this.validatePath(venvPath);
-        
+        this.validatePath(venvPath, profile, 'venv');
+
         return venvPath;
     }
 
     /**
      * Log operation for audit trail
+     *
+     * @param {string} operation - e.g. 'delete', 'rejected'
+     * @param {object} details - Paths, profile, job ID, outcome
      */
     logOperation(operation, details) {
         const timestamp = new Date().toISOString();
@@ -115,10 +141,46 @@ class SafetyManager {
             operation,
             details
         };
-        
-        console.log(`[SECURITY LOG] ${JSON.stringify(logEntry)}`);
+
+        try {
+            fs.mkdirSync(path.dirname(this.auditFile), { recursive: true });
+            fs.appendFileSync(this.auditFile, JSON.stringify(logEntry) + '\n', 'utf8');
+        } catch (error) {
+            this.logger.error('Cannot write audit log ' + this.auditFile + ': ' + error.message);
+        }
+        this.logger.info(`[AUDIT] ${operation} ${JSON.stringify(details)}`);
         return logEntry;
     }
+
+    /**
+     * Directories of a profile that remote paths may be in
+     */
+    _roots(clusterInfo) {
+        return [clusterInfo.scratchDir, clusterInfo.jobsDir, clusterInfo.venvsDir, clusterInfo.projectsDir]
+            .filter(Boolean)
+            .map(dir => path.posix.normalize(dir).replace(/\/$/, ''))
+            .filter((dir, index, dirs) => dirs.indexOf(dir) === index);
+    }
+
+    _reject(operation, remotePath, clusterInfo, reason) {
+        this.logOperation('rejected', { operation, path: remotePath, profile: clusterInfo.profile, reason });
+        throw new Error(`SECURITY: Refused ${operation} of ${remotePath}: ${reason}`);
+    }
+}
+
+/**
+ * Whether a normalized path is a directory or inside it
+ */
+function isInside(normalizedPath, dir, orEqual) {
+    if (!dir || dir === '/') return false;
+    return (orEqual && normalizedPath === dir) || normalizedPath.startsWith(dir + '/');
+}
+
+/**
+ * Single path component without traversal
+ */
+function isSafeName(name) {
+    return typeof name === 'string' && /^[\w.@+-]+$/.test(name) && name !== '.' && name !== '..';
 }
 
 module.exports = SafetyManager;
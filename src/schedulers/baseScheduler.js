@@ -0,0 +1,163 @@
+/**
+ * Base class for batch schedulers
+ *
+ * Each scheduler knows the commands and output formats of one batch system
+ * (SLURM, PBS). Schedulers only build commands and parse their output;
+ * ClusterManager runs them over the profile's connection.
+ *
+ * Job IDs are the scheduler's own, as printed at submission. They are
+ * stored as `slurmId` in job records for compatibility with older records.
+ */
+class BaseScheduler {
+    /**
+     * @param {string} name - Setting value ('slurm', 'pbs')
+     * @param {string} label - Display name
+     */
+    constructor(name, label) {
+        this.name = name;
+        this.label = label;
+    }
+
+    /**
+     * Name of the batch script in the job directory
+     * @returns {string}
+     */
+    get scriptFile() {
+        throw new Error('scriptFile must be implemented by subclass');
+    }
+
+    /**
+     * Signal the scheduler sends to the batch shell shortly before the time
+     * limit, or null if it only sends TERM at the limit
+     * @returns {string|null}
+     */
+    get timeoutSignal() {
+        return null;
+    }
+
+    /**
+     * Whether PartitionCatalog can discover partitions (sinfo/scontrol)
+     * @returns {boolean}
+     */
+    get discoversPartitions() {
+        return false;
+    }
+
+    /**
+     * Build the scheduler directives of a batch script
+     * @param {object} jobConfig - Job configuration
+     * @param {string} jobDir - Remote job directory
+     * @param {object} options - { timeoutWarning } seconds before the limit for timeoutSignal
+     * @returns {string[]} Directive lines (without the #! line)
+     */
+    buildDirectives(jobConfig, jobDir, options = {}) {
+        throw new Error('buildDirectives() must be implemented by subclass');
+    }
+
+    /**
+     * Shell expressions for the scheduler-neutral variables of job scripts
+     * @returns {object} { HPC_JOB_ID, HPC_CPUS }
+     */
+    getEnvironment() {
+        throw new Error('getEnvironment() must be implemented by subclass');
+    }
+
+    /**
+     * Files the scheduler writes the batch script's own output to
+     * @param {string} jobId - Scheduler job ID (null if unknown)
+     * @returns {string[]} Names relative to the job directory (globs allowed)
+     */
+    getLogFiles(jobId) {
+        throw new Error('getLogFiles() must be implemented by subclass');
+    }
+
+    /**
+     * Pattern (shell case syntax) matching getLogFiles() names, so they are not taken for outputs
+     * @returns {string}
+     */
+    get logPattern() {
+        throw new Error('logPattern must be implemented by subclass');
+    }
+
+    /**
+     * Command submitting the batch script, run from the job directory
+     * @param {string} scriptFile - Script name
+     * @returns {string}
+     */
+    submitCommand(scriptFile) {
+        throw new Error('submitCommand() must be implemented by subclass');
+    }
+
+    /**
+     * Extract the job ID from the submit command's output
+     * @returns {string|null}
+     */
+    parseSubmitOutput(stdout) {
+        throw new Error('parseSubmitOutput() must be implemented by subclass');
+    }
+
+    /**
+     * Command listing the state of queued and running jobs
+     * @param {string[]} jobIds
+     * @returns {string}
+     */
+    queueCommand(jobIds) {
+        throw new Error('queueCommand() must be implemented by subclass');
+    }
+
+    /**
+     * Parse queueCommand() output
+     * @returns {Map} job ID -> state (jobStates names); jobs that left the queue are omitted
+     */
+    parseQueue(stdout) {
+        throw new Error('parseQueue() must be implemented by subclass');
+    }
+
+    /**
+     * Command reporting the final state and resource usage of finished jobs
+     * @param {string[]} jobIds
+     * @returns {string}
+     */
+    accountingCommand(jobIds) {
+        throw new Error('accountingCommand() must be implemented by subclass');
+    }
+
+    /**
+     * Parse accountingCommand() output
+     * @returns {Map} job ID -> { state, rawState, exitCode, elapsed, totalCPU, maxRSS, allocTRES, updated }
+     */
+    parseAccounting(stdout) {
+        throw new Error('parseAccounting() must be implemented by subclass');
+    }
+
+    /**
+     * Job control commands
+     * @param {string} jobId - Scheduler job ID
+     * @returns {string}
+     */
+    cancelCommand(jobId) {
+        throw new Error('cancelCommand() must be implemented by subclass');
+    }
+
+    holdCommand(jobId) {
+        throw new Error('holdCommand() must be implemented by subclass');
+    }
+
+    releaseCommand(jobId) {
+        throw new Error('releaseCommand() must be implemented by subclass');
+    }
+
+    requeueCommand(jobId) {
+        throw new Error('requeueCommand() must be implemented by subclass');
+    }
+
+    /**
+     * @param {string} jobId - Scheduler job ID
+     * @param {string} time - New limit as [D-]HH:MM:SS
+     */
+    timeLimitCommand(jobId, time) {
+        throw new Error('timeLimitCommand() must be implemented by subclass');
+    }
+}
+
+module.exports = BaseScheduler;
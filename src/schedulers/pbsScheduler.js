@@ -0,0 +1,239 @@
+const BaseScheduler = require('./baseScheduler');
+const { quote, singleLine, directiveValue } = require('../shellQuote');
+
+// qstat job_state letters of jobs that have not finished (F and X are finished)
+const QUEUE_STATES = {
+    Q: 'PENDING', // Queued
+    W: 'PENDING', // Waiting for its start time
+    T: 'PENDING', // Being moved
+    M: 'PENDING', // Moved to another server
+    H: 'PENDING', // Held
+    B: 'RUNNING', // Array job with running subjobs
+    R: 'RUNNING',
+    E: 'COMPLETING', // Exiting
+    S: 'SUSPENDED',
+    U: 'SUSPENDED', // Suspended while the workstation is busy
+};
+
+// Exit_status values PBS uses when it kills a job over a resource limit
+const KILLED_FOR = {
+    '-26': 'OUT_OF_MEMORY', // vmem
+    '-27': 'OUT_OF_MEMORY', // mem
+    '-29': 'TIMEOUT', // walltime
+};
+
+/**
+ * PBS Professional (qsub, qstat, qdel, qhold, qrls, qrerun, qalter)
+ *
+ * Features:
+ * - #PBS directives with a single `select` chunk per node
+ * - State and accounting of finished jobs from `qstat -x -F json`
+ *   (job history must be enabled on the server)
+ *
+ * PBS has no warning signal before the walltime limit: the job script
+ * receives TERM, like on qdel. SLURM options from source file directives
+ * have no PBS equivalent and are written to the script as comments.
+ */
+class PbsScheduler extends BaseScheduler {
+    constructor() {
+        super('pbs', 'PBS');
+    }
+
+    get scriptFile() {
+        return 'job.pbs';
+    }
+
+    buildDirectives(jobConfig, jobDir) {
+        const { name, partition, gpus, gpuType, cpus, memory, time } = jobConfig;
+        const nodes = parseInt(jobConfig.nodes) || 1;
+        const tasksPerNode = Math.ceil((parseInt(jobConfig.ntasks) || 1) / nodes);
+        const cpusPerTask = parseInt(cpus) || 1;
+
+        // One chunk per node; ompthreads makes PBS set OMP_NUM_THREADS to the CPUs per task
+        const chunk = [
+            `select=${nodes}`,
+            `ncpus=${cpusPerTask * tasksPerNode}`,
+            `mpiprocs=${tasksPerNode}`,
+            `ompthreads=${cpusPerTask}`,
+            `mem=${formatMemory(memory)}`,
+        ];
+        if (gpus > 0) {
+            chunk.push(`ngpus=${parseInt(gpus)}`);
+        }
+
+        const lines = [];
+        lines.push(`#PBS -N ${jobName(name)}`);
+        lines.push('#PBS -S /bin/bash');
+        lines.push(`#PBS -o ${directiveValue(jobDir + '/pbs.out')}`);
+        lines.push(`#PBS -e ${directiveValue(jobDir + '/pbs.err')}`);
+        if (partition) {
+            lines.push(`#PBS -q ${directiveValue(partition)}`);
+        }
+        lines.push(`#PBS -l ${directiveValue(chunk.join(':'))}`);
+        lines.push(`#PBS -l walltime=${directiveValue(formatWalltime(time))}`);
+
+        if (gpus > 0 && gpuType) {
+            lines.push(`# GPU model ${singleLine(gpuType)} not requested: PBS has no standard resource for it`);
+        }
+        for (const directive of jobConfig.extraDirectives || []) {
+            lines.push(`# SLURM option not applied by PBS: ${singleLine(directive)}`);
+        }
+
+        return lines;
+    }
+
+    getEnvironment() {
+        return {
+            HPC_JOB_ID: '$PBS_JOBID',
+            HPC_CPUS: '$OMP_NUM_THREADS',
+        };
+    }
+
+    getLogFiles() {
+        return ['pbs.out', 'pbs.err'];
+    }
+
+    get logPattern() {
+        return 'pbs.out|pbs.err';
+    }
+
+    submitCommand(scriptFile) {
+        return `qsub ${quote(scriptFile)}`;
+    }
+
+    /**
+     * qsub prints the full job ID: "1234.server" or "1234[].server" for arrays
+     */
+    parseSubmitOutput(stdout) {
+        const match = stdout.match(/^\s*(\d+(?:\[\d*\])?(?:\.[\w.-]+)?)\s*$/m);
+        return match ? match[1] : null;
+    }
+
+    queueCommand(jobIds) {
+        return this._qstat(jobIds);
+    }
+
+    parseQueue(stdout) {
+        const states = new Map();
+        for (const [jobId, job] of Object.entries(parseQstat(stdout))) {
+            const state = QUEUE_STATES[job.job_state];
+            if (state) states.set(jobId, state);
+        }
+        return states;
+    }
+
+    accountingCommand(jobIds) {
+        return this._qstat(jobIds);
+    }
+
+    parseAccounting(stdout) {
+        const records = new Map();
+        for (const [jobId, job] of Object.entries(parseQstat(stdout))) {
+            if (job.job_state !== 'F' && job.job_state !== 'X') continue;
+
+            const used = job.resources_used || {};
+            const requested = job.Resource_List || {};
+            const exitCode = job.Exit_status === undefined ? null : String(job.Exit_status);
+            records.set(jobId, {
+                state: finalState(exitCode),
+                rawState: job.job_state + (exitCode === null ? '' : ` (exit ${exitCode})`),
+                exitCode: exitCode,
+                elapsed: used.walltime || null,
+                totalCPU: used.cput || null,
+                allocTRES: ['select', 'ncpus', 'mem', 'ngpus', 'walltime']
+                    .filter(key => requested[key] !== undefined)
+                    .map(key => `${key}=${requested[key]}`)
+                    .join(','),
+                maxRSS: used.mem || null,
+                updated: new Date().toISOString(),
+            });
+        }
+        return records;
+    }
+
+    cancelCommand(jobId) {
+        return `qdel ${quote(jobId)}`;
+    }
+
+    holdCommand(jobId) {
+        return `qhold ${quote(jobId)}`;
+    }
+
+    releaseCommand(jobId) {
+        return `qrls ${quote(jobId)}`;
+    }
+
+    requeueCommand(jobId) {
+        return `qrerun ${quote(jobId)}`;
+    }
+
+    timeLimitCommand(jobId, time) {
+        return `qalter -l ${quote('walltime=' + formatWalltime(time))} ${quote(jobId)}`;
+    }
+
+    /**
+     * Full status of queued, running and finished jobs as JSON
+     *
+     * qstat exits with an error when some IDs are unknown (e.g. expired
+     * from history) but still prints the others.
+     */
+    _qstat(jobIds) {
+        return `qstat -x -f -F json ${jobIds.map(quote).join(' ')} 2>/dev/null`;
+    }
+}
+
+/**
+ * Jobs of `qstat -f -F json` output, keyed by job ID
+ */
+function parseQstat(stdout) {
+    const start = stdout.indexOf('{');
+    if (start === -1) return {};
+    try {
+        return JSON.parse(stdout.slice(start)).Jobs || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * State of a finished job from its Exit_status
+ *
+ * No exit status means it was deleted before it started; 143 and 271 are
+ * the script (or PBS) ending on SIGTERM after qdel.
+ */
+function finalState(exitCode) {
+    if (exitCode === null) return 'CANCELLED';
+    if (exitCode === '0') return 'COMPLETED';
+    if (KILLED_FOR[exitCode]) return KILLED_FOR[exitCode];
+    if (exitCode === '143' || exitCode === '271') return 'CANCELLED';
+    return 'FAILED';
+}
+
+/**
+ * PBS job names cannot contain whitespace or most punctuation
+ */
+function jobName(name) {
+    const safe = singleLine(name || 'job').replace(/[^\w.-]/g, '_').slice(0, 230);
+    return /^[A-Za-z]/.test(safe) ? safe : 'j' + safe;
+}
+
+/**
+ * SLURM memory ("16G", "32000M", "16000") in PBS units ("16gb", "32000mb")
+ */
+function formatMemory(memory) {
+    const match = String(memory || '').trim().match(/^(\d+)\s*([KMGT]?)B?$/i);
+    if (!match) return singleLine(memory);
+    return match[1] + (match[2] || 'M').toLowerCase() + 'b';
+}
+
+/**
+ * SLURM time ([D-]HH:MM:SS) as PBS walltime (HH:MM:SS, hours past 24 allowed)
+ */
+function formatWalltime(time) {
+    const match = String(time || '').trim().match(/^(?:(\d+)-)?(\d+):(\d{2}):(\d{2})$/);
+    if (!match) return singleLine(time);
+    const hours = (parseInt(match[1] || '0') * 24) + parseInt(match[2]);
+    return `${String(hours).padStart(2, '0')}:${match[3]}:${match[4]}`;
+}
+
+module.exports = PbsScheduler;
@@ -0,0 +1,45 @@
+const SlurmScheduler = require('./slurmScheduler');
+const PbsScheduler = require('./pbsScheduler');
+
+// Schedulers that a profile can select with `scheduler`
+const SCHEDULERS = {
+    slurm: SlurmScheduler,
+    pbs: PbsScheduler,
+};
+
+const DEFAULT_SCHEDULER = 'slurm';
+
+/**
+ * Factory for the scheduler of a cluster profile
+ *
+ * Schedulers hold no state, so one instance per kind is shared.
+ */
+class SchedulerFactory {
+    /**
+     * @param {string} name - 'slurm' or 'pbs' (empty: slurm)
+     * @returns {BaseScheduler}
+     */
+    static createScheduler(name) {
+        const key = name || DEFAULT_SCHEDULER;
+        const Scheduler = SCHEDULERS[key];
+        if (!Scheduler) {
+            throw new Error('Unknown scheduler: ' + name + ' (expected ' + Object.keys(SCHEDULERS).join(' or ') + ')');
+        }
+        if (!SchedulerFactory.instances.has(key)) {
+            SchedulerFactory.instances.set(key, new Scheduler());
+        }
+        return SchedulerFactory.instances.get(key);
+    }
+
+    /**
+     * Display name of a scheduler, for job records that may predate the setting
+     */
+    static getLabel(name) {
+        const Scheduler = SCHEDULERS[name || DEFAULT_SCHEDULER];
+        return Scheduler ? SchedulerFactory.createScheduler(name).label : String(name);
+    }
+}
+
+SchedulerFactory.instances = new Map();
+
+module.exports = SchedulerFactory;
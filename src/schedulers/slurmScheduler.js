@@ -0,0 +1,184 @@
+const BaseScheduler = require('./baseScheduler');
+const { quote, singleLine, directiveValue } = require('../shellQuote');
+const { normalizeState } = require('../jobStates');
+
+/**
+ * SLURM (sbatch, squeue, sacct, scancel, scontrol)
+ *
+ * Features:
+ * - #SBATCH directives, including options from source file directives
+ * - USR1 to the batch shell before the time limit (--signal)
+ * - Final state and resource usage from sacct
+ * - Live partitions from sinfo (see PartitionCatalog)
+ */
+class SlurmScheduler extends BaseScheduler {
+    constructor() {
+        super('slurm', 'SLURM');
+    }
+
+    get scriptFile() {
+        return 'job.sbatch';
+    }
+
+    get timeoutSignal() {
+        return 'USR1';
+    }
+
+    get discoversPartitions() {
+        return true;
+    }
+
+    buildDirectives(jobConfig, jobDir, options = {}) {
+        const { name, partition, gpus, gpuType, cpus, memory, time } = jobConfig;
+
+        const lines = [];
+        lines.push(`#SBATCH --job-name=${directiveValue(name)}`);
+        lines.push(`#SBATCH --output=${directiveValue(jobDir + '/slurm-%j.out')}`);
+        lines.push(`#SBATCH --error=${directiveValue(jobDir + '/slurm-%j.err')}`);
+        lines.push(`#SBATCH --partition=${directiveValue(partition)}`);
+        lines.push(`#SBATCH --nodes=${jobConfig.nodes || 1}`);
+        lines.push(`#SBATCH --ntasks=${jobConfig.ntasks || 1}`);
+        lines.push(`#SBATCH --cpus-per-task=${cpus}`);
+
+        if (gpus > 0) {
+            lines.push(gpuType ? `#SBATCH --gres=${directiveValue(`gpu:${gpuType}:${gpus}`)}` : `#SBATCH --gres=gpu:${gpus}`);
+        }
+
+        lines.push(`#SBATCH --mem=${directiveValue(memory)}`);
+        lines.push(`#SBATCH --time=${directiveValue(time)}`);
+        if (options.timeoutWarning) {
+            lines.push(`#SBATCH --signal=B:${this.timeoutSignal}@${options.timeoutWarning}`);
+        }
+
+        // Directives from the source file that are not modelled above
+        for (const directive of jobConfig.extraDirectives || []) {
+            lines.push(`#SBATCH ${singleLine(directive)}`);
+        }
+
+        return lines;
+    }
+
+    getEnvironment() {
+        return {
+            HPC_JOB_ID: '$SLURM_JOB_ID',
+            HPC_CPUS: '$SLURM_CPUS_PER_TASK',
+        };
+    }
+
+    getLogFiles(jobId) {
+        return jobId
+            ? [`slurm-${jobId}.out`, `slurm-${jobId}.err`]
+            : ['slurm-*.out', 'slurm-*.err'];
+    }
+
+    get logPattern() {
+        return 'slurm-*';
+    }
+
+    submitCommand(scriptFile) {
+        return `sbatch ${quote(scriptFile)}`;
+    }
+
+    parseSubmitOutput(stdout) {
+        const match = stdout.match(/Submitted batch job (\d+)/);
+        return match ? match[1] : null;
+    }
+
+    queueCommand(jobIds) {
+        return `squeue --jobs=${quote(jobIds.join(','))} -h -o '%i|%T' 2>/dev/null`;
+    }
+
+    parseQueue(stdout) {
+        const states = new Map();
+        for (const line of stdout.split('\n')) {
+            const [jobId, state] = line.trim().split('|');
+            if (jobId && state) states.set(jobId, normalizeState(state));
+        }
+        return states;
+    }
+
+    accountingCommand(jobIds) {
+        return `sacct -j ${quote(jobIds.join(','))} -n -P -o JobID,State,ExitCode,Elapsed,MaxRSS,TotalCPU,AllocTRES 2>/dev/null`;
+    }
+
+    /**
+     * Parse `sacct -n -P -o JobID,State,ExitCode,Elapsed,MaxRSS,TotalCPU,AllocTRES`
+     *
+     * The allocation line carries State, ExitCode, Elapsed, TotalCPU and
+     * AllocTRES; MaxRSS is only reported on steps (.batch, .0, ...), so the
+     * largest step value is used.
+     */
+    parseAccounting(stdout) {
+        const records = new Map();
+        const maxRSS = new Map();
+
+        for (const line of stdout.split('\n')) {
+            const fields = line.trim().split('|');
+            if (fields.length < 7) continue;
+
+            const [jobIdField, state, exitCode, elapsed, rss, totalCPU, allocTRES] = fields;
+            const [jobId, step] = jobIdField.split('.');
+
+            if (rss) {
+                const bytes = parseSize(rss);
+                const current = maxRSS.get(jobId);
+                if (!current || bytes > current.bytes) {
+                    maxRSS.set(jobId, { bytes, value: rss });
+                }
+            }
+
+            if (step === undefined) {
+                records.set(jobId, {
+                    state: normalizeState(state),
+                    rawState: state,
+                    exitCode: exitCode,
+                    elapsed: elapsed,
+                    totalCPU: totalCPU,
+                    allocTRES: allocTRES,
+                    maxRSS: null,
+                    updated: new Date().toISOString(),
+                });
+            }
+        }
+
+        for (const [jobId, record] of records) {
+            if (maxRSS.has(jobId)) {
+                record.maxRSS = maxRSS.get(jobId).value;
+            }
+        }
+
+        return records;
+    }
+
+    cancelCommand(jobId) {
+        return `scancel ${quote(jobId)}`;
+    }
+
+    holdCommand(jobId) {
+        return `scontrol hold ${quote(jobId)}`;
+    }
+
+    releaseCommand(jobId) {
+        return `scontrol release ${quote(jobId)}`;
+    }
+
+    requeueCommand(jobId) {
+        return `scontrol requeue ${quote(jobId)}`;
+    }
+
+    timeLimitCommand(jobId, time) {
+        return `scontrol update ${quote('JobId=' + jobId)} ${quote('TimeLimit=' + time)}`;
+    }
+}
+
+/**
+ * Parse a SLURM size ("1234K", "1.5G") into bytes
+ */
+function parseSize(value) {
+    const match = value.match(/^([\d.]+)([KMGTP]?)$/i);
+    if (!match) return 0;
+    const units = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4, P: 1024 ** 5 };
+    return parseFloat(match[1]) * units[match[2].toUpperCase()];
+}
+
+module.exports = SlurmScheduler;
@@ -0,0 +1,104 @@
+/**
+ * Minimal JSON Schema (draft-07) validator
+ *
+ * Supports the keywords used by the schemas shipped in schemas/: type,
+ * required, properties, additionalProperties, propertyNames, minProperties,
+ * items, enum, pattern, minimum and local $ref. The same schema files are
+ * registered with VS Code for autocompletion, so the editor and the
+ * extension agree on what is valid.
+ */
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {object} schema - Root schema
+ * @param {*} value - Parsed JSON / YAML value
+ * @returns {string[]} Error messages prefixed with the path of the value (empty if valid)
+ */
+function validate(schema, value) {
+    const errors = [];
+    check(schema, value, '', schema, errors);
+    return errors;
+}
+
+function check(schema, value, at, root, errors) {
+    if (schema.$ref) {
+        schema = resolveRef(root, schema.$ref);
+    }
+    const where = at || '(root)';
+
+    if (schema.type && !matchesType(schema.type, value)) {
+        errors.push(`${where}: must be ${[].concat(schema.type).join(' or ')}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${where}: "${value}" does not match ${schema.pattern}`);
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        errors.push(`${where}: must be at least ${schema.minimum}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => check(schema.items, item, `${at}[${index}]`, root, errors));
+    }
+
+    if (isObject(value)) {
+        const keys = Object.keys(value);
+        const properties = schema.properties || {};
+
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            errors.push(`${where}: must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${where}: missing required property "${key}"`);
+            }
+        }
+
+        for (const key of keys) {
+            const path = at ? `${at}.${key}` : key;
+            if (schema.propertyNames) {
+                check(schema.propertyNames, key, `${path} (name)`, root, errors);
+            }
+            if (properties[key]) {
+                check(properties[key], value[key], path, root, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${where}: unknown property "${key}"`);
+            } else if (isObject(schema.additionalProperties)) {
+                check(schema.additionalProperties, value[key], path, root, errors);
+            }
+        }
+    }
+}
+
+function matchesType(type, value) {
+    return [].concat(type).some((t) => {
+        switch (t) {
+            case 'object': return isObject(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && isFinite(value);
+            case 'null': return value === null;
+            default: return typeof value === t;
+        }
+    });
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error('Unsupported schema reference: ' + ref);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+module.exports = {
+    validate,
+};
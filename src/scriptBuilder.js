@@ -1,28 +1,48 @@
 const path = require('path');
 const ExecutorFactory = require('./executors/executorFactory');
+const SchedulerFactory = require('./schedulers/schedulerFactory');
+const PartitionCatalog = require('./partitionCatalog');
+const { quote, quoteAll } = require('./shellQuote');
 const { getInstance: getLogger } = require('./logger');
 
+// Seconds before the time limit at which the scheduler warns the batch shell
+// (SLURM sends USR1); schedulers without a warning treat a TERM this close
+// to the limit as a timeout
+const TIMEOUT_WARNING = 60;
+
 /**
- * Builds SLURM batch scripts for job execution
+ * Builds batch scripts for job execution
  * 
  * Responsibilities:
- * - Generate SLURM directives (#SBATCH)
+ * - Generate scheduler directives (#SBATCH, #PBS) through the profile's scheduler
+ * - Map scheduler variables to HPC_JOB_ID / HPC_CPUS
  * - Setup environment (modules, venvs)
  * - Build execution commands
  * - Capture output (stdout/stderr)
- * - Create status.json metadata
+ * - Create status.json metadata, also when the job is cancelled, reaches
+ *   its time limit or runs out of memory
+ *
+ * Names, paths and other job values are passed through shellQuote so that
+ * they are never interpreted by the scheduler or bash.
  */
 class ScriptBuilder {
-    constructor() {
+    /**
+     * @param {SafetyManager} safetyManager - Validates the job and venv paths put in scripts (optional)
+     */
+    constructor(safetyManager = null) {
+        this.safetyManager = safetyManager;
         this.logger = getLogger();
     }
 
     /**
-     * Build complete SLURM script for a job
+     * Build complete batch script for a job
      */
     buildScript(jobConfig, clusterInfo) {
         const fileExt = path.extname(jobConfig.fileName);
-        const jobDir = `${clusterInfo.jobsDir}/${jobConfig.id}`;
+        const scheduler = SchedulerFactory.createScheduler(clusterInfo.scheduler);
+        const jobDir = this.safetyManager
+            ? this.safetyManager.getSafeJobPath(jobConfig.id, clusterInfo.profile)
+            : `${clusterInfo.jobsDir}/${jobConfig.id}`;
         
         this.logger.info('Building script for ' + fileExt);
         
@@ -30,7 +50,8 @@ class ScriptBuilder {
         const executor = ExecutorFactory.createExecutor(
             jobConfig.fileName,
             jobConfig,
-            clusterInfo
+            clusterInfo,
+            this.safetyManager
         );
         
         // Validate configuration
@@ -42,10 +63,11 @@ class ScriptBuilder {
         
         // Build script sections
         const sections = [
-            this._buildHeader(jobConfig, jobDir),
-            this._buildEnvironment(envSetup, jobDir),
+            this._buildHeader(jobConfig, jobDir, scheduler),
+            this._buildStatusHandling(jobConfig, jobDir, scheduler),
+            this._buildEnvironment(envSetup, jobDir, jobConfig),
             this._buildExecution(jobConfig, jobDir, executionCommand),
-            this._buildStatusCapture(jobConfig, jobDir),
+            this._buildStatusCapture(),
             this._buildFooter()
         ];
         
@@ -53,31 +75,21 @@ class ScriptBuilder {
     }
 
     /**
-     * Build SLURM header with directives
+     * Build header with scheduler directives and variables
      */
-    _buildHeader(jobConfig, jobDir) {
-        const { name, partition, gpus, cpus, memory, time } = jobConfig;
-        
+    _buildHeader(jobConfig, jobDir, scheduler) {
         const lines = [];
         lines.push('#!/bin/bash');
-        lines.push(`#SBATCH --job-name=${name}`);
-        lines.push(`#SBATCH --output=${jobDir}/slurm-%j.out`);
-        lines.push(`#SBATCH --error=${jobDir}/slurm-%j.err`);
-        lines.push(`#SBATCH --partition=${partition}`);
-        lines.push('#SBATCH --nodes=1');
-        lines.push('#SBATCH --ntasks=1');
-        lines.push(`#SBATCH --cpus-per-task=${cpus}`);
-        
-        if (gpus > 0) {
-            lines.push(`#SBATCH --gres=gpu:${gpus}`);
+        lines.push(...scheduler.buildDirectives(jobConfig, jobDir, { timeoutWarning: TIMEOUT_WARNING }));
+        lines.push('');
+        lines.push(`# ${scheduler.label} variables`);
+        for (const [name, value] of Object.entries(scheduler.getEnvironment())) {
+            lines.push(`export ${name}=${value}`);
         }
-        
-        lines.push(`#SBATCH --mem=${memory}`);
-        lines.push(`#SBATCH --time=${time}`);
         lines.push('');
         lines.push('echo "=========================================="');
-        lines.push('echo "Job ID: $SLURM_JOB_ID"');
-        lines.push(`echo "Job Name: ${name}"`);
+        lines.push('echo "Job ID: $HPC_JOB_ID"');
+        lines.push(`echo ${quote('Job Name: ' + jobConfig.name)}`);
         lines.push('echo "Running on: $(hostname)"');
         lines.push('echo "Starting at: $(date +%s)"');
         lines.push('echo "=========================================="');
@@ -88,14 +100,31 @@ class ScriptBuilder {
     /**
      * Build environment setup section
      */
-    _buildEnvironment(envSetup, jobDir) {
+    _buildEnvironment(envSetup, jobDir, jobConfig = {}) {
         const lines = [];
         lines.push('# Environment setup');
-        lines.push('export OMP_NUM_THREADS=$SLURM_CPUS_PER_TASK');
+        lines.push('export OMP_NUM_THREADS=$HPC_CPUS');
         lines.push('echo "OMP_NUM_THREADS: $OMP_NUM_THREADS"');
         lines.push('');
+
+        const modules = jobConfig.modules || [];
+        if (modules.length > 0) {
+            for (const module of modules) {
+                lines.push(`module load ${quoteAll(String(module).trim().split(/\s+/))}`);
+            }
+            lines.push('');
+        }
+
+        const env = jobConfig.env || {};
+        if (Object.keys(env).length > 0) {
+            for (const [name, value] of Object.entries(env)) {
+                lines.push(`export ${name}=${quote(value)}`);
+            }
+            lines.push('');
+        }
+
         lines.push(envSetup);
-        lines.push(`cd ${jobDir}`);
+        lines.push(`cd ${quote(jobDir)}`);
         
         return lines.join('\n');
     }
@@ -104,18 +133,31 @@ class ScriptBuilder {
      * Build execution section with output capture
      */
     _buildExecution(jobConfig, jobDir, executionCommand) {
-        const { fileName } = jobConfig;
+        const { fileName, workDir } = jobConfig;
         
         const lines = [];
         lines.push('# Execution');
         lines.push('START_TIME=$(date +%s)');
         lines.push('');
-        lines.push(`echo "Executing: ${fileName}"`);
+        lines.push(`echo ${quote('Executing: ' + (workDir ? workDir + '/' : '') + fileName)}`);
         lines.push('');
-        lines.push('# Capture stdout and stderr separately');
-        lines.push(`(${executionCommand}) > execution_log.txt 2> execution_errors.txt`);
+        lines.push('# Capture stdout and stderr separately; run in the background so that');
+        lines.push('# the signal traps fire while the shell waits');
+        if (workDir) {
+            // Project uploads run from the file's folder; logs stay in the job directory
+            lines.push(`(cd ${quote(workDir)} && ${executionCommand}) > execution_log.txt 2> execution_errors.txt &`);
+        } else {
+            lines.push(`(${executionCommand}) > execution_log.txt 2> execution_errors.txt &`);
+        }
+        lines.push('CHILD_PID=$!');
         lines.push('');
-        lines.push('EXIT_CODE=$?');
+        lines.push('# wait returns early when a trapped signal arrives');
+        lines.push('while true; do');
+        lines.push('    wait "$CHILD_PID"');
+        lines.push('    EXIT_CODE=$?');
+        lines.push('    kill -0 "$CHILD_PID" 2>/dev/null || break');
+        lines.push('done');
+        lines.push('CHILD_PID=""');
         lines.push('END_TIME=$(date +%s)');
         lines.push('DURATION=$((END_TIME - START_TIME))');
         
@@ -123,80 +165,215 @@ class ScriptBuilder {
     }
 
     /**
-     * Build status capture section
+     * Build the status.json writer and the signal traps
+     *
+     * Values known when the script is generated are JSON-encoded here; the
+     * rest (state, times, outputs, node) are encoded on the node with jq,
+     * python3 or, when neither is installed, bash string escaping.
      */
-    _buildStatusCapture(jobConfig, jobDir) {
-        const { id, submitted, partition, gpus, cpus, memory, time, fileName, pythonEnv } = jobConfig;
-        
-        // Build input files list
-        const inputFilesList = (jobConfig.inputFiles || [])
-            .map(f => `"${path.basename(f)}"`)
-            .join(', ');
-        
+    _buildStatusHandling(jobConfig, jobDir, scheduler) {
+        const { id, submitted, partition, gpus, cpus, memory, time, fileName, pythonEnv, workDir } = jobConfig;
+        const json = value => quote(JSON.stringify(value));
+        const warning = scheduler.timeoutSignal;
+        const limit = PartitionCatalog.parseTime(String(time));
+
+        const inputs = (jobConfig.inputFiles || []).map(f => path.basename(f));
+        // Uploaded files are not outputs (top-level project entries included)
+        const uploaded = [fileName].concat(inputs, jobConfig.projectEntries || []);
+
         const lines = [];
-        lines.push('# Capture metadata');
-        lines.push(`OUTPUT_FILES=$(ls -1 ${jobDir} 2>/dev/null | grep -v -e "job.sbatch" -e "slurm-" -e "status.json" -e "execution_" -e "${fileName}" $(for f in ${(jobConfig.inputFiles || []).map(f => path.basename(f)).join(' ')}; do echo "-e \\"$f\\""; done) || echo "")`);
+        lines.push('# Job status (status.json), also written when the job is stopped');
+        lines.push(`STATUS_FILE=${quote(jobDir + '/status.json')}`);
+        lines.push(`UPLOADED_FILES=(${quoteAll(uploaded)})`);
+        lines.push('START_TIME=$(date +%s)');
+        lines.push('EXIT_CODE=""');
+        lines.push('CHILD_PID=""');
+        lines.push('JOB_SIGNAL=""');
         lines.push('');
-        lines.push('if [ $EXIT_CODE -eq 0 ]; then');
-        lines.push('    JOB_STATUS="COMPLETED"');
+        lines.push('if jq -n \'$ARGS.positional\' --args >/dev/null 2>&1; then');
+        lines.push('    JSON_TOOL=jq');
+        lines.push('elif command -v python3 >/dev/null 2>&1; then');
+        lines.push('    JSON_TOOL=python3');
         lines.push('else');
-        lines.push('    JOB_STATUS="FAILED"');
+        lines.push('    JSON_TOOL=printf');
         lines.push('fi');
         lines.push('');
-        lines.push('HOSTNAME=$(hostname)');
+        lines.push('json_escape() {');
+        lines.push('    local s=$1');
+        lines.push('    s=${s//\\\\/\\\\\\\\}');
+        lines.push('    s=${s//\\"/\\\\\\"}');
+        lines.push("    s=${s//$'\\n'/\\\\n}");
+        lines.push("    s=${s//$'\\r'/\\\\r}");
+        lines.push("    s=${s//$'\\t'/\\\\t}");
+        lines.push("    s=${s//[$'\\001'-$'\\037']/}");
+        lines.push('    printf \'%s\' "$s"');
+        lines.push('}');
         lines.push('');
-        lines.push('# Format timestamps');
-        lines.push('if date --version >/dev/null 2>&1; then');
-        lines.push('    START_ISO=$(date -d @$START_TIME -Iseconds)');
-        lines.push('    END_ISO=$(date -d @$END_TIME -Iseconds)');
-        lines.push('else');
-        lines.push('    START_ISO=$(date -u -r $START_TIME +"%Y-%m-%dT%H:%M:%S+00:00")');
-        lines.push('    END_ISO=$(date -u -r $END_TIME +"%Y-%m-%dT%H:%M:%S+00:00")');
-        lines.push('fi');
+        lines.push('# JSON array of the arguments');
+        lines.push('json_array() {');
+        lines.push('    case $JSON_TOOL in');
+        lines.push('        # jq reads arguments starting with "-" as options, even after --args');
+        lines.push('        jq) jq -c -n \'$ARGS.positional | map(.[1:])\' --args "${@/#/x}" ;;');
+        lines.push('        python3) python3 -c \'import json, sys; print(json.dumps(sys.argv[1:]))\' "$@" ;;');
+        lines.push('        *)');
+        lines.push('            local item separator=""');
+        lines.push('            printf \'[\'');
+        lines.push('            for item in "$@"; do');
+        lines.push('                printf \'%s"%s"\' "$separator" "$(json_escape "$item")"');
+        lines.push('                separator=", "');
+        lines.push('            done');
+        lines.push('            printf \']\\n\' ;;');
+        lines.push('    esac');
+        lines.push('}');
+        lines.push('');
+        lines.push('json_string() {');
+        lines.push('    local array');
+        lines.push('    array=$(json_array "$1")');
+        lines.push('    array=${array#[}');
+        lines.push('    printf \'%s\' "${array%]}"');
+        lines.push('}');
+        lines.push('');
+        lines.push('iso_time() {');
+        lines.push('    date -d "@$1" -Iseconds 2>/dev/null || date -u -r "$1" +"%Y-%m-%dT%H:%M:%S+00:00"');
+        lines.push('}');
         lines.push('');
-        lines.push('# Format output files as JSON array (without jq)');
-        lines.push('OUTPUT_JSON="["');
-        lines.push('FIRST=true');
-        lines.push('while IFS= read -r file; do');
-        lines.push('    if [ -n "$file" ]; then');
-        lines.push('        if [ "$FIRST" = true ]; then');
-        lines.push('            OUTPUT_JSON="${OUTPUT_JSON}\\"${file}\\""');
-        lines.push('            FIRST=false');
-        lines.push('        else');
-        lines.push('            OUTPUT_JSON="${OUTPUT_JSON}, \\"${file}\\""');
-        lines.push('        fi');
+        lines.push('# OOM kills counted by the memory cgroup of this job (v2, then v1)');
+        lines.push('oom_kill_count() {');
+        lines.push('    local cgroup file');
+        lines.push('    cgroup=$(sed -n \'s/^0:://p\' /proc/self/cgroup 2>/dev/null)');
+        lines.push('    file=/sys/fs/cgroup$cgroup/memory.events');
+        lines.push('    if [ -z "$cgroup" ] || [ ! -r "$file" ]; then');
+        lines.push('        cgroup=$(sed -n \'s/^[0-9]*:[^:]*memory[^:]*://p\' /proc/self/cgroup 2>/dev/null)');
+        lines.push('        file=/sys/fs/cgroup/memory$cgroup/memory.oom_control');
         lines.push('    fi');
-        lines.push('done <<< "$OUTPUT_FILES"');
-        lines.push('OUTPUT_JSON="${OUTPUT_JSON}]"');
-        lines.push('');
-        lines.push('# Write status.json');
-        lines.push(`cat > ${jobDir}/status.json << EOFSTATUS`);
-        lines.push('{');
-        lines.push(`  "jobId": "${id}",`);
-        lines.push('  "slurmId": "$SLURM_JOB_ID",');
-        lines.push('  "status": "$JOB_STATUS",');
-        lines.push(`  "submitted": "${submitted}",`);
-        lines.push('  "started": "$START_ISO",');
-        lines.push('  "completed": "$END_ISO",');
-        lines.push('  "duration": $DURATION,');
-        lines.push('  "exitCode": $EXIT_CODE,');
-        lines.push('  "resources": {');
-        lines.push(`    "partition": "${partition}",`);
-        lines.push(`    "gpus": ${gpus},`);
-        lines.push(`    "cpus": ${cpus},`);
-        lines.push(`    "memory": "${memory}",`);
-        lines.push(`    "timeLimit": "${time}"`);
-        lines.push('  },');
-        lines.push('  "files": {');
-        lines.push(`    "script": "${fileName}",`);
-        lines.push(`    "inputs": [${inputFilesList}],`);
-        lines.push('    "outputs": $OUTPUT_JSON');
-        lines.push('  },');
-        lines.push(`  "pythonEnv": "${pythonEnv || 'N/A'}",`);
-        lines.push('  "node": "$HOSTNAME",');
-        lines.push('  "errors": []');
+        lines.push('    awk \'$1 == "oom_kill" { print $2 }\' "$file" 2>/dev/null');
+        lines.push('}');
+        lines.push('OOM_KILLS_AT_START=$(oom_kill_count)');
+        lines.push('');
+        lines.push('# Heuristic: the cgroup counted an OOM kill, the program was killed with');
+        lines.push('# SIGKILL (the scheduler itself sends TERM first) or its errors mention memory');
+        lines.push('out_of_memory() {');
+        lines.push('    local kills');
+        lines.push('    kills=$(oom_kill_count)');
+        lines.push('    [ "${kills:-0}" -gt "${OOM_KILLS_AT_START:-0}" ] && return 0');
+        lines.push('    [ "$EXIT_CODE" = 137 ] && return 0');
+        lines.push('    grep -qiE \'out of memory|oom[-_ ]?kill|MemoryError|std::bad_alloc|Cannot allocate memory\' execution_errors.txt 2>/dev/null');
+        lines.push('}');
+        lines.push('');
+        lines.push('# Files in the job directory that were not uploaded or written by this script');
+        lines.push('collect_outputs() {');
+        lines.push('    local file name uploaded');
+        lines.push('    OUTPUT_FILES=()');
+        lines.push('    for file in "${STATUS_FILE%/*}"/*; do');
+        lines.push('        [ -e "$file" ] || continue');
+        lines.push('        name=${file##*/}');
+        lines.push('        case $name in');
+        lines.push(`            ${scheduler.scriptFile}|${scheduler.logPattern}|status.json*|execution_*) continue ;;`);
+        lines.push('        esac');
+        lines.push('        for uploaded in "${UPLOADED_FILES[@]}"; do');
+        lines.push('            [ "$name" = "$uploaded" ] && continue 2');
+        lines.push('        done');
+        lines.push('        OUTPUT_FILES+=("$name")');
+        lines.push('    done');
+        lines.push('}');
+        lines.push('');
+        lines.push('# write_status STATE [ERROR]');
+        lines.push('write_status() {');
+        lines.push('    local end_time errors=()');
+        lines.push('    end_time=$(date +%s)');
+        lines.push('    [ -n "$2" ] && errors=("$2")');
+        lines.push('    collect_outputs');
+        lines.push('    {');
+        lines.push('        printf \'{\\n\'');
+        lines.push(`        printf '  "jobId": %s,\\n' ${json(id)}`);
+        lines.push('        printf \'  "slurmId": %s,\\n\' "$(json_string "$HPC_JOB_ID")"');
+        lines.push('        printf \'  "status": %s,\\n\' "$(json_string "$1")"');
+        lines.push(`        printf '  "submitted": %s,\\n' ${json(submitted)}`);
+        lines.push('        printf \'  "started": %s,\\n\' "$(json_string "$(iso_time "$START_TIME")")"');
+        lines.push('        printf \'  "completed": %s,\\n\' "$(json_string "$(iso_time "$end_time")")"');
+        lines.push('        printf \'  "duration": %d,\\n\' "$((end_time - START_TIME))"');
+        lines.push('        printf \'  "exitCode": %s,\\n\' "${EXIT_CODE:-null}"');
+        lines.push('        printf \'  "resources": {\\n\'');
+        lines.push(`        printf '    "partition": %s,\\n' ${json(String(partition))}`);
+        lines.push(`        printf '    "gpus": %d,\\n' ${parseInt(gpus) || 0}`);
+        lines.push(`        printf '    "cpus": %d,\\n' ${parseInt(cpus) || 1}`);
+        lines.push(`        printf '    "memory": %s,\\n' ${json(String(memory))}`);
+        lines.push(`        printf '    "timeLimit": %s\\n' ${json(String(time))}`);
+        lines.push('        printf \'  },\\n\'');
+        lines.push('        printf \'  "files": {\\n\'');
+        lines.push(`        printf '    "script": %s,\\n' ${json((workDir ? workDir + '/' : '') + fileName)}`);
+        lines.push(`        printf '    "inputs": %s,\\n' ${json(inputs)}`);
+        lines.push('        printf \'    "outputs": %s\\n\' "$(json_array "${OUTPUT_FILES[@]}")"');
+        lines.push('        printf \'  },\\n\'');
+        lines.push(`        printf '  "pythonEnv": %s,\\n' ${json(pythonEnv || 'N/A')}`);
+        lines.push('        printf \'  "node": %s,\\n\' "$(json_string "$(hostname)")"');
+        lines.push('        printf \'  "errors": %s\\n\' "$(json_array "${errors[@]}")"');
+        lines.push('        printf \'}\\n\'');
+        lines.push('    } > "$STATUS_FILE.tmp" && mv -f "$STATUS_FILE.tmp" "$STATUS_FILE"');
         lines.push('}');
-        lines.push('EOFSTATUS');
+        lines.push('');
+        if (warning) {
+            lines.push(`# ${warning}: ${TIMEOUT_WARNING}s left before the time limit (the job may still finish)`);
+            lines.push('on_timeout() {');
+            lines.push('    JOB_SIGNAL=TIMEOUT');
+            lines.push('    echo "Time limit reached, recording TIMEOUT"');
+            lines.push('    write_status TIMEOUT "Time limit reached"');
+            lines.push('}');
+            lines.push('');
+            lines.push(`# TERM: cancellation, or the time limit itself after ${warning}`);
+        } else {
+            lines.push(`TIME_LIMIT=${Number.isFinite(limit) ? limit : 0}`);
+            lines.push('');
+            lines.push('# TERM: cancellation, or the time limit itself when it comes late in the job');
+        }
+        lines.push('on_terminate() {');
+        lines.push('    trap - TERM');
+        lines.push('    if [ "$JOB_SIGNAL" != TIMEOUT ]; then');
+        lines.push('        JOB_SIGNAL=CANCELLED');
+        if (!warning) {
+            lines.push(`        if [ "$TIME_LIMIT" -gt 0 ] && [ "$SECONDS" -ge $((TIME_LIMIT - ${TIMEOUT_WARNING})) ]; then`);
+            lines.push('            JOB_SIGNAL=TIMEOUT');
+            lines.push('        fi');
+        }
+        lines.push('    fi');
+        lines.push('    if [ -n "$CHILD_PID" ]; then');
+        lines.push('        kill -TERM "$CHILD_PID" 2>/dev/null');
+        lines.push('        wait "$CHILD_PID"');
+        lines.push('        EXIT_CODE=$?');
+        lines.push('    fi');
+        lines.push('    echo "Job stopped by SIGTERM, recording $JOB_SIGNAL"');
+        lines.push('    if [ "$JOB_SIGNAL" = TIMEOUT ]; then');
+        lines.push('        write_status TIMEOUT "Time limit reached"');
+        lines.push('    else');
+        lines.push('        write_status CANCELLED "Cancelled"');
+        lines.push('    fi');
+        lines.push('    exit 143');
+        lines.push('}');
+        lines.push('');
+        if (warning) {
+            lines.push(`trap on_timeout ${warning}`);
+        }
+        lines.push('trap on_terminate TERM');
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Build status capture section
+     */
+    _buildStatusCapture() {
+        const lines = [];
+        lines.push('# Capture metadata');
+        lines.push('ERROR_MESSAGE=""');
+        lines.push('if [ $EXIT_CODE -eq 0 ]; then');
+        lines.push('    JOB_STATUS="COMPLETED"');
+        lines.push('elif out_of_memory; then');
+        lines.push('    JOB_STATUS="OUT_OF_MEMORY"');
+        lines.push('    ERROR_MESSAGE="Out of memory"');
+        lines.push('else');
+        lines.push('    JOB_STATUS="FAILED"');
+        lines.push('fi');
+        lines.push('write_status "$JOB_STATUS" "$ERROR_MESSAGE"');
         
         return lines.join('\n');
     }
@@ -210,7 +387,7 @@ class ScriptBuilder {
         lines.push('if [ $EXIT_CODE -eq 0 ]; then');
         lines.push('    echo "Job completed successfully"');
         lines.push('else');
-        lines.push('    echo "Job failed with exit code $EXIT_CODE"');
+        lines.push('    echo "Job failed with exit code $EXIT_CODE ($JOB_STATUS)"');
         lines.push('fi');
         lines.push('');
         lines.push('echo "=========================================="');
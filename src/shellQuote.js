@@ -0,0 +1,81 @@
+/**
+ * Quoting for remote shell commands and generated batch scripts
+ *
+ * Every file name, path or user-supplied value that ends up in a command
+ * line or in a job script goes through one of these helpers, so names with
+ * spaces, quotes, `$()`, backticks or newlines are passed as data.
+ */
+
+// Characters that never need quoting in a POSIX shell word
+const SAFE_WORD = /^[\w@%+=:,./-]+$/;
+
+/**
+ * Quote a value as a single shell word
+ *
+ * Plain words are returned as they are; anything else is wrapped in
+ * single quotes, with embedded single quotes written as '\''.
+ *
+ * @example quote("it's $(here)") === "'it'\\''s $(here)'"
+ */
+function quote(value) {
+    const text = String(value);
+    if (SAFE_WORD.test(text)) return text;
+    return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Quote several values as separate shell words
+ */
+function quoteAll(values) {
+    return values.map(quote).join(' ');
+}
+
+/**
+ * Quote a relative file name as an argument that is never read as an option
+ *
+ * Names starting with "-" get a "./" prefix: `python -rf.py` would pass
+ * the name to python as flags.
+ */
+function quotePath(value) {
+    const text = String(value);
+    return quote(text.startsWith('-') ? './' + text : text);
+}
+
+/**
+ * Quote several relative file names (see quotePath)
+ */
+function quotePaths(values) {
+    return values.map(quotePath).join(' ');
+}
+
+/**
+ * Remove line breaks and other control characters
+ *
+ * For text placed on a single line of a generated script (comments and
+ * directives), where a newline would start a new command.
+ */
+function singleLine(value) {
+    return String(value).replace(/[\x00-\x1f\x7f]+/g, ' ').trim();
+}
+
+/**
+ * Value of a scheduler directive option (#SBATCH, #PBS)
+ *
+ * sbatch and qsub split directive lines on whitespace and only understand
+ * double quotes, which cannot be escaped: double quotes and control
+ * characters are dropped and values containing spaces are wrapped in
+ * double quotes.
+ */
+function directiveValue(value) {
+    const text = singleLine(value).replace(/"/g, '');
+    return /\s/.test(text) ? `"${text}"` : text;
+}
+
+module.exports = {
+    quote,
+    quoteAll,
+    quotePath,
+    quotePaths,
+    singleLine,
+    directiveValue,
+};
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getInstance: getLogger } = require('./logger');
+
+// Keywords that accumulate values instead of "first value wins"
+const MULTI_VALUE_KEYS = ['identityfile', 'certificatefile', 'localforward', 'remoteforward', 'sendenv'];
+
+const MAX_INCLUDE_DEPTH = 16;
+
+/**
+ * Minimal OpenSSH client config (~/.ssh/config) parser
+ *
+ * Supports:
+ * - Host blocks with wildcards (*, ?) and negated patterns (!pattern)
+ * - Match blocks with all, host, originalhost and user criteria
+ * - Include directives (relative to ~/.ssh, wildcards in the file name)
+ * - "First obtained value wins" semantics, like OpenSSH
+ * - Token expansion (%h, %p, %r, %u, %d, %%) and ~ in file paths
+ *
+ * Resolved options are returned with lowercase keywords,
+ * the same way `ssh -G <host>` prints them.
+ */
+class SSHConfigParser {
+    constructor(configPath = null) {
+        this.homeDir = process.env.HOME || os.homedir();
+        this.sshDir = path.join(this.homeDir, '.ssh');
+        this.configPath = configPath || path.join(this.sshDir, 'config');
+        this.logger = getLogger();
+    }
+
+    /**
+     * Resolve the options that apply to a host alias
+     *
+     * @param {string} host - Host alias or hostname (e.g. the clusterHost setting)
+     * @param {object} context - Optional { user } used by "Match user"
+     * @returns {object} Options keyed by lowercase keyword (hostname, user, port, identityfile, ...)
+     */
+    resolve(host, context = {}) {
+        const options = {};
+
+        if (!fs.existsSync(this.configPath)) {
+            this.logger.debug('No SSH config found at ' + this.configPath);
+            return options;
+        }
+
+        let blocks;
+        try {
+            blocks = this.parse(this.configPath);
+        } catch (error) {
+            this.logger.warn('Could not parse SSH config: ' + error.message);
+            return options;
+        }
+
+        for (const block of blocks) {
+            if (!this._blockMatches(block.criteria, host, options, context)) {
+                continue;
+            }
+
+            for (const [key, value] of block.options) {
+                if (MULTI_VALUE_KEYS.includes(key)) {
+                    options[key] = (options[key] || []).concat(value);
+                } else if (options[key] === undefined) {
+                    options[key] = value;
+                }
+            }
+        }
+
+        return this._expandTokens(options, host, context);
+    }
+
+    /**
+     * Parse a config file into an ordered list of blocks
+     *
+     * Each block is { criteria, options } where criteria is null for
+     * global options, { type: 'host', patterns } or { type: 'match', conditions }.
+     * Included files are expanded in place.
+     */
+    parse(filePath, criteria = null, blocks = [], depth = 0) {
+        if (depth > MAX_INCLUDE_DEPTH) {
+            throw new Error('Include nesting too deep at ' + filePath);
+        }
+
+        const content = fs.readFileSync(filePath, 'utf8');
+        let current = { criteria, options: [] };
+        blocks.push(current);
+
+        for (const rawLine of content.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) continue;
+
+            const match = line.match(/^(\S+?)(?:\s*=\s*|\s+)(.*)$/);
+            if (!match) continue;
+
+            const key = match[1].toLowerCase();
+            const args = this._splitArgs(match[2]);
+            if (args.length === 0) continue;
+
+            if (key === 'host') {
+                current = { criteria: { type: 'host', patterns: args }, options: [] };
+                blocks.push(current);
+            } else if (key === 'match') {
+                current = { criteria: { type: 'match', conditions: this._parseMatch(args) }, options: [] };
+                blocks.push(current);
+            } else if (key === 'include') {
+                for (const includePath of this._expandInclude(args)) {
+                    this.parse(includePath, current.criteria, blocks, depth + 1);
+                }
+                // Lines after the Include still belong to the enclosing block
+                current = { criteria: current.criteria, options: [] };
+                blocks.push(current);
+            } else {
+                const value = MULTI_VALUE_KEYS.includes(key) ? args : args.join(' ');
+                current.options.push([key, value]);
+            }
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Split a config value into arguments, honouring double quotes
+     */
+    _splitArgs(value) {
+        const args = [];
+        const regex = /"([^"]*)"|(\S+)/g;
+        let match;
+        while ((match = regex.exec(value)) !== null) {
+            args.push(match[1] !== undefined ? match[1] : match[2]);
+        }
+        return args;
+    }
+
+    /**
+     * Parse Match arguments into [{ negate, criterion, value }]
+     */
+    _parseMatch(args) {
+        const conditions = [];
+        for (let i = 0; i < args.length; i++) {
+            let criterion = args[i].toLowerCase();
+            const negate = criterion.startsWith('!');
+            if (negate) criterion = criterion.slice(1);
+
+            if (criterion === 'all' || criterion === 'canonical' || criterion === 'final') {
+                conditions.push({ negate, criterion, value: null });
+            } else {
+                conditions.push({ negate, criterion, value: args[i + 1] || '' });
+                i++;
+            }
+        }
+        return conditions;
+    }
+
+    /**
+     * Expand Include arguments to a list of existing files
+     *
+     * Only the file name part may contain wildcards.
+     */
+    _expandInclude(args) {
+        const files = [];
+
+        for (const arg of args) {
+            let includePath = this._expandHome(arg);
+            if (!path.isAbsolute(includePath)) {
+                includePath = path.join(this.sshDir, includePath);
+            }
+
+            const dir = path.dirname(includePath);
+            const base = path.basename(includePath);
+
+            if (!/[*?]/.test(base)) {
+                if (fs.existsSync(includePath)) files.push(includePath);
+                continue;
+            }
+
+            try {
+                fs.readdirSync(dir)
+                    .filter(name => this._matchPattern(name, base, false))
+                    .sort()
+                    .forEach(name => files.push(path.join(dir, name)));
+            } catch (error) {
+                this.logger.debug('Could not read include directory ' + dir + ': ' + error.message);
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Check whether a block applies to the host being resolved
+     */
+    _blockMatches(criteria, host, options, context) {
+        if (!criteria) return true;
+
+        if (criteria.type === 'host') {
+            return this._matchPatternList(host, criteria.patterns);
+        }
+
+        // Match: all conditions must hold
+        return criteria.conditions.every(({ negate, criterion, value }) => {
+            let result;
+            switch (criterion) {
+                case 'all':
+                    result = true;
+                    break;
+                case 'host':
+                    // Matched against the target after HostName substitution
+                    result = this._matchPatternList(options.hostname || host, value.split(','));
+                    break;
+                case 'originalhost':
+                    result = this._matchPatternList(host, value.split(','));
+                    break;
+                case 'user':
+                    result = this._matchPatternList(options.user || context.user || os.userInfo().username, value.split(','));
+                    break;
+                case 'localuser':
+                    result = this._matchPatternList(os.userInfo().username, value.split(','));
+                    break;
+                default:
+                    // exec, canonical, final, ... are not supported
+                    this.logger.debug('Unsupported Match criterion: ' + criterion);
+                    result = false;
+            }
+            return negate ? !result : result;
+        });
+    }
+
+    /**
+     * Match a name against a pattern list (any positive match, no negated match)
+     */
+    _matchPatternList(name, patterns) {
+        let matched = false;
+        for (const pattern of patterns) {
+            if (pattern.startsWith('!')) {
+                if (this._matchPattern(name, pattern.slice(1), true)) return false;
+            } else if (this._matchPattern(name, pattern, true)) {
+                matched = true;
+            }
+        }
+        return matched;
+    }
+
+    /**
+     * Match a name against a single wildcard pattern (* and ?)
+     */
+    _matchPattern(name, pattern, ignoreCase) {
+        const regex = '^' + pattern
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.') + '$';
+        return new RegExp(regex, ignoreCase ? 'i' : '').test(name);
+    }
+
+    /**
+     * Expand %-tokens and ~ in the options that support them
+     */
+    _expandTokens(options, host, context) {
+        const localUser = os.userInfo().username;
+
+        if (options.hostname) {
+            options.hostname = options.hostname.replace(/%h/g, host).replace(/%%/g, '%');
+        }
+
+        const tokens = {
+            '%h': options.hostname || host,
+            '%n': host,
+            '%p': options.port || '22',
+            '%r': options.user || context.user || localUser,
+            '%u': localUser,
+            '%d': this.homeDir,
+            '%%': '%',
+        };
+        const expand = (value) => this._expandHome(value.replace(/%[hnprud%]/g, token => tokens[token]));
+
+        if (options.identityfile) {
+            options.identityfile = options.identityfile.map(expand);
+        }
+        if (options.certificatefile) {
+            options.certificatefile = options.certificatefile.map(expand);
+        }
+        if (options.userknownhostsfile) {
+            options.userknownhostsfile = options.userknownhostsfile.split(/\s+/).map(expand).join(' ');
+        }
+        if (options.identityagent) {
+            options.identityagent = expand(options.identityagent);
+        }
+
+        return options;
+    }
+
+    _expandHome(value) {
+        if (value === '~' || value.startsWith('~/')) {
+            return path.join(this.homeDir, value.slice(1));
+        }
+        return value;
+    }
+}
+
+module.exports = SSHConfigParser;
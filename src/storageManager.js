@@ -18,8 +18,11 @@ class StorageManager {
     /**
      * Initialize storage location
      * Returns the directory where jobs.json is stored
+     *
+     * @param {object} options - { interactive: false } returns null instead of
+     *                           asking for a folder when no workspace is open
      */
-    async initialize() {
+    async initialize(options = {}) {
         if (this.jobsFile) {
             console.log('[StorageManager] Already initialized: ' + this.storageDir);
             return this.storageDir;
@@ -35,6 +38,9 @@ class StorageManager {
             const workspaceRoot = workspaceFolders[0].uri.fsPath;
             this.storageDir = path.join(workspaceRoot, '.vscode', '.hpc-connector');
             console.log('[StorageManager] Using workspace storage: ' + this.storageDir);
+        } else if (options.interactive === false) {
+            console.log('[StorageManager] No workspace open, not asking for a folder');
+            return null;
         } else {
             console.log('[StorageManager] No workspace open, asking user...');
             // No workspace open - ask user where to store data
@@ -0,0 +1,520 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ExecutorFactory = require('./executors/executorFactory');
+const ScriptBuilder = require('./scriptBuilder');
+const PartitionCatalog = require('./partitionCatalog');
+const DirectiveParser = require('./directiveParser');
+const { validateFields } = require('./jobValidation');
+const { getInstance: getLogger } = require('./logger');
+
+const STATE_PREFIX = 'hpc-connector.submission:';
+const COMMAND_FIELDS = ['compileCommand', 'cmakeConfigureCommand', 'cmakeBuildCommand', 'executeCommand'];
+
+/**
+ * Webview form for submitting a job
+ *
+ * Shows every submission field at once:
+ * - Profile, job name, partition (live from sinfo when available)
+ * - Resources (GPUs, CPUs, memory, time limit)
+ * - Python environment or compile/CMake/execute commands, depending on the file type
+ * - Input files
+ *
+ * Fields are validated by the extension host with the shared rules of
+ * jobValidation.js, which also renders a preview of the batch script.
+ * The last values are remembered per file in workspace state, so closing
+ * the form loses nothing. Directives in the file header (#SBATCH, hpc:)
+ * take precedence over remembered values.
+ */
+class SubmissionForm {
+    /**
+     * @param {vscode.ExtensionContext} context
+     * @param {object} options - { filePath, configManager, clusterManager }
+     */
+    constructor(context, options) {
+        this.context = context;
+        this.filePath = options.filePath;
+        this.fileName = path.basename(options.filePath);
+        this.config = options.configManager;
+        this.clusterManager = options.clusterManager;
+        this.scriptBuilder = new ScriptBuilder();
+        this.logger = getLogger();
+
+        this.uiConfig = ExecutorFactory.getUIConfigForFile(this.filePath);
+        this.directives = new DirectiveParser().parseFile(this.filePath);
+        this.partitions = [];
+        this.projectSummary = null;
+        this.values = null;
+        this.panel = null;
+        this.resolve = null;
+    }
+
+    /**
+     * Open the form
+     *
+     * @returns {Promise<object|null>} { inputFiles, jobConfig, reviewScript }, or null if cancelled
+     */
+    static show(context, options) {
+        return new SubmissionForm(context, options).open();
+    }
+
+    /**
+     * Build a submission from defaults and file directives without showing the form
+     *
+     * @returns {object|null} { inputFiles, jobConfig, reviewScript }, or null if
+     *                        the file has no directives or the values are invalid
+     */
+    static fromDirectives(context, options) {
+        const form = new SubmissionForm(context, options);
+        if (form.directives.count === 0) return null;
+
+        form.values = form._initialValues();
+        const errors = form._validate();
+        if (Object.keys(errors).length > 0) {
+            form.logger.info('Directives incomplete, showing the submission form: ' + Object.values(errors).join('; '));
+            return null;
+        }
+
+        return {
+            inputFiles: form.values.inputFiles.slice(),
+            jobConfig: form._buildJobConfig(),
+            reviewScript: Boolean(form.values.reviewScript),
+        };
+    }
+
+    open() {
+        this.values = this._initialValues();
+
+        this.panel = vscode.window.createWebviewPanel(
+            'hpcSubmissionForm',
+            'Submit: ' + this.fileName,
+            vscode.ViewColumn.Active,
+            {
+                enableScripts: true,
+                retainContextWhenHidden: true,
+                localResourceRoots: [vscode.Uri.joinPath(this.context.extensionUri, 'media')],
+            }
+        );
+        this.panel.webview.html = this._getHtml(this.panel.webview);
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.panel.onDidDispose(() => this._finish(null));
+            this.panel.webview.onDidReceiveMessage((message) => {
+                this._onMessage(message).catch((error) => {
+                    this.logger.error('Submission form error: ' + error.message);
+                    vscode.window.showErrorMessage('Submission form error: ' + error.message);
+                });
+            });
+        });
+    }
+
+    async _onMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this._post('init', this._initPayload());
+                this._sendState();
+                await this._loadPartitions(false);
+                break;
+
+            case 'change': {
+                const profileChanged = message.values.profile !== this.values.profile;
+                const uploadChanged = message.values.upload !== this.values.upload;
+                this._update(message.values);
+                if (uploadChanged) {
+                    this.projectSummary = null;
+                }
+                this._sendState();
+                if (profileChanged) {
+                    await this._loadPartitions(false);
+                }
+                break;
+            }
+
+            case 'refreshPartitions':
+                await this._loadPartitions(true);
+                break;
+
+            case 'addFiles': {
+                const uris = await vscode.window.showOpenDialog({
+                    canSelectMany: true,
+                    canSelectFiles: true,
+                    canSelectFolders: false,
+                    openLabel: 'Add Input Files',
+                    title: 'Select files to copy to remote job workspace',
+                    defaultUri: vscode.Uri.file(path.dirname(this.filePath)),
+                });
+                if (uris && uris.length > 0) {
+                    const added = uris.map(uri => uri.fsPath).filter(f => !this.values.inputFiles.includes(f));
+                    this._update({ inputFiles: this.values.inputFiles.concat(added) });
+                    this._post('files', { inputFiles: this.values.inputFiles });
+                    this._sendState();
+                }
+                break;
+            }
+
+            case 'chooseFolder': {
+                const uris = await vscode.window.showOpenDialog({
+                    canSelectMany: false,
+                    canSelectFiles: false,
+                    canSelectFolders: true,
+                    openLabel: 'Upload This Folder',
+                    title: 'Select the folder to upload (must contain ' + this.fileName + ')',
+                    defaultUri: vscode.Uri.file(this.values.projectDir || path.dirname(this.filePath)),
+                });
+                if (uris && uris.length > 0) {
+                    this._update({ upload: 'folder', projectDir: uris[0].fsPath });
+                    this._post('upload', { upload: this.values.upload });
+                    this._sendState();
+                }
+                break;
+            }
+
+            case 'removeFile':
+                this._update({ inputFiles: this.values.inputFiles.filter((_, i) => i !== message.index) });
+                this._post('files', { inputFiles: this.values.inputFiles });
+                this._sendState();
+                break;
+
+            case 'submit': {
+                this._update(message.values);
+                const errors = this._validate();
+                if (Object.keys(errors).length > 0) {
+                    this._sendState();
+                    return;
+                }
+                this._finish({
+                    inputFiles: this.values.inputFiles.slice(),
+                    jobConfig: this._buildJobConfig(),
+                    reviewScript: Boolean(this.values.reviewScript),
+                });
+                break;
+            }
+
+            case 'cancel':
+                this._finish(null);
+                break;
+        }
+    }
+
+    _initPayload() {
+        return {
+            fileName: this.fileName,
+            values: this.values,
+            uiConfig: this.uiConfig,
+            profiles: this.config.getProfileNames(),
+            directives: {
+                count: this.directives.count,
+                fields: Object.keys(this.directives.config),
+                extraDirectives: this.directives.extraDirectives,
+                ignored: this.directives.ignored,
+            },
+            workspaceFolder: this._workspaceFolder(),
+        };
+    }
+
+    _finish(result) {
+        if (!this.resolve) return;
+        const resolve = this.resolve;
+        this.resolve = null;
+        resolve(result);
+        if (this.panel) {
+            this.panel.dispose();
+            this.panel = null;
+        }
+    }
+
+    /**
+     * Merge changed values and remember them for this file
+     */
+    _update(values) {
+        Object.assign(this.values, values);
+        this.context.workspaceState.update(STATE_PREFIX + this.filePath, this.values);
+    }
+
+    _initialValues() {
+        const remembered = this.context.workspaceState.get(STATE_PREFIX + this.filePath) || {};
+        const profiles = this.config.getProfileNames();
+        const profile = profiles.includes(remembered.profile) ? remembered.profile : this.config.getActiveProfileName();
+        const defaults = this.config.getDefaultJobParams(profile);
+
+        const values = Object.assign(
+            {
+                profile,
+                name: 'job-' + new Date().toISOString().slice(0, 16).replace(/[:-]/g, ''),
+                partition: defaults.partition,
+                gpus: String(defaults.gpus),
+                cpus: String(defaults.cpus),
+                memory: defaults.memory,
+                time: defaults.time,
+                pythonEnv: defaults.pythonEnv,
+                inputFiles: [],
+                // CMake needs the sources next to CMakeLists.txt
+                upload: this.uiConfig.showCMakeCommands ? 'folder' : 'file',
+                projectDir: path.dirname(this.filePath),
+                reviewScript: Boolean(this.config.get('reviewScript', false)),
+            },
+            ExecutorFactory.getDefaultCommandsForFile(this.filePath),
+            remembered,
+            this._directiveValues(),
+            { profile }
+        );
+
+        // Input files that were deleted since the last submission are dropped
+        values.inputFiles = (values.inputFiles || []).filter(f => fs.existsSync(f));
+        if (!fs.existsSync(values.projectDir)) values.projectDir = path.dirname(this.filePath);
+        if (values.upload === 'workspace' && !this._workspaceFolder()) values.upload = 'folder';
+        return values;
+    }
+
+    /**
+     * Form values set by directives in the file header
+     */
+    _directiveValues() {
+        const values = {};
+        for (const [field, value] of Object.entries(this.directives.config)) {
+            if (['name', 'partition', 'gpus', 'cpus', 'memory', 'time', 'pythonEnv'].includes(field)) {
+                values[field] = String(value);
+            }
+        }
+        return values;
+    }
+
+    async _loadPartitions(refresh) {
+        const profile = this.values.profile;
+        const catalog = this.config.getPartitionCatalog(profile).map(p => ({
+            name: p.name,
+            description: p.description || '',
+            limits: null,
+        }));
+
+        this.partitions = catalog;
+        this._post('partitions', { partitions: this.partitions, live: false, loading: true });
+
+        const live = await this.clusterManager.getPartitions(profile, { refresh });
+        if (profile !== this.values.profile || !this.panel) return;
+
+        if (live.length > 0) {
+            this.partitions = live.map(p => ({
+                name: p.name,
+                description: PartitionCatalog.describe(p) + ' · ' + PartitionCatalog.describeLimits(p),
+                limits: p,
+            }));
+        }
+        this._post('partitions', { partitions: this.partitions, live: live.length > 0, loading: false });
+        this._sendState();
+    }
+
+    /**
+     * Fields shown for this file type
+     */
+    _fields() {
+        const fields = ['name', 'partition', 'cpus', 'memory', 'time'];
+        if (this.uiConfig.showGPUs !== false) fields.push('gpus');
+        if (this.uiConfig.showCompileCommand) fields.push('compileCommand');
+        if (this.uiConfig.showCMakeCommands) fields.push('cmakeConfigureCommand', 'cmakeBuildCommand');
+        if (this.uiConfig.showExecuteCommand) fields.push('executeCommand');
+        return fields;
+    }
+
+    _validate() {
+        const partition = this.partitions.find(p => p.name === this.values.partition);
+        const errors = validateFields(this.values, this._fields(), partition ? partition.limits : null);
+
+        const summary = this._projectSummary();
+        if (summary && summary.error) {
+            errors.upload = summary.error;
+        }
+        return errors;
+    }
+
+    /**
+     * Folder uploaded with the file, or null when only the file is uploaded
+     */
+    _projectDir() {
+        switch (this.values.upload) {
+            case 'workspace': return this._workspaceFolder();
+            case 'folder': return this.values.projectDir;
+            default: return null;
+        }
+    }
+
+    _workspaceFolder() {
+        const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(this.filePath));
+        return folder ? folder.uri.fsPath : null;
+    }
+
+    /**
+     * File count and size of the project upload (cached until the folder changes)
+     */
+    _projectSummary() {
+        const projectDir = this._projectDir();
+        if (!projectDir) return null;
+        if (this.projectSummary && this.projectSummary.projectDir === projectDir) {
+            return this.projectSummary;
+        }
+
+        const summary = { projectDir };
+        try {
+            const files = this.clusterManager.collectProjectFiles(projectDir, this.filePath);
+            summary.files = files.length;
+            summary.size = files.reduce((total, f) => total + f.size, 0);
+            summary.ignoreFile = ['.hpcignore', '.gitignore'].find(f => fs.existsSync(path.join(projectDir, f))) || null;
+        } catch (error) {
+            summary.error = error.message;
+        }
+        this.projectSummary = summary;
+        return summary;
+    }
+
+    _buildJobConfig() {
+        const defaults = this.config.getDefaultJobParams(this.values.profile);
+        const fields = this._fields();
+
+        const projectDir = this._projectDir();
+        const jobConfig = {
+            name: this.values.name.trim(),
+            partition: this.values.partition,
+            gpus: fields.includes('gpus') ? parseInt(this.values.gpus) : (this.directives.config.gpus ?? defaults.gpus),
+            cpus: parseInt(this.values.cpus),
+            memory: this.values.memory.trim(),
+            time: this.values.time.trim(),
+            pythonEnv: this.uiConfig.showPythonEnv ? this.values.pythonEnv : (this.directives.config.pythonEnv || defaults.pythonEnv),
+            profile: this.values.profile,
+        };
+
+        for (const field of COMMAND_FIELDS) {
+            if (fields.includes(field)) {
+                jobConfig[field] = this.values[field];
+            }
+        }
+
+        if (projectDir) {
+            jobConfig.projectDir = projectDir;
+        }
+
+        // Directive-only settings
+        const { gpuType, nodes, ntasks } = this.directives.config;
+        if (gpuType) jobConfig.gpuType = gpuType;
+        if (nodes) jobConfig.nodes = nodes;
+        if (ntasks) jobConfig.ntasks = ntasks;
+        if (this.directives.extraDirectives.length > 0) {
+            jobConfig.extraDirectives = this.directives.extraDirectives.slice();
+        }
+        return jobConfig;
+    }
+
+    _sendState() {
+        this._post('state', { errors: this._validate(), preview: this._renderPreview(), project: this._projectSummary() });
+    }
+
+    _renderPreview() {
+        try {
+            const clusterInfo = this.config.getClusterInfo(this.values.profile);
+            const jobConfig = Object.assign(this._buildJobConfig(), {
+                id: '<job-id>',
+                fileName: this.fileName,
+                submitted: new Date().toISOString(),
+                inputFiles: this.values.inputFiles,
+            });
+            if (jobConfig.projectDir) {
+                jobConfig.workDir = path.relative(jobConfig.projectDir, path.dirname(this.filePath)).split(path.sep).join('/') || undefined;
+            }
+            return this.scriptBuilder.buildScript(jobConfig, clusterInfo);
+        } catch (error) {
+            return '# Preview unavailable: ' + error.message;
+        }
+    }
+
+    _post(type, payload) {
+        if (this.panel) {
+            this.panel.webview.postMessage(Object.assign({ type }, payload));
+        }
+    }
+
+    _getHtml(webview) {
+        const nonce = crypto.randomBytes(16).toString('base64');
+        const mediaUri = (file) => webview.asWebviewUri(vscode.Uri.joinPath(this.context.extensionUri, 'media', file));
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link rel="stylesheet" href="${mediaUri('submissionForm.css')}">
+    <title>Submit Job</title>
+</head>
+<body>
+    <h2>Submit <code id="file-name"></code></h2>
+    <p class="hint" id="directives" hidden></p>
+    <form id="form" autocomplete="off">
+        <section>
+            <h3>Job</h3>
+            <label>Profile <select name="profile" id="profile"></select></label>
+            <label>Job name <input name="name"><span class="error" data-for="name"></span></label>
+            <label>Partition
+                <span class="row">
+                    <select name="partition" id="partition"></select>
+                    <button type="button" id="refresh-partitions" class="secondary" title="Refresh partition list">↻</button>
+                </span>
+                <span class="hint" id="partition-info"></span>
+                <span class="error" data-for="partition"></span>
+            </label>
+        </section>
+        <section>
+            <h3>Resources</h3>
+            <div class="grid">
+                <label data-field="gpus">GPUs <input name="gpus"><span class="error" data-for="gpus"></span></label>
+                <label>CPUs <input name="cpus"><span class="error" data-for="cpus"></span></label>
+                <label>Memory <input name="memory" placeholder="16G"><span class="error" data-for="memory"></span></label>
+                <label>Time limit <input name="time" placeholder="[D-]HH:MM:SS"><span class="error" data-for="time"></span></label>
+            </div>
+        </section>
+        <section data-section="execution">
+            <h3>Execution</h3>
+            <label data-field="pythonEnv">Python environment <input name="pythonEnv" placeholder="base_env"></label>
+            <label data-field="compileCommand">Compilation command <input name="compileCommand"><span class="error" data-for="compileCommand"></span></label>
+            <label data-field="cmakeConfigureCommand">CMake configure command <input name="cmakeConfigureCommand"><span class="error" data-for="cmakeConfigureCommand"></span></label>
+            <label data-field="cmakeBuildCommand">CMake build command <input name="cmakeBuildCommand"><span class="error" data-for="cmakeBuildCommand"></span></label>
+            <label data-field="executeCommand">Execution command <input name="executeCommand"><span class="error" data-for="executeCommand"></span></label>
+        </section>
+        <section>
+            <h3>Upload</h3>
+            <label>Files to upload
+                <select name="upload" id="upload">
+                    <option value="file">This file only</option>
+                    <option value="workspace" id="upload-workspace">Workspace folder</option>
+                    <option value="folder">Folder</option>
+                </select>
+            </label>
+            <p class="row" id="folder-row" hidden>
+                <code id="project-dir"></code>
+                <button type="button" id="choose-folder" class="secondary small">Choose…</button>
+            </p>
+            <span class="hint" id="upload-info"></span>
+            <span class="error" data-for="upload"></span>
+        </section>
+        <section>
+            <h3>Input files</h3>
+            <ul id="input-files"></ul>
+            <button type="button" id="add-files" class="secondary">Add Files…</button>
+        </section>
+        <section>
+            <h3>Script preview</h3>
+            <pre id="preview"></pre>
+            <label class="checkbox"><input type="checkbox" name="reviewScript"> Review and edit the script before submitting</label>
+        </section>
+        <div class="actions">
+            <button type="submit" id="submit">Submit Job</button>
+            <button type="button" id="cancel" class="secondary">Cancel</button>
+        </div>
+    </form>
+    <script nonce="${nonce}" src="${mediaUri('submissionForm.js')}"></script>
+</body>
+</html>`;
+    }
+}
+
+module.exports = SubmissionForm;
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+
+const BLOCK_SIZE = 512;
+const MAX_SIZE = 8 ** 11; // Largest size in an 11-digit octal header field (8 GB)
+
+/**
+ * Minimal tar (ustar + pax) writer and reader
+ *
+ * Enough for moving plain files and directories through `tar` on the
+ * cluster: regular files, directories, modification times and long paths
+ * (ustar prefix, pax `path` records and GNU long names). Links and devices
+ * are skipped when reading. Compression is left to zlib streams.
+ */
+
+/**
+ * Create a tar stream of files below a local folder
+ *
+ * @param {string} rootDir - Local folder
+ * @param {string[]} relativePaths - Files to include, with / separators
+ * @param {object} options - { onEntry(relativePath, size) } called as each file is added
+ * @returns {Readable} Uncompressed tar stream
+ */
+function createTarStream(rootDir, relativePaths, options = {}) {
+    async function* generate() {
+        for (const relativePath of relativePaths) {
+            const fullPath = path.join(rootDir, ...relativePath.split('/'));
+            const stats = fs.statSync(fullPath);
+            if (stats.size >= MAX_SIZE) {
+                throw new Error(`${relativePath} is too large for a tar transfer`);
+            }
+            if (options.onEntry) options.onEntry(relativePath, stats.size);
+
+            yield* headerBlocks(relativePath, stats.size, stats.mtime, '0', stats.mode & 0o7777);
+
+            let written = 0;
+            for await (const chunk of fs.createReadStream(fullPath)) {
+                written += chunk.length;
+                yield chunk;
+            }
+            if (written !== stats.size) {
+                throw new Error(`${relativePath} changed while it was being archived`);
+            }
+            yield padding(stats.size);
+        }
+        yield Buffer.alloc(BLOCK_SIZE * 2); // End of archive
+    }
+    return Readable.from(generate(), { objectMode: false });
+}
+
+/**
+ * Extract an uncompressed tar stream into a local folder
+ *
+ * @returns {Writable} Finishes once every entry has been written; errors on unsafe paths
+ */
+function createExtractStream(destDir, options = {}) {
+    let buffer = Buffer.alloc(0);
+    let entry = null; // { file, remaining, padding, mtime }
+    let longName = null;
+    let paxPath = null;
+    let collecting = null; // { type, remaining, padding, chunks } for pax / long name records
+    let ended = false;
+    let files = 0;
+
+    // Local path of an entry; null for the archive root ("./")
+    const resolveTarget = (name) => {
+        const normalized = path.posix.normalize(name);
+        if (normalized === '.' || normalized === './') return null;
+        if (path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../')) {
+            throw new Error('Unsafe path in archive: ' + name);
+        }
+        return path.join(destDir, ...normalized.replace(/\/$/, '').split('/'));
+    };
+
+    const drain = () => {
+        while (!ended) {
+            if (entry) {
+                if (entry.remaining > 0) {
+                    if (buffer.length === 0) return;
+                    const take = Math.min(entry.remaining, buffer.length);
+                    if (entry.fd !== null) fs.writeSync(entry.fd, buffer, 0, take);
+                    buffer = buffer.subarray(take);
+                    entry.remaining -= take;
+                    continue;
+                }
+                if (buffer.length < entry.padding) return;
+                buffer = buffer.subarray(entry.padding);
+                if (entry.fd !== null) {
+                    fs.closeSync(entry.fd);
+                    fs.utimesSync(entry.target, entry.mtime, entry.mtime);
+                    files++;
+                }
+                entry = null;
+                continue;
+            }
+
+            if (collecting) {
+                const needed = collecting.remaining + collecting.padding;
+                if (buffer.length < needed) return;
+                const data = buffer.subarray(0, collecting.remaining).toString('utf8');
+                buffer = buffer.subarray(needed);
+                if (collecting.type === 'L') {
+                    longName = data.replace(/\0.*$/s, '');
+                } else if (collecting.type === 'x') {
+                    const match = data.match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+                    if (match) paxPath = match[1];
+                }
+                collecting = null;
+                continue;
+            }
+
+            if (buffer.length < BLOCK_SIZE) return;
+            const header = buffer.subarray(0, BLOCK_SIZE);
+            buffer = buffer.subarray(BLOCK_SIZE);
+
+            if (header.every(byte => byte === 0)) {
+                ended = true; // End of archive (second zero block is ignored)
+                return;
+            }
+
+            const size = parseOctal(header.subarray(124, 136));
+            const type = String.fromCharCode(header[156] || 48);
+            const pad = (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+
+            if (type === 'L' || type === 'x' || type === 'g') {
+                collecting = { type, remaining: size, padding: pad };
+                continue;
+            }
+
+            let name = readString(header, 0, 100);
+            const prefix = readString(header, 345, 155);
+            if (prefix && header.subarray(257, 262).toString() === 'ustar') name = prefix + '/' + name;
+            name = paxPath || longName || name;
+            paxPath = null;
+            longName = null;
+
+            const target = resolveTarget(name);
+
+            const mtime = new Date(parseOctal(header.subarray(136, 148)) * 1000);
+            if (type === '5') {
+                if (target) fs.mkdirSync(target, { recursive: true });
+                entry = { fd: null, remaining: size, padding: pad };
+            } else if ((type === '0' || type === '7') && target) {
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                entry = { fd: fs.openSync(target, 'w'), target, mtime, remaining: size, padding: pad };
+                if (options.onEntry) options.onEntry(name, size);
+            } else {
+                entry = { fd: null, remaining: size, padding: pad }; // Links, devices: skipped
+            }
+        }
+    };
+
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+            try {
+                drain();
+                callback();
+            } catch (error) {
+                if (entry && entry.fd !== null) fs.closeSync(entry.fd);
+                callback(error);
+            }
+        },
+        final(callback) {
+            if (entry && entry.fd !== null) fs.closeSync(entry.fd);
+            callback(entry || collecting ? new Error('Archive is truncated') : null);
+        },
+    });
+    stream.getFileCount = () => files;
+    return stream;
+}
+
+function* headerBlocks(name, size, mtime, type, mode) {
+    let ustarName = name;
+    let prefix = '';
+    if (Buffer.byteLength(name) > 100) {
+        const split = splitName(name);
+        if (split) {
+            [prefix, ustarName] = split;
+        } else {
+            // Path too long for ustar: pax extended header
+            const record = paxRecord('path', name);
+            yield header('././@PaxHeader', Buffer.byteLength(record), mtime, 'x', 0o644);
+            yield Buffer.from(record);
+            yield padding(Buffer.byteLength(record));
+            ustarName = name.slice(-100);
+        }
+    }
+    yield header(ustarName, size, mtime, type, mode, prefix);
+}
+
+function header(name, size, mtime, type, mode, prefix = '') {
+    const block = Buffer.alloc(BLOCK_SIZE);
+    block.write(name, 0, 100);
+    block.write(octal(mode || 0o644, 7), 100);
+    block.write(octal(0, 7), 108); // uid
+    block.write(octal(0, 7), 116); // gid
+    block.write(octal(size, 11), 124);
+    block.write(octal(Math.floor(mtime.getTime() / 1000), 11), 136);
+    block.write('        ', 148); // Checksum placeholder
+    block.write(type, 156);
+    block.write('ustar\0', 257);
+    block.write('00', 263);
+    block.write(prefix, 345, 155);
+
+    let checksum = 0;
+    for (const byte of block) checksum += byte;
+    block.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+    return block;
+}
+
+/**
+ * Split a path into ustar prefix (≤155 bytes) and name (≤100 bytes) at a slash
+ */
+function splitName(name) {
+    for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+        const prefix = name.slice(0, i);
+        const rest = name.slice(i + 1);
+        if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+            return [prefix, rest];
+        }
+    }
+    return null;
+}
+
+function paxRecord(key, value) {
+    const body = ` ${key}=${value}\n`;
+    let length = Buffer.byteLength(body);
+    length += String(length).length;
+    if (String(length).length !== String(length - String(length).length).length) length++;
+    return length + body;
+}
+
+function padding(size) {
+    return Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+}
+
+function octal(value, length) {
+    return value.toString(8).padStart(length, '0') + '\0';
+}
+
+function parseOctal(field) {
+    // Base-256 encoding for sizes above 8 GB (GNU tar)
+    if (field[0] & 0x80) {
+        let value = 0;
+        for (let i = 1; i < field.length; i++) value = value * 256 + field[i];
+        return value;
+    }
+    const text = field.toString('ascii').replace(/\0.*$/s, '').trim();
+    return text ? parseInt(text, 8) : 0;
+}
+
+function readString(block, offset, length) {
+    return block.subarray(offset, offset + length).toString('utf8').replace(/\0.*$/s, '');
+}
+
+module.exports = {
+    createTarStream,
+    createExtractStream,
+};
@@ -0,0 +1,359 @@
+const fs = require('fs');
+const { getInstance: getLogger } = require('./logger');
+
+const CHUNK_SIZE = 32 * 1024; // Largest read/write most SFTP servers accept per request
+const MAX_PENDING = 16; // Outstanding requests per file
+const RESUME_MIN_SIZE = 1024 * 1024; // Smaller files restart from zero after a failure
+const PROGRESS_INTERVAL = 250; // ms between progress reports
+
+// SFTP status codes (no such file, permission denied, failure, unsupported) and
+// local errors that a retry cannot fix
+const PERMANENT_ERRORS = new Set([2, 3, 4, 8, 'ENOENT', 'EACCES', 'EPERM', 'EISDIR', 'ENOTDIR', 'ENOSPC', 'EROFS', 'ECHANGED']);
+
+/**
+ * Moves files over SFTP for one connection
+ *
+ * Responsibilities:
+ * - Keep a single SFTP session open instead of one per file
+ * - Transfer several files at once (`transferConcurrency` setting)
+ * - Report per-file and total bytes
+ * - Retry after a dropped connection, continuing large files from the
+ *   last confirmed offset
+ *
+ * Each file is copied with pipelined reads and writes of CHUNK_SIZE bytes.
+ * The offset up to which every chunk has been acknowledged is tracked, so
+ * a retry knows where the destination stops being complete.
+ */
+class TransferEngine {
+    /**
+     * @param {ConnectionManager} connectionManager - Connection the SFTP session is opened on
+     */
+    constructor(connectionManager) {
+        this.connectionManager = connectionManager;
+        this.sftp = null;
+        this.sftpConnection = null; // Connection the session belongs to
+        this.opening = null;
+        this.logger = getLogger();
+    }
+
+    /**
+     * Upload local files
+     *
+     * @param {Array} files - [{ localPath, remotePath }]
+     * @param {object} options - See transfer()
+     */
+    async upload(files, options = {}) {
+        return this.transfer('upload', files, options);
+    }
+
+    /**
+     * Download remote files
+     *
+     * @param {Array} files - [{ remotePath, localPath }]
+     * @param {object} options - See transfer()
+     */
+    async download(files, options = {}) {
+        return this.transfer('download', files, options);
+    }
+
+    /**
+     * Transfer files, a few at a time
+     *
+     * Stops at the first file that still fails after its retries; transfers
+     * already running are allowed to finish.
+     *
+     * @param {string} direction - 'upload' or 'download'
+     * @param {Array} files - [{ localPath, remotePath, size }] (size is optional, looked up when missing)
+     * @param {object} options - { concurrency, maxRetries, onProgress(progress) } where progress is
+     *                           { file, fileBytes, fileSize, bytes, totalBytes, files, totalFiles }
+     * @returns {Promise<object>} { files, bytes }
+     */
+    async transfer(direction, files, options = {}) {
+        const concurrency = Math.max(1, options.concurrency || this.connectionManager.config.get('transferConcurrency', 4));
+        const maxRetries = options.maxRetries || 3;
+
+        const items = files.map(file => ({ ...file, size: typeof file.size === 'number' ? file.size : null, offset: 0 }));
+        await this._measure(direction, items);
+
+        const state = {
+            bytes: 0,
+            totalBytes: items.reduce((sum, item) => sum + item.size, 0),
+            files: 0,
+            totalFiles: items.length,
+            lastReport: 0,
+            onProgress: options.onProgress || null,
+        };
+
+        let next = 0;
+        let failure = null;
+        const worker = async () => {
+            while (!failure && next < items.length) {
+                const item = items[next++];
+                try {
+                    await this._transferWithRetry(direction, item, state, maxRetries);
+                } catch (error) {
+                    failure = failure || error;
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+        if (failure) throw failure;
+        return { files: state.files, bytes: state.bytes };
+    }
+
+    /**
+     * Forget the SFTP session (it closes with its connection)
+     */
+    reset() {
+        if (this.sftp) {
+            try {
+                this.sftp.end();
+            } catch (error) {
+                this.logger.debug('Error closing SFTP session: ' + error.message);
+            }
+        }
+        this.sftp = null;
+        this.sftpConnection = null;
+    }
+
+    /**
+     * SFTP session of the current connection, opened on first use
+     */
+    async getSftp() {
+        const conn = await this.connectionManager.getConnection();
+        if (this.sftp && this.sftpConnection === conn) {
+            return this.sftp;
+        }
+        if (this.opening && this.opening.conn === conn) {
+            return this.opening.promise;
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            conn.sftp((err, sftp) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                sftp.on('close', () => {
+                    if (this.sftp === sftp) {
+                        this.sftp = null;
+                        this.sftpConnection = null;
+                    }
+                });
+                this.sftp = sftp;
+                this.sftpConnection = conn;
+                resolve(sftp);
+            });
+        });
+        this.opening = { conn, promise };
+        try {
+            return await promise;
+        } finally {
+            if (this.opening && this.opening.promise === promise) this.opening = null;
+        }
+    }
+
+    /**
+     * Look up the size of every source file before starting, for the total
+     */
+    async _measure(direction, items) {
+        if (direction === 'upload') {
+            for (const item of items) {
+                item.size = fs.statSync(item.localPath).size;
+            }
+            return;
+        }
+
+        const sftp = await this.getSftp();
+        for (const item of items) {
+            if (typeof item.size === 'number') continue;
+            const stats = await call(sftp, 'stat', item.remotePath);
+            item.size = stats.size;
+        }
+    }
+
+    async _transferWithRetry(direction, item, state, maxRetries) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const sftp = await this.getSftp();
+                await this._copy(direction, sftp, item, state);
+                state.files++;
+                this._report(state, item, true);
+                return;
+            } catch (error) {
+                const verb = direction === 'upload' ? 'Upload' : 'Download';
+                this.logger.error(`${verb} of ${item.localPath} failed (attempt ${attempt + 1}): ${error.message}`);
+
+                if (attempt >= maxRetries - 1 || !this._isRetryable(error)) {
+                    throw error;
+                }
+
+                // Small files are cheaper to send again than to verify
+                if (item.size < RESUME_MIN_SIZE && item.offset > 0) {
+                    state.bytes -= item.offset;
+                    item.offset = 0;
+                } else if (item.offset > 0) {
+                    this.logger.info(`Resuming ${item.localPath} at byte ${item.offset} of ${item.size}`);
+                }
+
+                // A dead session or connection is replaced on the next getSftp()
+                await this.connectionManager.resetConnectionIfDead();
+                await this.connectionManager.sleep(this.connectionManager.calculateBackoffDelay(attempt));
+            }
+        }
+    }
+
+    _isRetryable(error) {
+        return !PERMANENT_ERRORS.has(error.code) && !this.connectionManager.isFatalConnectionError(error);
+    }
+
+    /**
+     * Copy one file from item.offset to the end, advancing item.offset as chunks are confirmed
+     */
+    async _copy(direction, sftp, item, state) {
+        const upload = direction === 'upload';
+        const resume = item.offset > 0;
+
+        const localFd = await new Promise((resolve, reject) => {
+            fs.open(item.localPath, upload ? 'r' : (resume ? 'r+' : 'w'), (err, fd) => (err ? reject(err) : resolve(fd)));
+        });
+        let handle = null;
+
+        try {
+            handle = await call(sftp, 'open', item.remotePath, upload ? (resume ? 'r+' : 'w') : 'r');
+
+            const read = upload
+                ? (buffer, position) => readLocal(localFd, buffer, position)
+                : (buffer, position) => readRemote(sftp, handle, buffer, position);
+            const write = upload
+                ? (buffer, length, position) => call(sftp, 'write', handle, buffer, 0, length, position)
+                : (buffer, length, position) => writeLocal(localFd, buffer, length, position);
+
+            await this._pipe(item, state, read, write, upload ? item.localPath : item.remotePath);
+        } finally {
+            if (handle) {
+                await call(sftp, 'close', handle).catch(() => {});
+            }
+            await new Promise(resolve => fs.close(localFd, () => resolve()));
+        }
+    }
+
+    /**
+     * Read and write chunks with up to MAX_PENDING in flight
+     *
+     * item.offset only moves past a chunk once it and every chunk before it
+     * have been written, so it is always safe to continue from.
+     */
+    _pipe(item, state, read, write, source) {
+        return new Promise((resolve, reject) => {
+            let position = item.offset;
+            let pending = 0;
+            let failed = false;
+            const done = new Map(); // start offset -> length of written chunks past item.offset
+
+            const advance = () => {
+                while (done.has(item.offset)) {
+                    const length = done.get(item.offset);
+                    done.delete(item.offset);
+                    item.offset += length;
+                    state.bytes += length;
+                }
+                this._report(state, item, false);
+            };
+
+            const pump = () => {
+                if (failed) return;
+                if (position >= item.size && pending === 0) {
+                    resolve();
+                    return;
+                }
+                while (pending < MAX_PENDING && position < item.size) {
+                    const start = position;
+                    const length = Math.min(CHUNK_SIZE, item.size - start);
+                    position += length;
+                    pending++;
+
+                    const buffer = Buffer.allocUnsafe(length);
+                    read(buffer, start)
+                        .then((bytesRead) => {
+                            if (bytesRead !== length) {
+                                const error = new Error(`${source} changed size during the transfer`);
+                                error.code = 'ECHANGED';
+                                throw error;
+                            }
+                            return write(buffer, length, start);
+                        })
+                        .then(() => {
+                            pending--;
+                            if (failed) return;
+                            done.set(start, length);
+                            advance();
+                            pump();
+                        })
+                        .catch((error) => {
+                            pending--;
+                            if (!failed) {
+                                failed = true;
+                                reject(error);
+                            }
+                        });
+                }
+            };
+
+            pump();
+        });
+    }
+
+    _report(state, item, force) {
+        if (!state.onProgress) return;
+        const now = Date.now();
+        if (!force && now - state.lastReport < PROGRESS_INTERVAL) return;
+        state.lastReport = now;
+        state.onProgress({
+            file: item.localPath,
+            fileBytes: item.offset,
+            fileSize: item.size,
+            bytes: state.bytes,
+            totalBytes: state.totalBytes,
+            files: state.files,
+            totalFiles: state.totalFiles,
+        });
+    }
+}
+
+/**
+ * Call an SFTP method and resolve with its first result
+ */
+function call(sftp, method, ...args) {
+    return new Promise((resolve, reject) => {
+        sftp[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+}
+
+/**
+ * Fill a buffer from a remote file (servers may return fewer bytes than asked)
+ */
+async function readRemote(sftp, handle, buffer, position) {
+    let filled = 0;
+    while (filled < buffer.length) {
+        const bytesRead = await call(sftp, 'read', handle, buffer, filled, buffer.length - filled, position + filled);
+        if (!bytesRead) break;
+        filled += bytesRead;
+    }
+    return filled;
+}
+
+function readLocal(fd, buffer, position) {
+    return new Promise((resolve, reject) => {
+        fs.read(fd, buffer, 0, buffer.length, position, (err, bytesRead) => (err ? reject(err) : resolve(bytesRead)));
+    });
+}
+
+function writeLocal(fd, buffer, length, position) {
+    return new Promise((resolve, reject) => {
+        fs.write(fd, buffer, 0, length, position, err => (err ? reject(err) : resolve()));
+    });
+}
+
+module.exports = TransferEngine;
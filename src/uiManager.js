@@ -1,283 +1,139 @@
 const vscode = require('vscode');
+const { isTerminal } = require('./jobStates');
+const { TIME_PATTERN } = require('./jobValidation');
+const SchedulerFactory = require('./schedulers/schedulerFactory');
 
 /**
  * Manages UI interactions
  */
 class UIManager {
-    
-    /**
-     * Show compilation and execution commands dialog for C/C++ files
-     */
-    async showCompileExecuteDialog(fileName) {
-        const fileExt = require('path').extname(fileName);
-        const executable = fileName.replace(/\.[^.]+$/, '.out');
-        const compiler = fileExt === '.c' ? 'gcc' : 'g++';
-        
-        const defaultCompileCmd = `${compiler} ${fileName} -o ${executable} -O3 -march=native -Wall`;
-        const defaultExecuteCmd = `./${executable}`;
-
-        // Compilation command
-        const compileCommand = await vscode.window.showInputBox({
-            prompt: 'Compilation command',
-            placeHolder: defaultCompileCmd,
-            value: defaultCompileCmd,
-            prompt: 'Enter the compilation command (or press Enter for default)',
-        });
-        if (compileCommand === undefined) return null;
-
-        // Execution command
-        const executeCommand = await vscode.window.showInputBox({
-            prompt: 'Execution command',
-            placeHolder: defaultExecuteCmd,
-            value: defaultExecuteCmd,
-            prompt: 'Enter the execution command (or press Enter for default)',
-        });
-        if (executeCommand === undefined) return null;
-
-        return {
-            compileCommand: compileCommand,
-            executeCommand: executeCommand,
-        };
+    constructor() {
+        this.channels = new Map(); // name -> output channel, created on first use
     }
 
     /**
-     * Show compilation and execution commands dialog for CUDA files
+     * Let the user review and edit a generated batch script
+     *
+     * The script opens in an untitled editor; edits made there are kept.
+     *
+     * @returns {Promise<string|null>} Final script, or null if the user cancelled
      */
-    async showCudaCompileExecuteDialog(fileName) {
-        const executable = fileName.replace(/\.cu$/, '.out');
-        
-        const defaultCompileCmd = `nvcc ${fileName} -o ${executable} -O3 -arch=sm_75`;
-        const defaultExecuteCmd = `./${executable}`;
+    async reviewScript(script, jobName) {
+        const document = await vscode.workspace.openTextDocument({ language: 'shellscript', content: script });
+        await vscode.window.showTextDocument(document, { preview: false });
 
-        // Compilation command
-        const compileCommand = await vscode.window.showInputBox({
-            prompt: 'CUDA compilation command',
-            placeHolder: defaultCompileCmd,
-            value: defaultCompileCmd,
-            prompt: 'Enter the nvcc compilation command (or press Enter for default)',
-        });
-        if (compileCommand === undefined) return null;
+        const choice = await vscode.window.showInformationMessage(
+            `Review the batch script of "${jobName}". Edits made in the editor are submitted as-is.`,
+            'Submit', 'Cancel'
+        );
+        const finalScript = document.getText();
 
-        // Execution command
-        const executeCommand = await vscode.window.showInputBox({
-            prompt: 'Execution command',
-            placeHolder: defaultExecuteCmd,
-            value: defaultExecuteCmd,
-            prompt: 'Enter the execution command (or press Enter for default)',
-        });
-        if (executeCommand === undefined) return null;
+        // Close the review editor without a save prompt
+        if (!document.isClosed) {
+            await vscode.window.showTextDocument(document, { preview: false });
+            await vscode.commands.executeCommand('workbench.action.revertAndCloseActiveEditor');
+        }
 
-        return {
-            compileCommand: compileCommand,
-            executeCommand: executeCommand,
-        };
+        return choice === 'Submit' ? finalScript : null;
     }
 
     /**
-     * Show CMake commands dialog
+     * Show cluster profile picker
+     *
+     * @returns {Promise<string|null>} Selected profile name
      */
-    async showCMakeCommandsDialog() {
-        const defaultConfigureCmd = 'cmake -S . -B build -DCMAKE_BUILD_TYPE=Release';
-        const defaultBuildCmd = 'cmake --build build -j $SLURM_CPUS_PER_TASK';
-        const defaultExecuteCmd = './build/main';
-
-        // Configure command
-        const cmakeConfigureCommand = await vscode.window.showInputBox({
-            prompt: 'CMake configure command',
-            placeHolder: defaultConfigureCmd,
-            value: defaultConfigureCmd,
-            prompt: 'Enter the CMake configuration command (or press Enter for default)',
-        });
-        if (cmakeConfigureCommand === undefined) return null;
-
-        // Build command
-        const cmakeBuildCommand = await vscode.window.showInputBox({
-            prompt: 'CMake build command',
-            placeHolder: defaultBuildCmd,
-            value: defaultBuildCmd,
-            prompt: 'Enter the CMake build command (or press Enter for default)',
+    async showProfilePicker(configManager) {
+        const active = configManager.getActiveProfileName();
+        const items = configManager.getProfileNames().map(name => {
+            const info = configManager.getClusterInfo(name);
+            return {
+                label: (name === active ? '$(check) ' : '$(server) ') + name,
+                description: info.backend === 'local' ? 'local cluster' : (info.host ? `${info.username}@${info.host}` : 'not configured'),
+                detail: `Jobs: ${info.jobsDir}`,
+                name: name,
+            };
         });
-        if (cmakeBuildCommand === undefined) return null;
 
-        // Execution command
-        const executeCommand = await vscode.window.showInputBox({
-            prompt: 'Execution command',
-            placeHolder: defaultExecuteCmd,
-            value: defaultExecuteCmd,
-            prompt: 'Enter the execution command (or press Enter for default)',
+        const selected = await vscode.window.showQuickPick(items, {
+            placeHolder: `Active cluster profile: ${active}`,
         });
-        if (executeCommand === undefined) return null;
 
-        return {
-            cmakeConfigureCommand: cmakeConfigureCommand,
-            cmakeBuildCommand: cmakeBuildCommand,
-            executeCommand: executeCommand,
-        };
+        return selected ? selected.name : null;
     }
 
     /**
-     * Show scheduling parameters dialog
+     * Show job picker
      */
-    async showSchedulingDialog(configManager, fileExt) {
-        const defaults = configManager.getDefaultJobParams();
-
-        // Job name
-        const jobName = await vscode.window.showInputBox({
-            prompt: 'Job Name',
-            placeHolder: 'my-job',
-            value: 'job-' + new Date().toISOString().slice(0, 16).replace(/[:-]/g, ''),
-        });
-        if (jobName === undefined) return null;
-
-        // Partition
-        const partitionChoice = await vscode.window.showQuickPick(
-            [
-                { label: 'l40', description: '8-core CPU + L40 GPU (18176 CUDA cores) - Most powerful' },
-                { label: 'rtx2080', description: '4-core CPU + RTX 2080 TI (4352 CUDA cores)' }
-            ],
-            {
-                placeHolder: `Partition (default: ${defaults.partition})`,
-                canPickMany: false,
-            }
-        );
-        if (!partitionChoice) return null;
-        const partition = partitionChoice.label;
-
-        // GPUs (skip for C/C++)
-        let gpus = defaults.gpus;
-        if (fileExt !== '.c' && fileExt !== '.cpp') {
-            const gpuInput = await vscode.window.showInputBox({
-                prompt: 'Number of GPUs',
-                value: defaults.gpus.toString(),
-                validateInput: (value) => {
-                    return /^\d+$/.test(value) ? null : 'Must be a number';
-                }
-            });
-            if (gpuInput === undefined) return null;
-            gpus = parseInt(gpuInput);
-        }
-
-        // CPUs
-        const cpus = await vscode.window.showInputBox({
-            prompt: 'Number of CPUs',
-            value: defaults.cpus.toString(),
-            validateInput: (value) => {
-                return /^\d+$/.test(value) ? null : 'Must be a number';
-            }
-        });
-        if (cpus === undefined) return null;
-
-        // Memory
-        const memory = await vscode.window.showInputBox({
-            prompt: 'Memory (e.g., 16G, 32G)',
-            value: defaults.memory,
-            validateInput: (value) => {
-                return /^\d+[GM]$/.test(value) ? null : 'Format: 16G or 32000M';
-            }
-        });
-        if (memory === undefined) return null;
+    async showJobPicker(jobs, title = 'Select a job') {
+        const items = jobs.map(job => ({
+            label: `$(cloud) ${job.name}`,
+            description: `ID: ${job.id} | Status: ${job.status}${job.held ? ' (held)' : ''}`,
+            detail: `Submitted: ${new Date(job.submitted).toLocaleString()} | ${SchedulerFactory.getLabel(job.scheduler)}: ${job.slurmId || 'N/A'} | Profile: ${job.profile || 'N/A'}`,
+            job: job,
+        }));
 
-        // Time limit
-        const time = await vscode.window.showInputBox({
-            prompt: 'Time limit (HH:MM:SS)',
-            value: defaults.time,
-            validateInput: (value) => {
-                return /^\d{2}:\d{2}:\d{2}$/.test(value) ? null : 'Format: HH:MM:SS';
-            }
+        const selected = await vscode.window.showQuickPick(items, {
+            placeHolder: title,
         });
-        if (time === undefined) return null;
 
-        // Python environment (only for .py and .ipynb)
-        let pythonEnv = defaults.pythonEnv;
-        if (fileExt === '.py' || fileExt === '.ipynb') {
-            pythonEnv = await vscode.window.showInputBox({
-                prompt: 'Python virtual environment name',
-                value: defaults.pythonEnv,
-                placeHolder: 'base_env, torch_env, tf_env',
-            });
-            if (pythonEnv === undefined) return null;
-        }
-
-        return {
-            name: jobName,
-            partition: partition,
-            gpus: gpus,
-            cpus: parseInt(cpus),
-            memory: memory,
-            time: time,
-            pythonEnv: pythonEnv,
-        };
+        return selected ? selected.job : null;
     }
 
     /**
-     * Show input files selection dialog
-     * Allows user to select additional files to upload to job workspace
-     * These files will be available in the remote job directory
+     * Show job control actions applicable to a job
+     *
+     * @returns {Promise<string|null>} 'cancel' | 'hold' | 'release' | 'requeue' | 'time'
      */
-    async showInputFilesDialog() {
-        const selection = await vscode.window.showQuickPick(
-            ['Yes - Select files to upload to job workspace', 'No - Submit without additional files'],
-            {
-                placeHolder: 'Do you need to upload additional files to the job workspace?',
-                canPickMany: false,
-            }
-        );
+    async showJobControlPicker(job) {
+        const active = !isTerminal(job.status);
+        const items = [];
 
-        if (!selection || selection.startsWith('No')) {
-            return [];
+        if (active) {
+            items.push({ label: '$(debug-stop) Cancel Job', description: 'Stop it and free its resources', value: 'cancel' });
+        }
+        if (active && !job.held) {
+            items.push({ label: '$(debug-pause) Hold Job', description: 'Keep it pending until released', value: 'hold' });
+        }
+        if (job.held) {
+            items.push({ label: '$(debug-start) Release Job', description: 'Let a held job start', value: 'release' });
+        }
+        items.push({ label: '$(debug-restart) Requeue Job', description: 'Run the job again from the start', value: 'requeue' });
+        if (active) {
+            items.push({ label: '$(watch) Update Time Limit', description: `Current: ${job.config ? job.config.time : 'N/A'}`, value: 'time' });
         }
 
-        // Show file picker for multiple files
-        const fileUris = await vscode.window.showOpenDialog({
-            canSelectMany: true,
-            canSelectFiles: true,
-            canSelectFolders: false,
-            openLabel: 'Select Files to Upload',
-            title: 'Select files to copy to remote job workspace',
-            filters: {
-                'All Files': ['*'],
-                'Data Files': ['csv', 'json', 'txt', 'xml', 'yaml', 'yml'],
-                'Config Files': ['cfg', 'conf', 'ini', 'toml'],
-                'Source Files': ['c', 'cpp', 'cu', 'h', 'hpp', 'cuh'],
-            }
+        const selected = await vscode.window.showQuickPick(items, {
+            placeHolder: `${job.name} (${job.status}${job.held ? ', held' : ''})`,
         });
 
-        if (!fileUris || fileUris.length === 0) {
-            return [];
-        }
-
-        return fileUris.map(uri => uri.fsPath);
+        return selected ? selected.value : null;
     }
 
     /**
-     * Show job picker
+     * Ask for a new time limit
      */
-    async showJobPicker(jobs, title = 'Select a job') {
-        const items = jobs.map(job => ({
-            label: `$(cloud) ${job.name}`,
-            description: `ID: ${job.id} | Status: ${job.status}`,
-            detail: `Submitted: ${new Date(job.submitted).toLocaleString()} | SLURM: ${job.slurmId || 'N/A'}`,
-            job: job,
-        }));
-
-        const selected = await vscode.window.showQuickPick(items, {
-            placeHolder: title,
+    async showTimeLimitDialog(currentTime) {
+        const time = await vscode.window.showInputBox({
+            prompt: 'New time limit ([D-]HH:MM:SS)',
+            value: currentTime || '',
+            validateInput: (value) => {
+                return TIME_PATTERN.test(value) ? null : 'Format: HH:MM:SS or D-HH:MM:SS';
+            }
         });
-
-        return selected ? selected.job : null;
+        return time === undefined ? null : time;
     }
 
     /**
      * Show job details in output channel
      */
     showJobDetails(details) {
-        const channel = vscode.window.createOutputChannel('HPC Job Details');
-        channel.clear();
+        const channel = this._getChannel('HPC Job Details');
         channel.appendLine('='.repeat(80));
         channel.appendLine(`Job: ${details.name}`);
         channel.appendLine(`ID: ${details.id}`);
-        channel.appendLine(`SLURM ID: ${details.slurmId || 'Not assigned'}`);
+        channel.appendLine(`${SchedulerFactory.getLabel(details.scheduler)} ID: ${details.slurmId || 'Not assigned'}`);
         channel.appendLine(`Status: ${details.status}`);
+        channel.appendLine(`Profile: ${details.profile || 'N/A'}`);
         channel.appendLine(`Submitted: ${new Date(details.submitted).toLocaleString()}`);
         channel.appendLine('='.repeat(80));
         
@@ -296,6 +152,17 @@ class UIManager {
             details.inputFiles.forEach(f => channel.appendLine(`    - ${f}`));
         }
 
+        if (details.accounting) {
+            const acct = details.accounting;
+            channel.appendLine(`\nAccounting (${SchedulerFactory.getLabel(details.scheduler)}):`);
+            channel.appendLine(`  State: ${acct.rawState || acct.state}`);
+            channel.appendLine(`  Exit Code: ${acct.exitCode || 'N/A'}`);
+            channel.appendLine(`  Elapsed: ${acct.elapsed || 'N/A'}`);
+            channel.appendLine(`  Total CPU: ${acct.totalCPU || 'N/A'}`);
+            channel.appendLine(`  Max RSS: ${acct.maxRSS || 'N/A'}`);
+            channel.appendLine(`  Allocated: ${acct.allocTRES || 'N/A'}`);
+        }
+
         if (details.statusData) {
             channel.appendLine('\nDetailed Status:');
             channel.appendLine(`  Duration: ${details.statusData.duration ? details.statusData.duration + 's' : 'N/A'}`);
@@ -308,7 +175,7 @@ class UIManager {
         
         if (details.logs) {
             channel.appendLine('\n' + '='.repeat(80));
-            channel.appendLine('Recent Logs (last 50 lines):');
+            channel.appendLine('Recent Logs (last 50 lines per file):');
             channel.appendLine('='.repeat(80));
             channel.appendLine(details.logs);
         }
@@ -316,6 +183,32 @@ class UIManager {
         channel.show();
     }
 
+    /**
+     * Show the latest log lines of a job
+     */
+    showJobLogs(details) {
+        const channel = this._getChannel('HPC Job Logs');
+        channel.appendLine(`Job: ${details.name} (${SchedulerFactory.getLabel(details.scheduler)} ${details.slurmId || 'N/A'}) - ${details.status}`);
+        channel.appendLine('='.repeat(80));
+        channel.appendLine(details.logs || 'No logs available.');
+        channel.show();
+    }
+
+    /**
+     * Get an output channel, cleared for new content
+     *
+     * Each name gets one channel for the whole session instead of a new
+     * entry in the Output view per call.
+     */
+    _getChannel(name) {
+        if (!this.channels.has(name)) {
+            this.channels.set(name, vscode.window.createOutputChannel(name));
+        }
+        const channel = this.channels.get(name);
+        channel.clear();
+        return channel;
+    }
+
     /**
      * Show progress notification
      */
@@ -365,6 +258,13 @@ class UIManager {
         );
         return selection === 'Yes';
     }
+
+    dispose() {
+        for (const channel of this.channels.values()) {
+            channel.dispose();
+        }
+        this.channels.clear();
+    }
 }
 
 module.exports = UIManager;
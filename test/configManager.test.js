@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('./vscodeStub');
+const ConfigManager = require('../src/configManager');
+
+test('an empty username falls back to the User in ~/.ssh/config', (t) => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'hpc-home-'));
+    const previousHome = process.env.HOME;
+    process.env.HOME = home;
+    t.after(() => {
+        process.env.HOME = previousHome;
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+    fs.mkdirSync(path.join(home, '.ssh'));
+    fs.writeFileSync(path.join(home, '.ssh', 'config'), [
+        'Host hpc',
+        '    HostName login.hpc.example.org',
+        '    User alice',
+    ].join('\n'));
+
+    vscode.settings = {
+        profiles: [
+            { name: 'alias', clusterHost: 'hpc' },
+            { name: 'explicit', clusterHost: 'hpc', username: 'bob@example.org' },
+            { name: 'unknown', clusterHost: 'other.example.org' },
+        ],
+    };
+    const configManager = new ConfigManager();
+
+    assert.strictEqual(configManager.validate('alias'), true);
+    const info = configManager.getClusterInfo('alias');
+    assert.strictEqual(info.username, 'alice');
+    assert.strictEqual(info.scratchDir, '/scratch.hpc/alice');
+    assert.strictEqual(info.jobsDir, '/scratch.hpc/alice/hpc_jobs');
+
+    // The setting wins over the file
+    assert.strictEqual(configManager.getClusterInfo('explicit').username, 'bob@example.org');
+    assert.strictEqual(configManager.getClusterInfo('explicit').scratchDir, '/scratch.hpc/bob');
+
+    // Neither source names a user
+    assert.throws(() => configManager.validate('unknown'), /Missing username for profile "unknown"/);
+});
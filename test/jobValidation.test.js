@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateField } = require('../src/jobValidation');
+
+test('the time field accepts the limits that scontrol and qalter accept', () => {
+    for (const time of ['1:00:00', '02:00:00', '48:00:00', '1-00:00:00', '7-12:30:00']) {
+        assert.strictEqual(validateField('time', time, null), null, time);
+    }
+    for (const time of ['', '1:00', '100:00:00', '1:0:00', '1-', 'two hours']) {
+        assert.strictEqual(validateField('time', time, null), 'Format: HH:MM:SS or D-HH:MM:SS', time);
+    }
+});
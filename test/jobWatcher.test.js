@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('./vscodeStub');
+const ConfigManager = require('../src/configManager');
+const ClusterManager = require('../src/clusterManager');
+const JobWatcher = require('../src/jobWatcher');
+
+test('the job watcher never asks for a storage folder', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hpc-watch-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    vscode.settings = {
+        profiles: [{ name: 'laptop', backend: 'local', scratchBase: path.join(dir, 'scratch') }],
+    };
+    vscode.workspace.workspaceFolders = [];
+    let asked = 0;
+    vscode.window.showOpenDialog = async () => {
+        asked++;
+        return undefined;
+    };
+    t.after(() => delete vscode.window.showOpenDialog);
+
+    const configManager = new ConfigManager();
+    const clusterManager = new ClusterManager(configManager);
+    const watcher = new JobWatcher(clusterManager, configManager);
+    t.after(() => watcher.dispose());
+
+    // No workspace and no folder chosen yet: nothing to watch, and no backoff retries
+    await watcher._poll();
+    assert.strictEqual(asked, 0);
+    assert.strictEqual(watcher.timer, null);
+    assert.deepStrictEqual(watcher.paused, []);
+
+    // Once a workspace provides storage, its active jobs are watched
+    vscode.setWorkspaceFolder(path.join(dir, 'workspace'));
+    await clusterManager.ensureStorage();
+    const remoteDir = path.join(clusterManager.config.getClusterInfo('laptop').jobsDir, 'job_1');
+    clusterManager.saveJobs([{ id: 'job_1', profile: 'laptop', slurmId: '1000', remoteDir, status: 'RUNNING' }]);
+    assert.strictEqual(await watcher._hasActiveJobs(), true);
+    assert.strictEqual(asked, 0);
+});
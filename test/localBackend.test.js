@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('./vscodeStub');
+const ConfigManager = require('../src/configManager');
+const ClusterManager = require('../src/clusterManager');
+const LocalConnectionManager = require('../src/localConnectionManager');
+const { isTerminal } = require('../src/jobStates');
+
+const PROFILE = 'laptop';
+
+/**
+ * A ClusterManager with a local profile in a temporary scratch base
+ *
+ * Jobs start after 100 ms instead of a second. Jobs still queued when the
+ * test ends are cancelled, so their timers do not keep the run alive.
+ */
+function setup(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hpc-local-'));
+    vscode.settings = {
+        profiles: [{ name: PROFILE, backend: 'local', scratchBase: path.join(dir, 'scratch') }],
+        projectSync: 'off',
+    };
+    vscode.setWorkspaceFolder(path.join(dir, 'workspace'));
+
+    const clusterManager = new ClusterManager(new ConfigManager());
+    const connection = clusterManager.getConnectionManager(PROFILE);
+    assert.ok(connection instanceof LocalConnectionManager);
+    connection.queue.startDelay = 100;
+    connection.queue.killWait = 5000;
+
+    // `python` may be missing or Python 2; the venv pins it to python3
+    const venvDir = path.join(clusterManager.config.getClusterInfo(PROFILE).venvsDir, 'base_env', 'bin');
+    fs.mkdirSync(venvDir, { recursive: true });
+    fs.writeFileSync(path.join(venvDir, 'activate'), 'python() { python3 "$@"; }\n');
+
+    t.after(async () => {
+        const active = Array.from(connection.queue.jobs.values())
+            .filter(job => job.state === 'PENDING' || job.state === 'RUNNING');
+        if (active.length > 0) {
+            connection.queue.run('scancel ' + active.map(job => job.id).join(' '), dir);
+        }
+        await waitFor(() => Array.from(connection.queue.jobs.values()).every(job => !job.process), 10000);
+        clusterManager.disconnect();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    return { dir, clusterManager, queue: connection.queue };
+}
+
+async function waitFor(check, timeout = 20000) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for ' + check.toString());
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+}
+
+/**
+ * Poll like the Jobs view does until the job's status satisfies `accept`
+ */
+function waitForStatus(clusterManager, jobId, accept) {
+    return waitFor(async () => {
+        const { jobs } = await clusterManager.refreshJobStatuses({ force: true, jobIds: [jobId] });
+        const job = jobs.find(j => j.id === jobId);
+        return accept(job.status) ? job : null;
+    });
+}
+
+function writeFile(dir, name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+function jobConfig(name) {
+    return {
+        name,
+        partition: 'debug',
+        cpus: 1,
+        gpus: 0,
+        memory: '1G',
+        // The USR1 warning comes 60 s before the limit
+        time: '00:10:00',
+        pythonEnv: 'base_env',
+        profile: PROFILE,
+    };
+}
+
+test('local backend: submit, follow the job through squeue and sacct, fetch results', async (t) => {
+    const { dir, clusterManager } = setup(t);
+    const script = writeFile(dir, 'analysis.py', [
+        'import time',
+        'time.sleep(0.5)',
+        "open('result.txt', 'w').write(open('input.csv').read().upper())",
+        "print('analysis done')",
+    ].join('\n'));
+    const input = writeFile(dir, 'input.csv', 'a,b\n1,2\n');
+
+    const { jobId, slurmId } = await clusterManager.submitJob(script, [input], jobConfig('analysis'));
+    assert.match(slurmId, /^\d+$/);
+
+    // squeue: the job is pending for startDelay, then running
+    const queued = await waitForStatus(clusterManager, jobId, status => ['PENDING', 'RUNNING'].includes(status));
+    assert.ok(!queued.accounting);
+
+    // sacct once it has left the queue
+    const done = await waitForStatus(clusterManager, jobId, isTerminal);
+    assert.strictEqual(done.status, 'COMPLETED');
+    assert.ok(done.accounting, 'final state comes from sacct');
+    assert.strictEqual(done.accounting.state, 'COMPLETED');
+    assert.strictEqual(done.accounting.exitCode, '0:0');
+    assert.ok(done.started, 'start time recorded while running');
+
+    const resultsDir = await clusterManager.fetchResults(jobId);
+    const read = name => fs.readFileSync(path.join(resultsDir, name), 'utf8');
+    assert.strictEqual(read('result.txt'), 'A,B\n1,2\n');
+    assert.strictEqual(read('execution_log.txt'), 'analysis done\n');
+    assert.match(read(`slurm-${slurmId}.out`), /Job completed successfully/);
+
+    const status = JSON.parse(read('status.json'));
+    assert.strictEqual(status.status, 'COMPLETED');
+    assert.strictEqual(status.slurmId, slurmId);
+    assert.deepStrictEqual(status.files.inputs, ['input.csv']);
+    assert.deepStrictEqual(status.files.outputs, ['result.txt']);
+});
+
+test('local backend: cancel a running job', async (t) => {
+    const { dir, clusterManager, queue } = setup(t);
+    const script = writeFile(dir, 'long.py', [
+        'import time',
+        "print('started', flush=True)",
+        'time.sleep(60)',
+    ].join('\n'));
+
+    const { jobId, slurmId } = await clusterManager.submitJob(script, [], jobConfig('long'));
+    await waitForStatus(clusterManager, jobId, status => status === 'RUNNING');
+    const remoteDir = clusterManager.loadJobs().find(j => j.id === jobId).remoteDir;
+    await waitFor(() => fs.existsSync(path.join(remoteDir, 'execution_log.txt'))
+        && fs.readFileSync(path.join(remoteDir, 'execution_log.txt'), 'utf8').includes('started'));
+
+    const cancelled = await clusterManager.cancelJob(jobId);
+    assert.strictEqual(cancelled.status, 'CANCELLED');
+    assert.strictEqual(cancelled.lastChecked, null);
+
+    // The batch shell's trap records the cancellation; sacct then reports it
+    await waitFor(() => queue.jobs.get(slurmId).state === 'CANCELLED');
+    const details = await clusterManager.getJobDetails(jobId);
+    assert.strictEqual(details.status, 'CANCELLED');
+    assert.strictEqual(details.accounting.state, 'CANCELLED');
+    assert.strictEqual(details.statusData.status, 'CANCELLED');
+
+    const resultsDir = await clusterManager.fetchResults(jobId);
+    const status = JSON.parse(fs.readFileSync(path.join(resultsDir, 'status.json'), 'utf8'));
+    assert.strictEqual(status.status, 'CANCELLED');
+    assert.deepStrictEqual(status.errors, ['Cancelled']);
+    assert.match(fs.readFileSync(path.join(resultsDir, `slurm-${slurmId}.out`), 'utf8'), /recording CANCELLED/);
+
+    // A finished job cannot be cancelled again
+    await assert.rejects(clusterManager.cancelJob(jobId), /already completing or completed/);
+});
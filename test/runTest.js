@@ -0,0 +1,22 @@
+/**
+ * Test entry point (`npm test`)
+ *
+ * Runs every test/*.test.js with node:test. The extension modules require
+ * `vscode`, which only exists inside the editor, so it is resolved to
+ * test/vscodeStub.js first.
+ */
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const vscodeStub = require('./vscodeStub');
+
+const load = Module._load;
+Module._load = function (request, ...args) {
+    return request === 'vscode' ? vscodeStub : load.call(this, request, ...args);
+};
+
+const filter = process.argv[2] || '';
+fs.readdirSync(__dirname)
+    .filter(name => name.endsWith('.test.js') && name.includes(filter))
+    .sort()
+    .forEach(name => require(path.join(__dirname, name)));
@@ -0,0 +1,237 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const vscode = require('./vscodeStub');
+const { quote, quotePath } = require('../src/shellQuote');
+const ScriptBuilder = require('../src/scriptBuilder');
+const ConfigManager = require('../src/configManager');
+const ClusterManager = require('../src/clusterManager');
+
+// Each one breaks a command or script that pastes names in unquoted
+const HOSTILE_NAMES = [
+    'with space',
+    "it's",
+    'say "hi"',
+    '$(touch PWNED)',
+    '`touch PWNED`',
+    'a;touch PWNED',
+    'new\nline',
+    '-rf',
+];
+
+function bash(args, options = {}) {
+    return spawnSync('bash', args, Object.assign({ encoding: 'utf8', timeout: 30000 }, options));
+}
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hpc-quote-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function assertNotInjected(dir) {
+    const found = spawnSync('find', [dir, '-name', 'PWNED'], { encoding: 'utf8' }).stdout;
+    assert.strictEqual(found, '', 'a name was executed as a command');
+}
+
+test('quote() passes hostile names to commands as one word', (t) => {
+    const dir = tempDir(t);
+    for (const name of HOSTILE_NAMES) {
+        const result = bash(['-c', `printf '%s' ${quote(name)}`], { cwd: dir });
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.strictEqual(result.stdout, name);
+    }
+    assertNotInjected(dir);
+});
+
+test('quotePath() keeps names starting with "-" from being read as options', (t) => {
+    const dir = tempDir(t);
+    for (const name of HOSTILE_NAMES) {
+        fs.writeFileSync(path.join(dir, name), 'content of ' + name);
+        const result = bash(['-c', `cat ${quotePath(name)}`], { cwd: dir });
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.strictEqual(result.stdout, 'content of ' + name);
+    }
+    assertNotInjected(dir);
+});
+
+/**
+ * Build the SLURM script of a Python job whose name, file and input file
+ * use `name`, and run it the way the batch shell would
+ */
+function runJobScript(dir, name, jsonTool) {
+    const jobDir = path.join(dir, 'jobs', 'job_1');
+    fs.rmSync(jobDir, { recursive: true, force: true });
+    fs.mkdirSync(jobDir, { recursive: true });
+
+    // `python` may be missing or Python 2; the venv pins it to python3
+    const venvDir = path.join(dir, 'venvs', 'base_env', 'bin');
+    fs.mkdirSync(venvDir, { recursive: true });
+    fs.writeFileSync(path.join(venvDir, 'activate'), 'python() { python3 "$@"; }\n');
+
+    const fileName = name + '.py';
+    const inputFile = name + '.csv';
+    fs.writeFileSync(path.join(jobDir, fileName), [
+        'import sys',
+        `open(${JSON.stringify(name + '.out')}, 'w').write(open(${JSON.stringify(inputFile)}).read())`,
+        'print("ran", sys.argv[0])',
+    ].join('\n'));
+    fs.writeFileSync(path.join(jobDir, inputFile), 'input data');
+
+    const script = new ScriptBuilder().buildScript({
+        id: 'job_1',
+        name,
+        fileName,
+        inputFiles: ['/local/data/' + inputFile],
+        partition: 'main',
+        cpus: 1,
+        gpus: 0,
+        memory: '1G',
+        time: '00:10:00',
+        pythonEnv: 'base_env',
+        submitted: '2026-01-01T00:00:00.000Z',
+    }, {
+        profile: 'test',
+        scheduler: 'slurm',
+        jobsDir: path.join(dir, 'jobs'),
+        venvsDir: path.join(dir, 'venvs'),
+    });
+
+    // Pin the JSON encoder that the script would pick from the node's tools
+    const pinned = script.replace(/^if jq -n[\s\S]*?^fi$/m, 'JSON_TOOL=' + jsonTool);
+    assert.notStrictEqual(pinned, script);
+    const scriptFile = path.join(jobDir, 'job.sbatch');
+    fs.writeFileSync(scriptFile, pinned);
+
+    const syntax = bash(['-n', scriptFile]);
+    assert.strictEqual(syntax.status, 0, 'bash -n: ' + syntax.stderr);
+
+    const run = bash([scriptFile], {
+        cwd: jobDir,
+        env: Object.assign({}, process.env, { SLURM_JOB_ID: '42', SLURM_CPUS_PER_TASK: '1' }),
+    });
+    return { jobDir, fileName, inputFile, run };
+}
+
+test('job scripts run files with hostile names and record them in status.json', async (t) => {
+    const dir = tempDir(t);
+    const tools = ['printf', 'python3'];
+    if (bash(['-c', 'command -v jq']).status === 0) tools.push('jq');
+
+    for (const jsonTool of tools) {
+        for (const name of HOSTILE_NAMES) {
+            await t.test(`${JSON.stringify(name)} (${jsonTool})`, () => {
+                const { jobDir, fileName, inputFile, run } = runJobScript(dir, name, jsonTool);
+                assert.strictEqual(run.status, 0, run.stdout + run.stderr);
+
+                const errors = fs.readFileSync(path.join(jobDir, 'execution_errors.txt'), 'utf8');
+                assert.strictEqual(errors, '');
+                assert.match(fs.readFileSync(path.join(jobDir, 'execution_log.txt'), 'utf8'), /^ran /);
+                assert.strictEqual(fs.readFileSync(path.join(jobDir, name + '.out'), 'utf8'), 'input data');
+
+                const status = JSON.parse(fs.readFileSync(path.join(jobDir, 'status.json'), 'utf8'));
+                assert.strictEqual(status.status, 'COMPLETED');
+                assert.strictEqual(status.slurmId, '42');
+                assert.strictEqual(status.exitCode, 0);
+                assert.strictEqual(status.files.script, fileName);
+                assert.deepStrictEqual(status.files.inputs, [inputFile]);
+                assert.deepStrictEqual(status.files.outputs, [name + '.out']);
+                assertNotInjected(dir);
+            });
+        }
+    }
+});
+
+test('project sync, remote listings and downloads handle hostile names', async (t) => {
+    const dir = tempDir(t);
+    // The SafetyManager refuses uploads to paths with control characters
+    const uploadable = HOSTILE_NAMES.filter(name => !/[\x00-\x1f]/.test(name));
+    const projectDir = path.join(dir, 'project');
+    fs.mkdirSync(path.join(projectDir, 'sub dir'), { recursive: true });
+    for (const name of uploadable) {
+        fs.writeFileSync(path.join(projectDir, name), 'file ' + name);
+        fs.writeFileSync(path.join(projectDir, 'sub dir', name), 'nested ' + name);
+    }
+
+    vscode.settings = {
+        profiles: [{ name: 'test', backend: 'local', scratchBase: path.join(dir, 'scratch') }],
+        tarThreshold: 0,
+    };
+    vscode.setWorkspaceFolder(path.join(dir, 'workspace'));
+    const clusterManager = new ClusterManager(new ConfigManager());
+    t.after(() => clusterManager.disconnect());
+    const sync = options => clusterManager.projectSync.sync(projectDir, null, Object.assign({ profile: 'test' }, options));
+
+    const expected = uploadable.concat(uploadable.map(name => 'sub dir/' + name)).sort();
+    for (const compare of ['mtime', 'checksum']) {
+        const first = await sync({ compare });
+        assert.strictEqual(first.files, expected.length);
+        const listed = await clusterManager.projectSync._listRemote(first.mirrorDir, 'test');
+        assert.deepStrictEqual(Array.from(listed.keys()).sort(), expected);
+        for (const relativePath of expected) {
+            assert.strictEqual(
+                fs.readFileSync(path.join(first.mirrorDir, relativePath), 'utf8'),
+                fs.readFileSync(path.join(projectDir, relativePath), 'utf8')
+            );
+        }
+
+        // Unchanged files are recognised, including the one starting with "-"
+        const second = await sync({ compare });
+        assert.strictEqual(second.uploaded, 0);
+        assert.strictEqual(second.deleted, 0);
+    }
+
+    // Files removed locally are removed from the mirror, and only those
+    fs.unlinkSync(path.join(projectDir, '-rf'));
+    fs.unlinkSync(path.join(projectDir, '$(touch PWNED)'));
+    const third = await sync();
+    assert.strictEqual(third.deleted, 2);
+    assert.ok(!fs.existsSync(path.join(third.mirrorDir, '-rf')));
+    assert.ok(!fs.existsSync(path.join(third.mirrorDir, '$(touch PWNED)')));
+    assert.ok(fs.existsSync(path.join(third.mirrorDir, 'sub dir', '-rf')));
+
+    fs.writeFileSync(path.join(projectDir, 'new\nline'), 'refused');
+    await assert.rejects(sync(), /control characters are not allowed/);
+    fs.unlinkSync(path.join(projectDir, 'new\nline'));
+
+    // Jobs may still write such names; the Jobs view and downloads handle them
+    const jobDir = path.join(clusterManager.config.getClusterInfo('test').jobsDir, 'job_1');
+    await clusterManager.projectSync.snapshot(third.mirrorDir, jobDir, 'test');
+    fs.writeFileSync(path.join(jobDir, 'sub dir', 'new\nline'), 'nested new\nline');
+    await clusterManager.ensureStorage();
+    clusterManager.saveJobs([{ id: 'job_1', name: 'job', profile: 'test', remoteDir: jobDir, status: 'COMPLETED' }]);
+
+    const entries = await clusterManager.listRemoteFiles('job_1', 'sub dir');
+    assert.deepStrictEqual(entries.map(entry => entry.name).sort(), HOSTILE_NAMES.slice().sort());
+
+    // File by file, then as a tar stream
+    for (const tarThreshold of [0, 1]) {
+        vscode.settings.tarThreshold = tarThreshold;
+        const downloadDir = path.join(dir, 'download-' + tarThreshold);
+        await clusterManager.downloadDirectory(jobDir, downloadDir, 'test');
+        for (const name of HOSTILE_NAMES) {
+            assert.strictEqual(fs.readFileSync(path.join(downloadDir, 'sub dir', name), 'utf8'), 'nested ' + name);
+        }
+    }
+
+    assertNotInjected(dir);
+});
+
+test('log tail commands quote log names and expand only scheduler patterns', (t) => {
+    const dir = tempDir(t);
+    vscode.settings = { profiles: [{ name: 'test', backend: 'local', scratchBase: path.join(dir, 'scratch') }] };
+    const clusterManager = new ClusterManager(new ConfigManager());
+    fs.writeFileSync(path.join(dir, 'execution_log.txt'), 'program output\n');
+    fs.writeFileSync(path.join(dir, 'slurm-1;touch PWNED.out'), 'scheduler output\n');
+
+    const tail = job => bash(['-c', `tail -n 50 ${clusterManager.getLogFileArgs(job)} 2>/dev/null`], { cwd: dir }).stdout;
+    for (const job of [{ slurmId: '1;touch PWNED', scheduler: 'slurm' }, { slurmId: null, scheduler: 'slurm' }]) {
+        const output = tail(job);
+        assert.match(output, /program output/);
+        assert.match(output, /scheduler output/);
+    }
+    assertNotInjected(dir);
+});
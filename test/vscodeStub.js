@@ -0,0 +1,59 @@
+/**
+ * Minimal stand-in for the `vscode` module
+ *
+ * Covers what the modules under test touch outside of a running editor:
+ * configuration (backed by `settings`), the workspace folder used for job
+ * storage, output channels and event emitters. Tests set `settings` and
+ * `workspaceFolders` before creating the objects under test.
+ */
+const stub = {
+    settings: {},
+
+    workspace: {
+        workspaceFolders: [],
+        getConfiguration() {
+            return {
+                get: key => stub.settings[key],
+                inspect: key => (key in stub.settings ? { globalValue: stub.settings[key] } : {}),
+                update: async (key, value) => {
+                    stub.settings[key] = value;
+                },
+            };
+        },
+    },
+
+    window: {
+        createOutputChannel() {
+            return { append() {}, appendLine() {}, clear() {}, show() {}, dispose() {} };
+        },
+    },
+
+    ConfigurationTarget: { Global: 1, Workspace: 2 },
+
+    EventEmitter: class {
+        constructor() {
+            this.listeners = [];
+            this.event = (listener) => {
+                this.listeners.push(listener);
+                return { dispose: () => this.listeners.splice(this.listeners.indexOf(listener), 1) };
+            };
+        }
+
+        fire(data) {
+            this.listeners.slice().forEach(listener => listener(data));
+        }
+
+        dispose() {
+            this.listeners = [];
+        }
+    },
+
+    /**
+     * Use a workspace folder for job storage (.vscode/.hpc-connector)
+     */
+    setWorkspaceFolder(fsPath) {
+        stub.workspace.workspaceFolders = [{ uri: { fsPath } }];
+    },
+};
+
+module.exports = stub;